@@ -0,0 +1,114 @@
+// src/config/ai.js
+//
+// Configuración de la IA por caso de uso. Cada valor se toma primero de
+// AI_<CASO>_<CLAVE> y, si no existe, de AI_<CLAVE>. Ejemplos:
+//
+//   AI_PROVIDER=openai            AI_SECTIONS_MODEL=qwen2.5-14b-instruct
+//   AI_URL=http://localhost:1234  AI_SUMMARY_TEMPERATURE=0.2
+//   AI_ADJUST_PROVIDER=ollama     AI_ADJUST_URL=http://localhost:11434
+require('dotenv').config();
+
+const PROVIDERS = ['openai', 'ollama', 'mock'];
+
+const USE_CASES = ['generate', 'adjust', 'sections', 'summary', 'tasks', 'review', 'chat'];
+
+const DEFAULTS = {
+  provider:    'openai',
+  model:       'deepseek-r1-distill-qwen-7b',
+  temperature: null,
+  maxTokens:   null,
+  // Ventana de contexto del modelo; el chat recorta el historial para caber
+  contextTokens: 8192
+};
+
+function readEnv(useCase, key) {
+  const specific = process.env[`AI_${useCase.toUpperCase()}_${key}`];
+  if (specific !== undefined && specific !== '') return specific;
+  const general = process.env[`AI_${key}`];
+  if (general !== undefined && general !== '') return general;
+  return undefined;
+}
+
+function readNumber(useCase, key, fallback) {
+  const value = readEnv(useCase, key);
+  return value === undefined ? fallback : Number(value);
+}
+
+/**
+ * Configuración efectiva (proveedor, URL, modelo y parámetros) de un caso de uso.
+ */
+function getUseCaseConfig(useCase) {
+  if (!USE_CASES.includes(useCase)) {
+    throw new Error(`Caso de uso de IA desconocido: ${useCase}`);
+  }
+  const url = readEnv(useCase, 'URL');
+  return {
+    useCase,
+    provider:    readEnv(useCase, 'PROVIDER') || DEFAULTS.provider,
+    url:         url ? url.replace(/\/$/, '') : null, // sin slash final
+    apiKey:      readEnv(useCase, 'API_KEY') || null,
+    model:       readEnv(useCase, 'MODEL') || DEFAULTS.model,
+    temperature: readNumber(useCase, 'TEMPERATURE', DEFAULTS.temperature),
+    maxTokens:   readNumber(useCase, 'MAX_TOKENS', DEFAULTS.maxTokens),
+    contextTokens: readNumber(useCase, 'CONTEXT_TOKENS', DEFAULTS.contextTokens),
+    // Envía el JSON Schema esperado al servidor (response_format / format)
+    structuredOutputs: readEnv(useCase, 'STRUCTURED_OUTPUTS') === 'true',
+    // Modelo de razonamiento cuya plantilla puede omitir <think>: el
+    // streaming retiene el texto hasta saber si es razonamiento
+    reasoning: readEnv(useCase, 'REASONING') === 'true'
+  };
+}
+
+/**
+ * Cuotas de IA por usuario (0 o sin definir = sin límite):
+ *
+ *   AI_QUOTA_DAILY_TOKENS  tokens (prompt + respuesta) por día UTC
+ *   AI_QUOTA_RPM           peticiones a la IA por minuto
+ *   AI_QUOTA_CONCURRENCY   generaciones simultáneas
+ */
+function getQuotaConfig() {
+  const read = key => {
+    const value = process.env[`AI_QUOTA_${key}`];
+    return value === undefined || value === '' ? 0 : Number(value);
+  };
+  return {
+    dailyTokens: read('DAILY_TOKENS'),
+    rpm:         read('RPM'),
+    concurrency: read('CONCURRENCY')
+  };
+}
+
+/**
+ * Comprueba la configuración de todos los casos de uso. Devuelve la lista
+ * de problemas encontrados (vacía si todo está bien).
+ */
+function validateAiConfig() {
+  const problems = [];
+  for (const useCase of USE_CASES) {
+    const config = getUseCaseConfig(useCase);
+    const prefix = `AI_${useCase.toUpperCase()}`;
+    if (!PROVIDERS.includes(config.provider)) {
+      problems.push(
+        `${prefix}_PROVIDER / AI_PROVIDER = "${config.provider}" no es válido ` +
+        `(opciones: ${PROVIDERS.join(', ')})`
+      );
+    } else if (config.provider !== 'mock' && !config.url) {
+      problems.push(
+        `Falta AI_URL (o ${prefix}_URL) para el proveedor "${config.provider}" del caso "${useCase}"`
+      );
+    }
+    for (const key of ['temperature', 'maxTokens', 'contextTokens']) {
+      if (config[key] !== null && Number.isNaN(config[key])) {
+        problems.push(`El valor de ${key} para "${useCase}" no es numérico`);
+      }
+    }
+  }
+  for (const [key, value] of Object.entries(getQuotaConfig())) {
+    if (!Number.isInteger(value) || value < 0) {
+      problems.push(`La cuota ${key} debe ser un entero >= 0`);
+    }
+  }
+  return problems;
+}
+
+module.exports = { PROVIDERS, USE_CASES, getUseCaseConfig, getQuotaConfig, validateAiConfig };
@@ -10,7 +10,17 @@ const pool = mysql.createPool({
   database: process.env.DB_NAME,
   waitForConnections: true,
   connectionLimit: 10,
-  queueLimit: 0
+  queueLimit: 0,
+  // Las fechas se guardan y se leen en UTC, sea cual sea la zona del
+  // servidor de Node o de MySQL
+  timezone: 'Z'
+});
+
+// También CURRENT_TIMESTAMP y NOW() en UTC
+pool.on('connection', conn => {
+  conn.query("SET time_zone = '+00:00'", err => {
+    if (err) console.error('Error al fijar la zona horaria de la conexión:', err.message);
+  });
 });
 
 module.exports = pool;
@@ -0,0 +1,82 @@
+// src/config/pdf.js
+//
+// Marca y tipografías de la exportación a PDF:
+//
+//   PDF_BRAND_NAME       nombre en portada y cabeceras (Lifestyle Planner)
+//   PDF_BRAND_LOGO       ruta a un PNG o JPEG para la portada (opcional)
+//   PDF_PRIMARY_COLOR    títulos y banda de portada (#1F4E79)
+//   PDF_ACCENT_COLOR     filetes, viñetas y enlaces del índice (#2E86C1)
+//   PDF_TEXT_COLOR       texto normal (#222222)
+//   PDF_FONT_REGULAR, PDF_FONT_BOLD, PDF_FONT_ITALIC, PDF_FONT_BOLD_ITALIC,
+//   PDF_FONT_MONO        rutas a TTF/OTF; por defecto, DejaVu (cubre acentos,
+//                        eñes y la mayoría de alfabetos)
+require('dotenv').config();
+const fs   = require('fs');
+const path = require('path');
+
+const DEJAVU_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+
+const FONT_DEFAULTS = {
+  regular:    'DejaVuSans.ttf',
+  bold:       'DejaVuSans-Bold.ttf',
+  italic:     'DejaVuSans-Oblique.ttf',
+  boldItalic: 'DejaVuSans-BoldOblique.ttf',
+  mono:       'DejaVuSansMono.ttf'
+};
+
+const FONT_ENV = {
+  regular:    'PDF_FONT_REGULAR',
+  bold:       'PDF_FONT_BOLD',
+  italic:     'PDF_FONT_ITALIC',
+  boldItalic: 'PDF_FONT_BOLD_ITALIC',
+  mono:       'PDF_FONT_MONO'
+};
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+function readEnv(key, fallback) {
+  const value = process.env[key];
+  return value === undefined || value === '' ? fallback : value;
+}
+
+function getPdfConfig() {
+  const fonts = {};
+  for (const [name, file] of Object.entries(FONT_DEFAULTS)) {
+    fonts[name] = readEnv(FONT_ENV[name], path.join(DEJAVU_DIR, file));
+  }
+  return {
+    brandName: readEnv('PDF_BRAND_NAME', 'Lifestyle Planner'),
+    logo:      readEnv('PDF_BRAND_LOGO', null),
+    colors: {
+      primary: readEnv('PDF_PRIMARY_COLOR', '#1F4E79'),
+      accent:  readEnv('PDF_ACCENT_COLOR', '#2E86C1'),
+      text:    readEnv('PDF_TEXT_COLOR', '#222222')
+    },
+    fonts
+  };
+}
+
+/**
+ * Comprueba colores y ficheros de la configuración del PDF. Devuelve la
+ * lista de problemas encontrados (vacía si todo está bien).
+ */
+function validatePdfConfig() {
+  const problems = [];
+  const config = getPdfConfig();
+  for (const [name, value] of Object.entries(config.colors)) {
+    if (!COLOR_PATTERN.test(value)) {
+      problems.push(`El color ${name} del PDF debe tener el formato #RRGGBB (recibido "${value}")`);
+    }
+  }
+  for (const [name, file] of Object.entries(config.fonts)) {
+    if (!fs.existsSync(file)) {
+      problems.push(`No se encuentra la fuente ${name} del PDF: ${file} (${FONT_ENV[name]})`);
+    }
+  }
+  if (config.logo && !fs.existsSync(config.logo)) {
+    problems.push(`No se encuentra el logo del PDF: ${config.logo} (PDF_BRAND_LOGO)`);
+  }
+  return problems;
+}
+
+module.exports = { getPdfConfig, validatePdfConfig };
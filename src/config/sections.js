@@ -0,0 +1,29 @@
+// src/config/sections.js
+
+// Secciones que se generan por defecto para cada plan
+const DEFAULT_SECTION_TYPES = [
+  'Profesional',
+  'Entrenamiento',
+  'Hobbies',
+  'Nutrición',
+  'Bienestar'
+];
+
+/**
+ * Secciones de un plan con su indicación para la IA: las de la plantilla de
+ * la que se creó o, si no tiene, las de por defecto.
+ *
+ * @returns {Array<{section_type: string, prompt_hint: string|null}>}
+ */
+function planSectionConfig(plan) {
+  if (Array.isArray(plan.section_config) && plan.section_config.length) {
+    return plan.section_config;
+  }
+  return DEFAULT_SECTION_TYPES.map(section_type => ({ section_type, prompt_hint: null }));
+}
+
+function planSectionTypes(plan) {
+  return planSectionConfig(plan).map(section => section.section_type);
+}
+
+module.exports = { DEFAULT_SECTION_TYPES, planSectionConfig, planSectionTypes };
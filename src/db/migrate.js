@@ -0,0 +1,68 @@
+// src/db/migrate.js
+//
+// CLI de migraciones (ver migrator.js):
+//
+//   npm run migrate                        aplica todas las pendientes
+//   npm run migrate -- --to 5              aplica hasta la 5, incluida
+//   npm run migrate -- --baseline          adopta un esquema ya existente
+//                                          (creado antes de las migraciones)
+//                                          y aplica lo que falte
+//   npm run migrate:rollback               deshace la última
+//   npm run migrate:rollback -- --steps 3  deshace las tres últimas
+//   npm run migrate:rollback -- --to 0     lo deshace todo
+//   npm run migrate:status                 aplicadas, pendientes y problemas
+const { MigrationError, migrate, rollback, baseline, status } = require('./migrator');
+
+function readOption(args, name) {
+  const i = args.indexOf(`--${name}`);
+  if (i === -1) return undefined;
+  const value = Number(args[i + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new MigrationError(`--${name} debe ser un entero >= 0`);
+  }
+  return value;
+}
+
+async function main([command = 'up', ...args]) {
+  const log = line => console.log(line);
+
+  switch (command) {
+    case 'up': {
+      const to = readOption(args, 'to');
+      if (args.includes('--baseline')) {
+        const adopted = await baseline({ to, log });
+        console.log(`✅ ${adopted.length} migración(es) registrada(s) como aplicada(s) sin ejecutarlas`);
+      }
+      const done = await migrate({ to, log });
+      console.log(done.length ? `✅ ${done.length} migración(es) aplicada(s)` : '✅ El esquema ya está al día');
+      break;
+    }
+    case 'down': {
+      const undone = await rollback({
+        steps: readOption(args, 'steps'),
+        to:    readOption(args, 'to') ?? null,
+        log
+      });
+      console.log(undone.length ? `✅ ${undone.length} migración(es) deshecha(s)` : '✅ Nada que deshacer');
+      break;
+    }
+    case 'status': {
+      const state = await status();
+      for (const m of state.migrations) {
+        const mark = m.applied_at ? `aplicada ${new Date(m.applied_at).toISOString()}` : 'pendiente';
+        console.log(`${String(m.version).padStart(3, '0')}_${m.name}  ${mark}`);
+      }
+      state.problems.forEach(problem => console.log(`⚠️  ${problem}`));
+      console.log(`${state.pending} pendiente(s)`);
+      if (state.problems.length) process.exitCode = 1;
+      break;
+    }
+    default:
+      throw new MigrationError(`Comando desconocido: ${command} (opciones: up, down, status)`);
+  }
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(`❌ ${err instanceof MigrationError ? err.message : err.stack}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,64 @@
+-- Usuarios, sesiones y tokens de cuenta
+
+CREATE TABLE users (
+  id                  INT AUTO_INCREMENT PRIMARY KEY,
+  email               VARCHAR(255) NOT NULL,
+  password_hash       VARCHAR(255) NOT NULL,
+  role                ENUM('user', 'admin') NOT NULL DEFAULT 'user',
+  email_verified_at   DATETIME NULL,
+  password_changed_at DATETIME NULL,
+  disabled_at         DATETIME NULL,
+  created_at          DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_users_email (email)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE auth_sessions (
+  id            INT AUTO_INCREMENT PRIMARY KEY,
+  user_id       INT NOT NULL,
+  user_agent    VARCHAR(255) NULL,
+  ip            VARCHAR(45) NULL,
+  created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at  DATETIME NULL,
+  revoked_at    DATETIME NULL,
+  revoke_reason VARCHAR(32) NULL,
+  KEY idx_auth_sessions_user (user_id),
+  CONSTRAINT fk_auth_sessions_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE refresh_tokens (
+  id         INT AUTO_INCREMENT PRIMARY KEY,
+  session_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at    DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_refresh_tokens_hash (token_hash),
+  CONSTRAINT fk_refresh_tokens_session FOREIGN KEY (session_id) REFERENCES auth_sessions (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE account_tokens (
+  id         INT AUTO_INCREMENT PRIMARY KEY,
+  user_id    INT NOT NULL,
+  purpose    ENUM('verify_email', 'reset_password') NOT NULL,
+  token_hash CHAR(64) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at    DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_account_tokens_hash (token_hash),
+  KEY idx_account_tokens_user_purpose (user_id, purpose),
+  CONSTRAINT fk_account_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE idempotency_keys (
+  id              INT AUTO_INCREMENT PRIMARY KEY,
+  user_id         INT NOT NULL,
+  idem_key        VARCHAR(255) NOT NULL,
+  request_hash    CHAR(64) NOT NULL,
+  status          ENUM('processing', 'completed') NOT NULL,
+  response_status INT NULL,
+  response_body   LONGTEXT NULL,
+  created_at      DATETIME NOT NULL,
+  completed_at    DATETIME NULL,
+  UNIQUE KEY uq_idempotency_keys_user_key (user_id, idem_key),
+  CONSTRAINT fk_idempotency_keys_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS plan_status_history;
+DROP TABLE IF EXISTS plan_summaries;
+DROP TABLE IF EXISTS plan_sections;
+DROP TABLE IF EXISTS plans;
+DROP TABLE IF EXISTS plan_templates;
@@ -0,0 +1,66 @@
+-- Plantillas, planes, secciones, resúmenes e historial de estados
+
+CREATE TABLE plan_templates (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT NULL COMMENT 'NULL = plantilla del sistema',
+  name        VARCHAR(120) NOT NULL,
+  description TEXT NULL,
+  parameters  JSON NOT NULL,
+  sections    JSON NOT NULL,
+  created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_plan_templates_user (user_id),
+  CONSTRAINT fk_plan_templates_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plans (
+  id             INT AUTO_INCREMENT PRIMARY KEY,
+  user_id        INT NOT NULL,
+  title          VARCHAR(255) NULL,
+  parameters     JSON NULL,
+  status         ENUM('draft', 'generated', 'in_review', 'finalized', 'archived') NOT NULL DEFAULT 'draft',
+  template_id    INT NULL,
+  section_config JSON NULL,
+  created_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_plans_user (user_id),
+  KEY idx_plans_template (template_id),
+  CONSTRAINT fk_plans_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plans_template FOREIGN KEY (template_id) REFERENCES plan_templates (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plan_sections (
+  id           INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id      INT NOT NULL,
+  section_type VARCHAR(64) NOT NULL,
+  content      MEDIUMTEXT NULL,
+  status       ENUM('generated', 'adjusted') NOT NULL DEFAULT 'generated',
+  created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_plan_sections_plan (plan_id),
+  CONSTRAINT fk_plan_sections_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plan_summaries (
+  id                INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id           INT NOT NULL,
+  title             VARCHAR(255) NOT NULL,
+  executive_summary MEDIUMTEXT NOT NULL,
+  created_at        DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_plan_summaries_plan (plan_id),
+  CONSTRAINT fk_plan_summaries_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plan_status_history (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id     INT NOT NULL,
+  from_status ENUM('draft', 'generated', 'in_review', 'finalized', 'archived') NULL,
+  to_status   ENUM('draft', 'generated', 'in_review', 'finalized', 'archived') NOT NULL,
+  changed_by  INT NULL,
+  reason      VARCHAR(255) NULL,
+  automatic   BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_plan_status_history_plan (plan_id),
+  CONSTRAINT fk_plan_status_history_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_status_history_user FOREIGN KEY (changed_by) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS plan_section_versions;
+DROP TABLE IF EXISTS ai_reasoning_traces;
+DROP TABLE IF EXISTS ai_generations;
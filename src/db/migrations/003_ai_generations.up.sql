@@ -0,0 +1,45 @@
+-- Registro de llamadas a la IA, su razonamiento e historial de versiones de secciones
+
+CREATE TABLE ai_generations (
+  id                INT AUTO_INCREMENT PRIMARY KEY,
+  user_id           INT NOT NULL,
+  plan_id           INT NULL,
+  section_id        INT NULL,
+  use_case          VARCHAR(32) NOT NULL,
+  provider          VARCHAR(32) NOT NULL,
+  model             VARCHAR(128) NOT NULL,
+  prompt_tokens     INT NULL,
+  completion_tokens INT NULL,
+  created_at        DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_ai_generations_user_created (user_id, created_at),
+  KEY idx_ai_generations_plan_use_case (plan_id, use_case, created_at),
+  CONSTRAINT fk_ai_generations_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_ai_generations_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE SET NULL,
+  CONSTRAINT fk_ai_generations_section FOREIGN KEY (section_id) REFERENCES plan_sections (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE ai_reasoning_traces (
+  id            INT AUTO_INCREMENT PRIMARY KEY,
+  generation_id INT NOT NULL,
+  reasoning     MEDIUMTEXT NOT NULL,
+  created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_ai_reasoning_traces_generation (generation_id),
+  CONSTRAINT fk_ai_reasoning_traces_generation FOREIGN KEY (generation_id) REFERENCES ai_generations (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plan_section_versions (
+  id            INT AUTO_INCREMENT PRIMARY KEY,
+  section_id    INT NOT NULL,
+  version       INT NOT NULL,
+  content       MEDIUMTEXT NULL,
+  source        ENUM('ai', 'user') NOT NULL,
+  comment       TEXT NULL,
+  created_by    INT NULL,
+  reverted_from INT NULL COMMENT 'Versión restaurada, si es una reversión',
+  generation_id INT NULL,
+  created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_plan_section_versions_version (section_id, version),
+  CONSTRAINT fk_plan_section_versions_section FOREIGN KEY (section_id) REFERENCES plan_sections (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_section_versions_user FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL,
+  CONSTRAINT fk_plan_section_versions_generation FOREIGN KEY (generation_id) REFERENCES ai_generations (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
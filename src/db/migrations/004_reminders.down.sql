@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS calendar_feed_tokens;
+DROP TABLE IF EXISTS inbox_messages;
+DROP TABLE IF EXISTS reminder_delivery_attempts;
+DROP TABLE IF EXISTS reminder_deliveries;
+DROP TABLE IF EXISTS plan_reminders;
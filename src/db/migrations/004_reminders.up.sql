@@ -0,0 +1,69 @@
+-- Recordatorios, sus entregas por canal, bandeja de entrada y feed de calendario
+
+CREATE TABLE plan_reminders (
+  id         INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id    INT NOT NULL,
+  section_id INT NULL,
+  rule       TEXT NOT NULL COMMENT 'RRULE (RFC 5545)',
+  timezone   VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  starts_at  DATETIME NULL,
+  channels   JSON NULL COMMENT 'NULL = ["inbox"]',
+  is_active  BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_plan_reminders_plan (plan_id),
+  KEY idx_plan_reminders_active (is_active),
+  CONSTRAINT fk_plan_reminders_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_reminders_section FOREIGN KEY (section_id) REFERENCES plan_sections (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE reminder_deliveries (
+  id              INT AUTO_INCREMENT PRIMARY KEY,
+  reminder_id     INT NOT NULL,
+  occurrence_at   DATETIME NOT NULL,
+  channel         VARCHAR(32) NOT NULL,
+  status          ENUM('sending', 'sent', 'failed', 'dead') NOT NULL,
+  attempts        INT NOT NULL DEFAULT 0,
+  last_error      TEXT NULL,
+  next_attempt_at DATETIME NULL,
+  delivered_at    DATETIME NULL,
+  created_at      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_reminder_deliveries_occurrence (reminder_id, occurrence_at, channel),
+  KEY idx_reminder_deliveries_retry (status, next_attempt_at),
+  KEY idx_reminder_deliveries_occurrence_at (occurrence_at),
+  CONSTRAINT fk_reminder_deliveries_reminder FOREIGN KEY (reminder_id) REFERENCES plan_reminders (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE reminder_delivery_attempts (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  delivery_id INT NOT NULL,
+  attempt     INT NOT NULL,
+  status      ENUM('sent', 'failed') NOT NULL,
+  error       TEXT NULL,
+  created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_reminder_delivery_attempts_delivery (delivery_id),
+  CONSTRAINT fk_reminder_delivery_attempts_delivery FOREIGN KEY (delivery_id) REFERENCES reminder_deliveries (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE inbox_messages (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  user_id     INT NOT NULL,
+  reminder_id INT NULL,
+  title       VARCHAR(255) NOT NULL,
+  body        TEXT NULL,
+  read_at     DATETIME NULL,
+  created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_inbox_messages_user_created (user_id, created_at),
+  CONSTRAINT fk_inbox_messages_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_inbox_messages_reminder FOREIGN KEY (reminder_id) REFERENCES plan_reminders (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE calendar_feed_tokens (
+  user_id          INT PRIMARY KEY,
+  token_hash       CHAR(64) NOT NULL,
+  created_at       DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_accessed_at DATETIME NULL,
+  UNIQUE KEY uq_calendar_feed_tokens_hash (token_hash),
+  CONSTRAINT fk_calendar_feed_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS plan_section_comments;
+DROP TABLE IF EXISTS plan_share_links;
+DROP TABLE IF EXISTS plan_collaborators;
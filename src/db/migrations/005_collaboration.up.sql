@@ -0,0 +1,42 @@
+-- Colaboradores, enlaces públicos de solo lectura y comentarios por sección
+
+CREATE TABLE plan_collaborators (
+  id         INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id    INT NOT NULL,
+  user_id    INT NOT NULL,
+  role       ENUM('viewer', 'commenter', 'editor') NOT NULL,
+  invited_by INT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_plan_collaborators_plan_user (plan_id, user_id),
+  KEY idx_plan_collaborators_user (user_id),
+  CONSTRAINT fk_plan_collaborators_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_collaborators_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_collaborators_inviter FOREIGN KEY (invited_by) REFERENCES users (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plan_share_links (
+  id               INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id          INT NOT NULL,
+  token_hash       CHAR(64) NOT NULL,
+  section_types    JSON NULL COMMENT 'NULL = todas las secciones',
+  expires_at       DATETIME NULL,
+  revoked_at       DATETIME NULL,
+  created_by       INT NOT NULL,
+  created_at       DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_accessed_at DATETIME NULL,
+  UNIQUE KEY uq_plan_share_links_hash (token_hash),
+  KEY idx_plan_share_links_plan (plan_id),
+  CONSTRAINT fk_plan_share_links_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_share_links_user FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plan_section_comments (
+  id         INT AUTO_INCREMENT PRIMARY KEY,
+  section_id INT NOT NULL,
+  user_id    INT NOT NULL,
+  body       TEXT NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_plan_section_comments_section (section_id),
+  CONSTRAINT fk_plan_section_comments_section FOREIGN KEY (section_id) REFERENCES plan_sections (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_section_comments_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
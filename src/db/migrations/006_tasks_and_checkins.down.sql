@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS plan_checkins;
+DROP TABLE IF EXISTS plan_tasks;
@@ -0,0 +1,40 @@
+-- Tareas por sección y check-ins diarios
+
+CREATE TABLE plan_tasks (
+  id           INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id      INT NOT NULL,
+  section_id   INT NOT NULL,
+  title        VARCHAR(255) NOT NULL,
+  description  TEXT NULL,
+  frequency    ENUM('once', 'daily', 'weekly', 'monthly') NOT NULL DEFAULT 'once',
+  due_date     DATE NULL,
+  status       ENUM('pending', 'in_progress', 'done', 'skipped') NOT NULL DEFAULT 'pending',
+  position     INT NOT NULL DEFAULT 0,
+  source       ENUM('ai', 'user') NOT NULL DEFAULT 'user',
+  completed_at DATETIME NULL,
+  created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_plan_tasks_section_position (section_id, position),
+  KEY idx_plan_tasks_plan_completed (plan_id, completed_at),
+  CONSTRAINT fk_plan_tasks_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_tasks_section FOREIGN KEY (section_id) REFERENCES plan_sections (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plan_checkins (
+  id           INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id      INT NOT NULL,
+  section_id   INT NOT NULL,
+  user_id      INT NOT NULL,
+  checkin_date DATE NOT NULL COMMENT 'Día en la zona horaria del usuario',
+  status       ENUM('done', 'partial', 'skipped') NOT NULL,
+  note         TEXT NULL,
+  mood         TINYINT NULL,
+  timezone     VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  created_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at   DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_plan_checkins_day (section_id, user_id, checkin_date),
+  KEY idx_plan_checkins_plan_user_date (plan_id, user_id, checkin_date),
+  CONSTRAINT fk_plan_checkins_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_checkins_section FOREIGN KEY (section_id) REFERENCES plan_sections (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_checkins_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS plan_chat_messages;
+DROP TABLE IF EXISTS plan_chats;
+DROP TABLE IF EXISTS plan_review_proposals;
+DROP TABLE IF EXISTS plan_reviews;
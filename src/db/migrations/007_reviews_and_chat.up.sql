@@ -0,0 +1,63 @@
+-- Revisiones semanales con IA y conversaciones sobre el plan
+
+CREATE TABLE plan_reviews (
+  id            INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id       INT NOT NULL,
+  user_id       INT NOT NULL,
+  origin        ENUM('manual', 'scheduled') NOT NULL DEFAULT 'manual',
+  period_from   DATE NOT NULL,
+  period_to     DATE NOT NULL,
+  summary       TEXT NOT NULL,
+  adherence     TINYINT UNSIGNED NULL,
+  generation_id INT NULL,
+  created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_plan_reviews_plan_created (plan_id, created_at),
+  CONSTRAINT fk_plan_reviews_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_reviews_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_reviews_generation FOREIGN KEY (generation_id) REFERENCES ai_generations (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plan_review_proposals (
+  id            INT AUTO_INCREMENT PRIMARY KEY,
+  review_id     INT NOT NULL,
+  section_id    INT NOT NULL,
+  instruction   TEXT NOT NULL,
+  rationale     TEXT NOT NULL,
+  status        ENUM('pending', 'accepted', 'rejected') NOT NULL DEFAULT 'pending',
+  decided_by    INT NULL,
+  decided_at    DATETIME NULL,
+  generation_id INT NULL COMMENT 'Ajuste aplicado al aceptarla',
+  created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_plan_review_proposals_review (review_id),
+  CONSTRAINT fk_plan_review_proposals_review FOREIGN KEY (review_id) REFERENCES plan_reviews (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_review_proposals_section FOREIGN KEY (section_id) REFERENCES plan_sections (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_review_proposals_user FOREIGN KEY (decided_by) REFERENCES users (id) ON DELETE SET NULL,
+  CONSTRAINT fk_plan_review_proposals_generation FOREIGN KEY (generation_id) REFERENCES ai_generations (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plan_chats (
+  id         INT AUTO_INCREMENT PRIMARY KEY,
+  plan_id    INT NOT NULL,
+  user_id    INT NOT NULL,
+  title      VARCHAR(255) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  KEY idx_plan_chats_plan_user (plan_id, user_id, updated_at),
+  CONSTRAINT fk_plan_chats_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_chats_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE plan_chat_messages (
+  id                 INT AUTO_INCREMENT PRIMARY KEY,
+  chat_id            INT NOT NULL,
+  role               ENUM('user', 'assistant') NOT NULL,
+  content            MEDIUMTEXT NOT NULL,
+  generation_id      INT NULL,
+  applied_section_id INT NULL,
+  applied_at         DATETIME NULL,
+  created_at         DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  KEY idx_plan_chat_messages_chat (chat_id, id),
+  CONSTRAINT fk_plan_chat_messages_chat FOREIGN KEY (chat_id) REFERENCES plan_chats (id) ON DELETE CASCADE,
+  CONSTRAINT fk_plan_chat_messages_generation FOREIGN KEY (generation_id) REFERENCES ai_generations (id) ON DELETE SET NULL,
+  CONSTRAINT fk_plan_chat_messages_section FOREIGN KEY (applied_section_id) REFERENCES plan_sections (id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,10 @@
+-- Último intento de revisión semanal por plan: el job atiende primero a los
+-- planes que llevan más tiempo sin intentarse, para que uno que falla
+-- siempre (o con la cuota agotada) no bloquee al resto
+
+CREATE TABLE plan_review_attempts (
+  plan_id      INT PRIMARY KEY,
+  attempted_at DATETIME NOT NULL,
+  last_error   VARCHAR(255) NULL,
+  CONSTRAINT fk_plan_review_attempts_plan FOREIGN KEY (plan_id) REFERENCES plans (id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
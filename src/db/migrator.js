@@ -0,0 +1,371 @@
+// src/db/migrator.js
+//
+// Migraciones del esquema. Cada migración son dos ficheros SQL en
+// src/db/migrations con el mismo prefijo numérico:
+//
+//   007_reviews_and_chat.up.sql     aplica el cambio
+//   007_reviews_and_chat.down.sql   lo deshace
+//
+// Se aplican en orden y cada una queda registrada en schema_migrations con
+// el SHA-256 de su .up.sql. Si un fichero ya aplicado cambia, o falta, el
+// esquema se considera inconsistente: las migraciones aplicadas no se
+// editan, se añade una nueva. Un GET_LOCK evita que dos procesos migren a
+// la vez. El DDL de MySQL no es transaccional: si una migración falla a
+// medias, hay que revisar la base de datos antes de reintentar.
+//
+// Las bases de datos creadas antes de existir las migraciones se adoptan con
+// baseline(): registra como aplicadas las migraciones cuyas tablas y
+// columnas ya existen, sin ejecutarlas, y deja el resto pendientes.
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const mysql  = require('mysql2/promise');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN   = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+const LOCK_NAME      = 'lifestyle_schema_migrations';
+const LOCK_TIMEOUT_S = 30;
+
+class MigrationError extends Error {
+  constructor(message, { version = null } = {}) {
+    super(message);
+    this.name    = 'MigrationError';
+    this.code    = 'SCHEMA_MIGRATION_ERROR';
+    this.version = version;
+  }
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Migraciones disponibles en disco, ordenadas por versión.
+ *
+ * @returns {Array<{ version, name, up, down, checksum }>}
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(dir)) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const [, number, name, direction] = match;
+    const version = Number(number);
+    const entry = byVersion.get(version) || { version, name };
+    if (entry.name !== name) {
+      throw new MigrationError(
+        `La versión ${version} tiene dos nombres: ${entry.name} y ${name}`,
+        { version }
+      );
+    }
+    entry[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, entry);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new MigrationError(
+        `La migración ${migration.version}_${migration.name} necesita .up.sql y .down.sql`,
+        { version: migration.version }
+      );
+    }
+    migration.checksum = checksum(migration.up);
+  }
+  return migrations;
+}
+
+// Conexión propia con varias sentencias por consulta (un fichero = una query)
+function connect() {
+  return mysql.createConnection({
+    host:     process.env.DB_HOST,
+    port:     process.env.DB_PORT,
+    user:     process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    database: process.env.DB_NAME,
+    multipleStatements: true
+  });
+}
+
+async function ensureTable(conn) {
+  await conn.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version    INT PRIMARY KEY,
+       name       VARCHAR(255) NOT NULL,
+       checksum   CHAR(64) NOT NULL,
+       applied_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+     ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  );
+}
+
+async function appliedMigrations(conn) {
+  const [rows] = await conn.query(
+    'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+  );
+  return rows;
+}
+
+/**
+ * Compara lo aplicado con lo que hay en disco.
+ *
+ * @returns {{ applied: Array, pending: Array, problems: string[] }}
+ */
+function compare(migrations, applied) {
+  const onDisk   = new Map(migrations.map(m => [m.version, m]));
+  const done     = new Map(applied.map(row => [row.version, row]));
+  const problems = [];
+
+  for (const row of applied) {
+    const migration = onDisk.get(row.version);
+    if (!migration) {
+      problems.push(`La migración aplicada ${row.version}_${row.name} no existe en disco`);
+    } else if (migration.checksum !== row.checksum) {
+      problems.push(
+        `La migración ${row.version}_${row.name} ha cambiado después de aplicarse (checksum distinto)`
+      );
+    }
+  }
+  const lastApplied = applied.length ? applied[applied.length - 1].version : 0;
+  const pending = migrations.filter(m => !done.has(m.version));
+  for (const migration of pending) {
+    if (migration.version < lastApplied) {
+      problems.push(
+        `La migración ${migration.version}_${migration.name} es anterior a la última aplicada (${lastApplied})`
+      );
+    }
+  }
+  return { applied, pending, problems };
+}
+
+// Ejecuta fn(conn) con la tabla de control creada; `lock` serializa las
+// operaciones que escriben (migrate, rollback)
+async function withConnection(fn, { lock = false } = {}) {
+  const conn = await connect();
+  try {
+    if (lock) {
+      const [[{ acquired }]] = await conn.query(
+        'SELECT GET_LOCK(?, ?) AS acquired',
+        [LOCK_NAME, LOCK_TIMEOUT_S]
+      );
+      if (acquired !== 1) {
+        throw new MigrationError('Otro proceso está migrando la base de datos');
+      }
+    }
+    try {
+      await ensureTable(conn);
+      return await fn(conn);
+    } finally {
+      if (lock) await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+    }
+  } finally {
+    await conn.end();
+  }
+}
+
+// Tablas que crea una migración y sus columnas, leídas de los CREATE TABLE
+const TABLE_PATTERN = /CREATE TABLE (?:IF NOT EXISTS )?`?(\w+)`?\s*\(([\s\S]*?)\n\)/gi;
+const NOT_COLUMNS   = new Set(['KEY', 'UNIQUE', 'PRIMARY', 'CONSTRAINT', 'INDEX', 'FOREIGN', 'FULLTEXT']);
+
+function tablesOf(sql) {
+  const tables = new Map();
+  for (const [, table, body] of sql.matchAll(TABLE_PATTERN)) {
+    const columns = body.split('\n')
+      .map(line => /^\s*`?(\w+)`?\s/.exec(line))
+      .filter(match => match && !NOT_COLUMNS.has(match[1].toUpperCase()))
+      .map(match => match[1]);
+    tables.set(table, columns);
+  }
+  return tables;
+}
+
+// Columnas existentes por tabla en la base de datos actual
+async function existingColumns(conn, tables) {
+  const [rows] = await conn.query(
+    `SELECT TABLE_NAME AS table_name, COLUMN_NAME AS column_name
+       FROM information_schema.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME IN (?)`,
+    [tables]
+  );
+  const columns = new Map();
+  for (const row of rows) {
+    if (!columns.has(row.table_name)) columns.set(row.table_name, new Set());
+    columns.get(row.table_name).add(row.column_name);
+  }
+  return columns;
+}
+
+function assertConsistent({ problems }) {
+  if (problems.length) {
+    throw new MigrationError(`Esquema inconsistente:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Aplica las migraciones pendientes (o hasta `to`, incluida).
+ *
+ * @returns {Promise<Array>} migraciones aplicadas
+ */
+async function migrate({ to = Infinity, log = () => {} } = {}) {
+  const migrations = loadMigrations();
+  return withConnection(async conn => {
+    const state = compare(migrations, await appliedMigrations(conn));
+    assertConsistent(state);
+
+    const done = [];
+    for (const migration of state.pending.filter(m => m.version <= to)) {
+      log(`↑ ${migration.version}_${migration.name}`);
+      try {
+        await conn.query(migration.up);
+      } catch (err) {
+        throw new MigrationError(
+          `Falló ${migration.version}_${migration.name}: ${err.message}`,
+          { version: migration.version }
+        );
+      }
+      await conn.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [migration.version, migration.name, migration.checksum]
+      );
+      done.push(migration);
+    }
+    return done;
+  }, { lock: true });
+}
+
+/**
+ * Deshace las últimas `steps` migraciones aplicadas (o hasta dejar `to` como
+ * la última; to = 0 lo deshace todo).
+ *
+ * @returns {Promise<Array>} migraciones deshechas
+ */
+async function rollback({ steps = 1, to = null, log = () => {} } = {}) {
+  const migrations = loadMigrations();
+  const onDisk = new Map(migrations.map(m => [m.version, m]));
+  return withConnection(async conn => {
+    const state = compare(migrations, await appliedMigrations(conn));
+    assertConsistent(state);
+
+    const targets = [...state.applied].reverse()
+      .filter((row, i) => (to === null ? i < steps : row.version > to));
+    const undone = [];
+    for (const row of targets) {
+      const migration = onDisk.get(row.version);
+      log(`↓ ${migration.version}_${migration.name}`);
+      try {
+        await conn.query(migration.down);
+      } catch (err) {
+        throw new MigrationError(
+          `Falló la reversión de ${migration.version}_${migration.name}: ${err.message}`,
+          { version: migration.version }
+        );
+      }
+      await conn.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      undone.push(migration);
+    }
+    return undone;
+  }, { lock: true });
+}
+
+/**
+ * Adopta un esquema creado antes de las migraciones: registra como aplicadas,
+ * en orden y sin ejecutarlas, las migraciones (hasta `to`) cuyas tablas ya
+ * existen con todas sus columnas. Se detiene en la primera que no tiene
+ * ninguna de sus tablas; esa y las siguientes quedan pendientes. Si una
+ * migración existe solo en parte, no registra nada y lista lo que falta.
+ * Solo se puede usar con schema_migrations vacía.
+ *
+ * @returns {Promise<Array>} migraciones registradas
+ */
+async function baseline({ to = Infinity, log = () => {} } = {}) {
+  const migrations = loadMigrations().filter(m => m.version <= to);
+  return withConnection(async conn => {
+    if ((await appliedMigrations(conn)).length) {
+      throw new MigrationError('schema_migrations ya tiene migraciones registradas: usa "npm run migrate"');
+    }
+
+    const present = [];
+    for (const migration of migrations) {
+      const tables   = tablesOf(migration.up);
+      const existing = tables.size ? await existingColumns(conn, [...tables.keys()]) : new Map();
+      if (!existing.size) break;
+
+      const missing = [];
+      for (const [table, columns] of tables) {
+        if (!existing.has(table)) {
+          missing.push(`tabla ${table}`);
+          continue;
+        }
+        columns.filter(column => !existing.get(table).has(column))
+          .forEach(column => missing.push(`columna ${table}.${column}`));
+      }
+      if (missing.length) {
+        throw new MigrationError(
+          `La migración ${migration.version}_${migration.name} está aplicada solo en parte; ` +
+          `falta:\n  - ${missing.join('\n  - ')}\nCompleta el esquema a mano y vuelve a intentarlo`,
+          { version: migration.version }
+        );
+      }
+      present.push(migration);
+    }
+
+    for (const migration of present) {
+      log(`= ${migration.version}_${migration.name}`);
+      await conn.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [migration.version, migration.name, migration.checksum]
+      );
+    }
+    return present;
+  }, { lock: true });
+}
+
+/**
+ * Estado de cada migración: aplicada (con fecha), pendiente o con problemas.
+ */
+async function status() {
+  const migrations = loadMigrations();
+  return withConnection(async conn => {
+    const applied = await appliedMigrations(conn);
+    const state   = compare(migrations, applied);
+    const done    = new Map(applied.map(row => [row.version, row]));
+    return {
+      migrations: migrations.map(m => ({
+        version:    m.version,
+        name:       m.name,
+        applied_at: done.has(m.version) ? done.get(m.version).applied_at : null
+      })),
+      pending:  state.pending.length,
+      problems: state.problems
+    };
+  });
+}
+
+/**
+ * Lanza MigrationError si hay migraciones pendientes o aplicadas que no
+ * coinciden con el disco. Se llama al arrancar el servidor.
+ */
+async function assertSchemaCurrent() {
+  const { pending, problems } = await status();
+  assertConsistent({ problems });
+  if (pending) {
+    throw new MigrationError(
+      `El esquema de la base de datos va por detrás: ${pending} migración(es) pendiente(s). ` +
+      'Ejecuta "npm run migrate" (en una base de datos anterior a las migraciones, ' +
+      '"npm run migrate -- --baseline")'
+    );
+  }
+}
+
+module.exports = {
+  MigrationError,
+  checksum,
+  loadMigrations,
+  compare,
+  tablesOf,
+  migrate,
+  rollback,
+  baseline,
+  status,
+  assertSchemaCurrent
+};
@@ -0,0 +1,29 @@
+// src/db/seed.js
+//
+// Carga los datos de ejemplo de src/db/seeds en orden (npm run seed). Cada
+// seed exporta `run(conn)`, es idempotente (no duplica lo que ya existe) y
+// se ejecuta en su propia transacción. Exige el esquema al día.
+const fs   = require('fs');
+const path = require('path');
+const pool = require('../config/db');
+const { withTransaction } = require('../utils/transaction');
+const { MigrationError, assertSchemaCurrent } = require('./migrator');
+
+const SEEDS_DIR = path.join(__dirname, 'seeds');
+
+async function main() {
+  await assertSchemaCurrent();
+  const files = fs.readdirSync(SEEDS_DIR).filter(file => file.endsWith('.js')).sort();
+  for (const file of files) {
+    const seed = require(path.join(SEEDS_DIR, file));
+    const result = await withTransaction(conn => seed.run(conn));
+    console.log(`🌱 ${file}: ${result}`);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error(`❌ ${err instanceof MigrationError ? err.message : err.stack}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
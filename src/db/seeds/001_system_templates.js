@@ -0,0 +1,57 @@
+// src/db/seeds/001_system_templates.js
+//
+// Plantillas del sistema (user_id NULL) para empezar un plan sin partir de cero.
+
+const TEMPLATES = [
+  {
+    name:        'Vuelta al gimnasio',
+    description: 'Retomar el ejercicio con una progresión suave y una alimentación que la acompañe.',
+    parameters:  {
+      Entrenamiento: '3 días por semana, nivel principiante',
+      Nutrición:     'Más proteína y menos ultraprocesados'
+    },
+    sections: [
+      { section_type: 'Entrenamiento', prompt_hint: 'Incluye calentamiento y progresión semanal' },
+      { section_type: 'Nutrición',     prompt_hint: 'Menús sencillos de preparar entre semana' },
+      { section_type: 'Bienestar',     prompt_hint: 'Descanso y recuperación entre sesiones' }
+    ]
+  },
+  {
+    name:        'Equilibrio trabajo y vida',
+    description: 'Ordenar la semana laboral y recuperar tiempo para aficiones y descanso.',
+    parameters:  {
+      Profesional: 'Jornadas de 8 horas sin reuniones después de las 18:00',
+      Hobbies:     'Dos tardes libres a la semana'
+    },
+    sections: [
+      { section_type: 'Profesional', prompt_hint: 'Bloques de trabajo profundo y límites claros' },
+      { section_type: 'Hobbies',     prompt_hint: null },
+      { section_type: 'Bienestar',   prompt_hint: 'Rutina de desconexión por la noche' }
+    ]
+  }
+];
+
+async function run(conn) {
+  let created = 0;
+  for (const template of TEMPLATES) {
+    const [[existing]] = await conn.query(
+      'SELECT id FROM plan_templates WHERE user_id IS NULL AND name = ?',
+      [template.name]
+    );
+    if (existing) continue;
+    await conn.query(
+      `INSERT INTO plan_templates (user_id, name, description, parameters, sections)
+       VALUES (NULL, ?, ?, ?, ?)`,
+      [
+        template.name,
+        template.description,
+        JSON.stringify(template.parameters),
+        JSON.stringify(template.sections)
+      ]
+    );
+    created++;
+  }
+  return `${created} plantilla(s) creada(s)`;
+}
+
+module.exports = { run };
@@ -0,0 +1,165 @@
+// src/db/seeds/002_demo_user.js
+//
+// Usuario de demostración con dos planes: uno finalizado y en seguimiento
+// (secciones, resumen, recordatorio, tareas y dos semanas de check-ins) y
+// un borrador. Credenciales: SEED_DEMO_EMAIL / SEED_DEMO_PASSWORD.
+const bcrypt = require('bcrypt');
+const { DateTime } = require('luxon');
+const { recordInitialVersion } = require('../../services/sectionVersions');
+const { recordStatus } = require('../../services/planLifecycle');
+require('dotenv').config();
+
+const SALT_ROUNDS = 10;
+const TIMEZONE    = 'Europe/Madrid';
+
+const DEMO_EMAIL    = process.env.SEED_DEMO_EMAIL || 'demo@lifestyle.local';
+const DEMO_PASSWORD = process.env.SEED_DEMO_PASSWORD || 'demo1234';
+
+const SECTIONS = {
+  Entrenamiento:
+    '## Semana tipo\n' +
+    '- Lunes: fuerza de tren inferior (45 min)\n' +
+    '- Miércoles: fuerza de tren superior (45 min)\n' +
+    '- Viernes: cardio suave y movilidad (30 min)\n\n' +
+    'Empieza cada sesión con **10 minutos de calentamiento** y sube la carga un 5 % cada dos semanas.',
+  Nutrición:
+    '## Pautas\n' +
+    '- Proteína en cada comida principal\n' +
+    '- Fruta o yogur como merienda\n' +
+    '- Cocina los domingos para tener tres comidas listas',
+  Bienestar:
+    'Duerme al menos **7 horas** y reserva un día de descanso completo entre sesiones intensas.'
+};
+
+async function createPlan(conn, userId, { title, parameters, status, templateId = null, sectionConfig = null }) {
+  const [plan] = await conn.query(
+    `INSERT INTO plans (user_id, title, parameters, status, template_id, section_config)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      title,
+      JSON.stringify(parameters),
+      status,
+      templateId,
+      sectionConfig && JSON.stringify(sectionConfig)
+    ]
+  );
+  return plan.insertId;
+}
+
+async function seedFollowedPlan(conn, userId) {
+  const [[template]] = await conn.query(
+    "SELECT id, sections FROM plan_templates WHERE user_id IS NULL AND name = 'Vuelta al gimnasio'"
+  );
+  const sectionConfig = template
+    ? (typeof template.sections === 'string' ? JSON.parse(template.sections) : template.sections)
+    : null;
+  const planId = await createPlan(conn, userId, {
+    title:         'Mi vuelta al gimnasio',
+    parameters:    { Entrenamiento: '3 días por semana', Nutrición: 'Más proteína' },
+    status:        'finalized',
+    templateId:    template ? template.id : null,
+    sectionConfig
+  });
+
+  // Historial de estados hasta finalized
+  const steps = [[null, 'draft'], ['draft', 'generated'], ['generated', 'in_review'], ['in_review', 'finalized']];
+  for (const [from, to] of steps) {
+    await recordStatus(conn, { planId, from, to, userId, reason: 'Datos de demostración' });
+  }
+
+  const sectionIds = {};
+  for (const [sectionType, content] of Object.entries(SECTIONS)) {
+    const [section] = await conn.query(
+      'INSERT INTO plan_sections (plan_id, section_type, content) VALUES (?, ?, ?)',
+      [planId, sectionType, content]
+    );
+    sectionIds[sectionType] = section.insertId;
+    await recordInitialVersion(conn, { sectionId: section.insertId, content });
+  }
+
+  await conn.query(
+    'INSERT INTO plan_summaries (plan_id, title, executive_summary) VALUES (?, ?, ?)',
+    [
+      planId,
+      'Vuelta al gimnasio en 12 semanas',
+      'Tres sesiones semanales de fuerza y cardio, alimentación rica en proteína y descanso suficiente.'
+    ]
+  );
+
+  await conn.query(
+    `INSERT INTO plan_reminders (plan_id, section_id, rule, timezone, starts_at, channels, is_active)
+     VALUES (?, ?, ?, ?, NULL, ?, 1)`,
+    [planId, sectionIds.Entrenamiento, 'FREQ=WEEKLY;BYDAY=MO,WE,FR;BYHOUR=8', TIMEZONE, JSON.stringify(['inbox'])]
+  );
+
+  const tasks = [
+    ['Entrenamiento', 'Sesión de fuerza de tren inferior', 'weekly', 'done'],
+    ['Entrenamiento', 'Sesión de fuerza de tren superior', 'weekly', 'in_progress'],
+    ['Nutrición',     'Cocinar las comidas del lunes al miércoles', 'weekly', 'pending'],
+    ['Bienestar',     'Acostarse antes de las 23:30', 'daily', 'pending']
+  ];
+  for (const [i, [sectionType, title, frequency, status]] of tasks.entries()) {
+    await conn.query(
+      `INSERT INTO plan_tasks
+         (plan_id, section_id, title, frequency, status, position, source, completed_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'ai', ?)`,
+      [planId, sectionIds[sectionType], title, frequency, status, i, status === 'done' ? new Date() : null]
+    );
+  }
+
+  // Dos semanas de check-ins: entrenamiento lunes, miércoles y viernes;
+  // nutrición casi todos los días, con algún día a medias
+  const today = DateTime.now().setZone(TIMEZONE).startOf('day');
+  for (let i = 13; i >= 0; i--) {
+    const day  = today.minus({ days: i });
+    const date = day.toISODate();
+    if ([1, 3, 5].includes(day.weekday)) {
+      const skipped = i === 9;
+      await conn.query(
+        `INSERT INTO plan_checkins
+           (plan_id, section_id, user_id, checkin_date, status, note, mood, timezone)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          planId, sectionIds.Entrenamiento, userId, date,
+          skipped ? 'skipped' : 'done',
+          skipped ? 'Reunión hasta tarde, no me dio tiempo' : null,
+          skipped ? 2 : 4,
+          TIMEZONE
+        ]
+      );
+    }
+    if (i % 4 !== 3) {
+      await conn.query(
+        `INSERT INTO plan_checkins
+           (plan_id, section_id, user_id, checkin_date, status, mood, timezone)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [planId, sectionIds.Nutrición, userId, date, i % 3 === 0 ? 'partial' : 'done', 3, TIMEZONE]
+      );
+    }
+  }
+}
+
+async function run(conn) {
+  const [[existing]] = await conn.query('SELECT id FROM users WHERE email = ?', [DEMO_EMAIL]);
+  if (existing) return `el usuario ${DEMO_EMAIL} ya existe`;
+
+  const hash = await bcrypt.hash(DEMO_PASSWORD, SALT_ROUNDS);
+  const [user] = await conn.query(
+    'INSERT INTO users (email, password_hash, email_verified_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+    [DEMO_EMAIL, hash]
+  );
+  const userId = user.insertId;
+
+  await seedFollowedPlan(conn, userId);
+  const draftId = await createPlan(conn, userId, {
+    title:      'Mi primer plan',
+    parameters: { Profesional: 'Avanzar en mi carrera', Nutrición: 'Dieta balanceada' },
+    status:     'draft'
+  });
+  await recordStatus(conn, { planId: draftId, from: null, to: 'draft', userId, reason: 'Datos de demostración' });
+
+  return `usuario ${DEMO_EMAIL} creado con 2 planes`;
+}
+
+module.exports = { run };
@@ -5,12 +5,46 @@ const cors          = require('cors');
 const swaggerUi     = require('swagger-ui-express');
 const swaggerJsdoc  = require('swagger-jsdoc');
 const pool          = require('./config/db');
+const { validateAiConfig } = require('./config/ai');
+const { validatePdfConfig } = require('./config/pdf');
+const { validateUrlConfig } = require('./utils/url');
+const { assertSchemaCurrent } = require('./db/migrator');
 
 // Routers
 const authRouter  = require('./routes/auth');
 const plansRouter = require('./routes/plans');
 const aiRouter = require('./routes/ai');
 const remindersRouter = require('./routes/reminders');
+const inboxRouter = require('./routes/inbox');
+const calendarRouter = require('./routes/calendar');
+const adminRouter = require('./routes/admin');
+const meRouter = require('./routes/me');
+const sharedRouter = require('./routes/shared');
+const templatesRouter = require('./routes/templates');
+
+// Jobs
+const reminderDispatcher = require('./jobs/reminderDispatcher');
+const weeklyReview = require('./jobs/weeklyReview');
+
+// ─── Validación de configuración ──────────────────────────────────────────────
+const aiProblems = validateAiConfig();
+if (aiProblems.length) {
+  console.error('❌ Configuración de IA inválida:');
+  aiProblems.forEach(problem => console.error(`   - ${problem}`));
+  process.exit(1);
+}
+const pdfProblems = validatePdfConfig();
+if (pdfProblems.length) {
+  console.error('❌ Configuración del PDF inválida:');
+  pdfProblems.forEach(problem => console.error(`   - ${problem}`));
+  process.exit(1);
+}
+const urlProblems = validateUrlConfig();
+if (urlProblems.length) {
+  console.error('❌ Configuración de URL pública inválida:');
+  urlProblems.forEach(problem => console.error(`   - ${problem}`));
+  process.exit(1);
+}
 
 const app = express();
 
@@ -61,6 +95,12 @@ app.use('/auth', authRouter);
 app.use('/plans', plansRouter);
 app.use('/ai', aiRouter);
 app.use('/reminders', remindersRouter);
+app.use('/inbox', inboxRouter);
+app.use('/calendar', calendarRouter);
+app.use('/admin', adminRouter);
+app.use('/me', meRouter);
+app.use('/shared', sharedRouter);
+app.use('/templates', templatesRouter);
 
 /**
  * @swagger
@@ -88,7 +128,25 @@ app.get('/api/health', async (_, res) => {
 
 // ─── Inicio del servidor ───────────────────────────────────────────────────────
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`🚀 Backend escuchando en http://localhost:${PORT}`);
-  console.log(`📚 Swagger UI disponible en http://localhost:${PORT}/api-docs`);
-});
+
+// No arranca con migraciones pendientes o con el esquema inconsistente
+assertSchemaCurrent()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 Backend escuchando en http://localhost:${PORT}`);
+      console.log(`📚 Swagger UI disponible en http://localhost:${PORT}/api-docs`);
+
+      // REMINDER_DISPATCHER=off desactiva el envío (p. ej. en réplicas de solo API)
+      if (process.env.REMINDER_DISPATCHER !== 'off') {
+        reminderDispatcher.start();
+      }
+      // WEEKLY_REVIEW=off desactiva la revisión semanal automática con IA
+      if (process.env.WEEKLY_REVIEW !== 'off') {
+        weeklyReview.start();
+      }
+    });
+  })
+  .catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  });
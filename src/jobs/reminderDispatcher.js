@@ -0,0 +1,221 @@
+// src/jobs/reminderDispatcher.js
+//
+// Worker en proceso que busca recordatorios activos vencidos y los entrega
+// por sus canales. Cada (recordatorio, ocurrencia, canal) se reclama con un
+// INSERT IGNORE sobre una clave única en reminder_deliveries, de modo que un
+// reinicio (o dos instancias) nunca envía dos veces la misma ocurrencia.
+// Cada recordatorio y cada reintento se procesa por separado: un error en
+// uno (p. ej. channels corrupto) se registra y no detiene el ciclo.
+const pool = require('../config/db');
+const { occurrencesBetween, RecurrenceError } = require('../services/recurrence');
+const { getChannel, DEFAULT_CHANNELS } = require('../services/channels');
+require('dotenv').config();
+
+const config = {
+  intervalMs:       Number(process.env.REMINDER_DISPATCH_INTERVAL_MS) || 60 * 1000,
+  lookbackMinutes:  Number(process.env.REMINDER_LOOKBACK_MINUTES)     || 60,
+  maxAttempts:      Number(process.env.REMINDER_MAX_ATTEMPTS)         || 5,
+  retryBaseSeconds: Number(process.env.REMINDER_RETRY_BASE_SECONDS)   || 60,
+  // Un envío que lleva más de esto en 'sending' se considera abandonado
+  staleMinutes:     Number(process.env.REMINDER_STALE_MINUTES)        || 10
+};
+
+let timer   = null;
+let running = false;
+
+function buildMessage(row, occurrenceAt) {
+  const where = row.section_type ? ` · ${row.section_type}` : '';
+  return {
+    reminder_id:   row.reminder_id,
+    plan_id:       row.plan_id,
+    user_id:       row.user_id,
+    email:         row.email,
+    section_type:  row.section_type,
+    occurrence_at: new Date(occurrenceAt).toISOString(),
+    title:         `Recordatorio: ${row.plan_title || 'Tu plan'}${where}`,
+    body:          `Es momento de avanzar en tu plan "${row.plan_title || ''}"${where}.`
+  };
+}
+
+function channelsOf(row) {
+  const list = typeof row.channels === 'string' ? JSON.parse(row.channels) : row.channels;
+  return Array.isArray(list) && list.length ? list : DEFAULT_CHANNELS;
+}
+
+// Espera exponencial: base, 2·base, 4·base…
+function retryDelayMs(attempts) {
+  return config.retryBaseSeconds * 1000 * 2 ** (attempts - 1);
+}
+
+/**
+ * Ejecuta un intento de entrega sobre una fila ya reclamada (status 'sending')
+ * y registra el resultado en reminder_deliveries y reminder_delivery_attempts.
+ */
+async function attempt(delivery, row, now) {
+  const attemptNo = delivery.attempts + 1;
+  const channel   = getChannel(delivery.channel);
+  let error = null;
+
+  try {
+    if (!channel) throw new Error(`Canal desconocido: ${delivery.channel}`);
+    await channel.deliver(buildMessage(row, delivery.occurrence_at));
+  } catch (err) {
+    error = err.message || String(err);
+  }
+
+  let status = 'sent';
+  let nextAttemptAt = null;
+  if (error) {
+    status = attemptNo >= config.maxAttempts ? 'dead' : 'failed';
+    if (status === 'failed') {
+      nextAttemptAt = new Date(now.getTime() + retryDelayMs(attemptNo));
+    }
+  }
+
+  await pool.query(
+    `UPDATE reminder_deliveries
+        SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?,
+            delivered_at = ?, updated_at = ?
+      WHERE id = ?`,
+    [status, attemptNo, error, nextAttemptAt, error ? null : now, now, delivery.id]
+  );
+  await pool.query(
+    `INSERT INTO reminder_delivery_attempts (delivery_id, attempt, status, error)
+     VALUES (?, ?, ?, ?)`,
+    [delivery.id, attemptNo, error ? 'failed' : 'sent', error]
+  );
+
+  if (error) {
+    console.error(`Recordatorio ${row.reminder_id} vía ${delivery.channel} (intento ${attemptNo}):`, error);
+  }
+}
+
+const REMINDER_SELECT =
+  `SELECT r.id AS reminder_id, r.plan_id, r.rule, r.timezone, r.starts_at,
+          r.created_at, r.channels, r.is_active, p.user_id, p.title AS plan_title,
+          u.email, s.section_type
+     FROM plan_reminders r
+     JOIN plans p ON r.plan_id = p.id
+     JOIN users u ON p.user_id = u.id
+     LEFT JOIN plan_sections s ON r.section_id = s.id`;
+
+// 1) Nuevas ocurrencias vencidas dentro de la ventana de búsqueda
+async function dispatchDue(now) {
+  const from = new Date(now.getTime() - config.lookbackMinutes * 60 * 1000);
+  const [reminders] = await pool.query(`${REMINDER_SELECT} WHERE r.is_active = 1`);
+
+  for (const row of reminders) {
+    try {
+      await dispatchReminder(row, from, now);
+    } catch (err) {
+      console.error(`Recordatorio ${row.reminder_id}:`, err);
+    }
+  }
+}
+
+async function dispatchReminder(row, from, now) {
+  let due;
+  try {
+    due = occurrencesBetween(
+      { rule: row.rule, timezone: row.timezone || 'UTC', starts_at: row.starts_at || row.created_at },
+      from,
+      now
+    );
+  } catch (err) {
+    if (err instanceof RecurrenceError) return; // regla antigua no interpretable
+    throw err;
+  }
+  if (!due.length) return;
+
+  const channels = channelsOf(row);
+  for (const occurrenceAt of due) {
+    for (const channel of channels) {
+      const [claim] = await pool.query(
+        `INSERT IGNORE INTO reminder_deliveries
+           (reminder_id, occurrence_at, channel, status, attempts, created_at, updated_at)
+         VALUES (?, ?, ?, 'sending', 0, ?, ?)`,
+        [row.reminder_id, occurrenceAt, channel, now, now]
+      );
+      if (!claim.affectedRows) continue; // ya enviado o en curso
+      await attempt(
+        { id: claim.insertId, channel, occurrence_at: occurrenceAt, attempts: 0 },
+        row,
+        now
+      );
+    }
+  }
+}
+
+// 2) Reintentos de entregas fallidas o abandonadas a mitad de envío. Los de
+// recordatorios desactivados se quedan como están hasta que se reactiven.
+async function retryPending(now) {
+  const stale = new Date(now.getTime() - config.staleMinutes * 60 * 1000);
+  const [deliveries] = await pool.query(
+    `SELECT d.id, d.reminder_id, d.channel, d.occurrence_at, d.attempts, d.status
+       FROM reminder_deliveries d
+       JOIN plan_reminders r ON d.reminder_id = r.id
+      WHERE r.is_active = 1
+        AND ((d.status = 'failed' AND d.next_attempt_at <= ?)
+          OR (d.status = 'sending' AND d.updated_at < ?))`,
+    [now, stale]
+  );
+
+  for (const delivery of deliveries) {
+    try {
+      await retryDelivery(delivery, now);
+    } catch (err) {
+      console.error(`Reintento de la entrega ${delivery.id}:`, err);
+    }
+  }
+}
+
+async function retryDelivery(delivery, now) {
+  // Reclamar el reintento; si otra instancia se adelantó, se omite
+  const [claim] = await pool.query(
+    `UPDATE reminder_deliveries
+        SET status = 'sending', updated_at = ?
+      WHERE id = ? AND status = ? AND attempts = ?`,
+    [now, delivery.id, delivery.status, delivery.attempts]
+  );
+  if (!claim.affectedRows) return;
+
+  const [[row]] = await pool.query(`${REMINDER_SELECT} WHERE r.id = ?`, [delivery.reminder_id]);
+  if (!row) return; // recordatorio eliminado: la entrega se borra en cascada
+  if (!row.is_active) {
+    // Desactivado entre la consulta y el reclamo: se devuelve a su estado
+    await pool.query(
+      'UPDATE reminder_deliveries SET status = ? WHERE id = ?',
+      [delivery.status, delivery.id]
+    );
+    return;
+  }
+  await attempt(delivery, row, now);
+}
+
+async function tick(now = new Date()) {
+  if (running) return;
+  running = true;
+  try {
+    await dispatchDue(now);
+    await retryPending(now);
+  } catch (err) {
+    console.error('Reminder dispatcher error:', err);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, config.intervalMs);
+  timer.unref();
+  tick();
+  console.log(`⏰ Dispatcher de recordatorios activo (cada ${config.intervalMs / 1000}s)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, tick, config };
@@ -0,0 +1,118 @@
+// src/jobs/weeklyReview.js
+//
+// Worker en proceso que lanza la revisión semanal (ver services/reviews.js)
+// de los planes en seguimiento: con secciones, sin revisión en los últimos
+// REVIEW_DAYS días y con algún check-in del dueño en los últimos
+// WEEKLY_REVIEW_ACTIVE_DAYS (los planes abandonados no gastan IA). Respeta
+// las cuotas de IA del dueño; si están agotadas, el plan espera al
+// siguiente ciclo.
+//
+// Cada intento queda en plan_review_attempts. Un plan no se reintenta hasta
+// pasados WEEKLY_REVIEW_RETRY_MS y los lotes empiezan por los que llevan
+// más tiempo sin intentarse, así que un plan que falla siempre no ocupa
+// los primeros puestos de cada ciclo.
+const pool = require('../config/db');
+const { QuotaExceededError, acquire } = require('../services/ai/quota');
+const { REVIEW_DAYS, reviewTimezone, runReview } = require('../services/reviews');
+require('dotenv').config();
+
+const config = {
+  intervalMs: Number(process.env.WEEKLY_REVIEW_INTERVAL_MS)  || 60 * 60 * 1000,
+  batchSize:  Number(process.env.WEEKLY_REVIEW_BATCH_SIZE)   || 10,
+  activeDays: Number(process.env.WEEKLY_REVIEW_ACTIVE_DAYS)  || 30,
+  retryMs:    Number(process.env.WEEKLY_REVIEW_RETRY_MS)     || 6 * 60 * 60 * 1000
+};
+
+let timer   = null;
+let running = false;
+
+async function duePlans(now) {
+  const reviewedSince = new Date(now.getTime() - REVIEW_DAYS * 24 * 3600 * 1000);
+  const activeSince   = new Date(now.getTime() - config.activeDays * 24 * 3600 * 1000);
+  const retrySince    = new Date(now.getTime() - config.retryMs);
+  const [plans] = await pool.query(
+    `SELECT p.id, p.user_id, p.status, p.created_at
+       FROM plans p
+       JOIN users u ON p.user_id = u.id
+       LEFT JOIN plan_review_attempts a ON a.plan_id = p.id
+      WHERE p.status IN ('generated', 'in_review', 'finalized')
+        AND (a.attempted_at IS NULL OR a.attempted_at < ?)
+        AND u.disabled_at IS NULL
+        AND p.created_at <= ?
+        AND EXISTS (SELECT 1 FROM plan_sections s WHERE s.plan_id = p.id)
+        AND EXISTS (SELECT 1 FROM plan_checkins c
+                     WHERE c.plan_id = p.id AND c.user_id = p.user_id AND c.checkin_date >= ?)
+        AND NOT EXISTS (SELECT 1 FROM plan_reviews r
+                         WHERE r.plan_id = p.id AND r.created_at > ?)
+      ORDER BY a.attempted_at IS NOT NULL, a.attempted_at, p.id
+      LIMIT ?`,
+    [retrySince, reviewedSince, activeSince, reviewedSince, config.batchSize]
+  );
+  return plans;
+}
+
+async function recordAttempt(planId, now, error = null) {
+  await pool.query(
+    `INSERT INTO plan_review_attempts (plan_id, attempted_at, last_error)
+     VALUES (?, ?, ?)
+     ON DUPLICATE KEY UPDATE attempted_at = VALUES(attempted_at),
+                             last_error   = VALUES(last_error)`,
+    [planId, now, error && error.slice(0, 255)]
+  );
+}
+
+async function reviewPlan(plan, now) {
+  await recordAttempt(plan.id, now);
+  let release;
+  try {
+    release = await acquire(plan.user_id);
+  } catch (err) {
+    if (err instanceof QuotaExceededError) {
+      // se reintenta pasado config.retryMs
+      return recordAttempt(plan.id, now, err.message);
+    }
+    throw err;
+  }
+  try {
+    const timezone = await reviewTimezone(plan.id, plan.user_id);
+    await runReview({ plan, userId: plan.user_id, timezone, origin: 'scheduled' });
+  } catch (err) {
+    await recordAttempt(plan.id, now, err.message);
+    throw err;
+  } finally {
+    release();
+  }
+}
+
+async function tick(now = new Date()) {
+  if (running) return;
+  running = true;
+  try {
+    for (const plan of await duePlans(now)) {
+      try {
+        await reviewPlan(plan, now);
+      } catch (err) {
+        console.error(`Revisión semanal del plan ${plan.id}:`, err);
+      }
+    }
+  } catch (err) {
+    console.error('Weekly review error:', err);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (timer) return;
+  timer = setInterval(tick, config.intervalMs);
+  timer.unref();
+  tick();
+  console.log(`🗓️  Revisión semanal de planes activa (cada ${config.intervalMs / 1000}s)`);
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, tick, config };
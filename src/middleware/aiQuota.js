@@ -0,0 +1,39 @@
+// src/middleware/aiQuota.js
+//
+// Aplica las cuotas de IA del usuario (ver src/services/ai/quota.js) a una
+// ruta que llama al modelo. Va después de `auth` (y de `idempotency`, para
+// que las respuestas repetidas no consuman cuota). El hueco de concurrencia
+// se libera cuando la ruta termina, no cuando el cliente se desconecta: la
+// generación sigue en curso aunque se cierre el stream. createResponder lo
+// libera en send/fail (ver res.locals.releaseAiQuota) y, para respuestas
+// que no pasan por él, al terminar de enviarse ('finish').
+//
+//   router.post('/generate', auth, aiQuota(), …)
+//   router.patch('/…', auth, aiQuota({ skip: req => !req.body.comment }), …)
+const { QuotaExceededError, acquire } = require('../services/ai/quota');
+
+function aiQuota({ skip } = {}) {
+  return async (req, res, next) => {
+    if (skip && skip(req)) return next();
+
+    let release;
+    try {
+      release = await acquire(req.user.userId);
+    } catch (err) {
+      if (err instanceof QuotaExceededError) {
+        return res
+          .set('Retry-After', String(err.retryAfter))
+          .status(err.status)
+          .json(err.toJSON());
+      }
+      console.error(err);
+      return res.status(500).json({ error: 'Error al comprobar la cuota de IA' });
+    }
+
+    res.locals.releaseAiQuota = release;
+    res.on('finish', release);
+    next();
+  };
+}
+
+module.exports = aiQuota;
@@ -1,10 +1,11 @@
 // src/middleware/auth.js
 const jwt = require('jsonwebtoken');
+const { AuthTokenError, assertSessionActive } = require('../services/tokens');
 require('dotenv').config();
 
 function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
-  if (!authHeader) 
+  if (!authHeader)
     return res.status(401).json({ error: 'Token requerido' });
 
   const parts = authHeader.split(' ');
@@ -12,10 +13,30 @@ function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Token malformado' });
 
   const token = parts[1];
-  jwt.verify(token, process.env.JWT_SECRET, (err, payload) => {
-    if (err) 
+  jwt.verify(token, process.env.JWT_SECRET, async (err, payload) => {
+    if (err && err.name === 'TokenExpiredError')
+      return res.status(401).json({ error: 'Token expirado', code: 'TOKEN_EXPIRED' });
+    if (err)
       return res.status(403).json({ error: 'Token inválido' });
-    req.user = { userId: payload.userId, email: payload.email };
+
+    // Revocación en servidor: logout, reutilización de refresh token,
+    // cambio de contraseña posterior a la emisión o cuenta deshabilitada
+    let current;
+    try {
+      current = await assertSessionActive(payload);
+    } catch (e) {
+      if (e instanceof AuthTokenError)
+        return res.status(e.status).json(e.toJSON());
+      console.error(e);
+      return res.status(500).json({ error: 'Error al verificar token' });
+    }
+
+    req.user = {
+      userId:    payload.userId,
+      email:     payload.email,
+      role:      current.role,
+      sessionId: payload.sid
+    };
     next();
   });
 }
@@ -0,0 +1,127 @@
+// src/middleware/idempotency.js
+//
+// Soporte de la cabecera Idempotency-Key. La primera petición con una clave
+// se ejecuta y su respuesta (status + cuerpo) se guarda; los reintentos con
+// la misma clave reciben esa respuesta sin volver a ejecutar la ruta.
+// Debe ir después de `auth`, porque las claves son por usuario.
+const crypto = require('crypto');
+const pool   = require('../config/db');
+
+const KEY_TTL_HOURS          = 24;
+const PROCESSING_TTL_MINUTES = 10;
+const MAX_KEY_LENGTH         = 255;
+
+function requestHash(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ error: `Idempotency-Key no puede superar ${MAX_KEY_LENGTH} caracteres` });
+  }
+
+  const userId = req.user.userId;
+  const hash   = requestHash(req);
+  const now    = Date.now();
+
+  try {
+    // Claves caducadas o ejecuciones abandonadas dejan de bloquear
+    await pool.query(
+      `DELETE FROM idempotency_keys
+        WHERE user_id = ? AND idem_key = ?
+          AND (created_at < ? OR (status = 'processing' AND created_at < ?))`,
+      [
+        userId,
+        key,
+        new Date(now - KEY_TTL_HOURS * 3600 * 1000),
+        new Date(now - PROCESSING_TTL_MINUTES * 60 * 1000)
+      ]
+    );
+
+    const [claim] = await pool.query(
+      `INSERT IGNORE INTO idempotency_keys (user_id, idem_key, request_hash, status, created_at)
+       VALUES (?, ?, ?, 'processing', ?)`,
+      [userId, key, hash, new Date(now)]
+    );
+
+    if (!claim.affectedRows) {
+      const [[stored]] = await pool.query(
+        `SELECT request_hash, status, response_status, response_body
+           FROM idempotency_keys
+          WHERE user_id = ? AND idem_key = ?`,
+        [userId, key]
+      );
+      if (!stored) return next(); // borrada entre medias: se ejecuta sin clave
+      if (stored.request_hash !== hash) {
+        return res.status(422).json({
+          error: 'Idempotency-Key ya usada con una petición distinta'
+        });
+      }
+      if (stored.status === 'processing') {
+        return res
+          .set('Retry-After', '5')
+          .status(409)
+          .json({ error: 'Una petición con esta Idempotency-Key sigue en curso' });
+      }
+      return res
+        .set('Idempotent-Replayed', 'true')
+        .status(stored.response_status)
+        .json(JSON.parse(stored.response_body));
+    }
+  } catch (err) {
+    console.error(err);
+    return res.status(500).json({ error: 'Error al procesar Idempotency-Key' });
+  }
+
+  let finalized = false;
+  async function finalize(result) {
+    if (finalized) return;
+    finalized = true;
+    try {
+      if (result && result.status < 500 && result.status !== 429) {
+        await pool.query(
+          `UPDATE idempotency_keys
+              SET status = 'completed', response_status = ?, response_body = ?, completed_at = ?
+            WHERE user_id = ? AND idem_key = ?`,
+          [result.status, JSON.stringify(result.body), new Date(), userId, key]
+        );
+      } else {
+        // Errores del servidor y cuotas agotadas: se libera la clave para
+        // poder reintentar
+        await pool.query(
+          'DELETE FROM idempotency_keys WHERE user_id = ? AND idem_key = ?',
+          [userId, key]
+        );
+      }
+    } catch (err) {
+      console.error('No se pudo guardar la respuesta idempotente:', err.message);
+    }
+  }
+
+  // Respuestas JSON: se capturan al enviarlas
+  const originalJson = res.json.bind(res);
+  res.json = body => {
+    finalize({ status: res.statusCode, body });
+    return originalJson(body);
+  };
+  // Respuestas SSE: el responder (src/utils/sse.js) avisa del resultado final,
+  // aunque el cliente ya se haya desconectado
+  res.locals.onResult = finalize;
+
+  res.on('close', () => {
+    // Respuesta enviada sin pasar por res.json (p. ej. el manejador de
+    // errores de Express): se libera la clave. Si el cliente se desconecta
+    // antes, la ruta sigue trabajando y guarda su resultado al terminar,
+    // igual en JSON que en SSE; mientras tanto la clave sigue 'processing'
+    if (res.writableFinished) finalize(null);
+  });
+
+  next();
+}
+
+module.exports = idempotency;
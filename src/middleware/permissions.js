@@ -0,0 +1,40 @@
+// src/middleware/permissions.js
+//
+// Control de acceso por rol. Va después de `auth`, que deja el rol actual
+// del usuario en req.user.role:
+//
+//   router.get('/users', auth, requirePermission('users:read'), …)
+//   router.use(auth, requireRole('admin'))
+const ROLES = ['user', 'admin'];
+
+const PERMISSIONS = {
+  user:  [],
+  admin: ['users:read', 'users:manage', 'plans:read_any', 'stats:read', 'templates:manage']
+};
+
+function hasPermission(role, permission) {
+  return (PERMISSIONS[role] || []).includes(permission);
+}
+
+function forbidden(res) {
+  return res.status(403).json({ error: 'Permisos insuficientes', code: 'FORBIDDEN' });
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) return forbidden(res);
+    next();
+  };
+}
+
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    const role = req.user && req.user.role;
+    if (!permissions.every(permission => hasPermission(role, permission))) {
+      return forbidden(res);
+    }
+    next();
+  };
+}
+
+module.exports = { ROLES, PERMISSIONS, hasPermission, requireRole, requirePermission };
@@ -0,0 +1,76 @@
+// src/middleware/planAccess.js
+//
+// Acceso a un plan según el rol del usuario en él: el dueño, o un
+// colaborador invitado como viewer, commenter o editor. Va después de `auth`
+// y deja el plan en req.plan y el rol en req.planRole.
+//
+//   router.get('/:planId', auth, planAccess('viewer'), …)
+//   router.delete('/:planId', auth, planAccess('owner'), …)
+//
+// Quien no tiene ningún rol recibe 404, igual que si el plan no existiera.
+const pool = require('../config/db');
+
+const COLLABORATOR_ROLES = ['viewer', 'commenter', 'editor'];
+
+const ROLE_RANK = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+const PLAN_COLUMNS =
+  'p.id, p.user_id, p.title, p.parameters, p.status, p.template_id, p.section_config, p.created_at, p.updated_at';
+
+function hasPlanRole(role, required) {
+  return (ROLE_RANK[role] || 0) >= ROLE_RANK[required];
+}
+
+/**
+ * Plan y rol del usuario en él, o null si no tiene acceso.
+ */
+async function findPlanWithRole(planId, userId) {
+  const [[row]] = await pool.query(
+    `SELECT ${PLAN_COLUMNS},
+            CASE WHEN p.user_id = ? THEN 'owner' ELSE c.role END AS role
+       FROM plans p
+       LEFT JOIN plan_collaborators c ON c.plan_id = p.id AND c.user_id = ?
+      WHERE p.id = ? AND (p.user_id = ? OR c.user_id IS NOT NULL)`,
+    [userId, userId, planId, userId]
+  );
+  if (!row) return null;
+  const { role, ...plan } = row;
+  return { plan, role };
+}
+
+function planForbidden(res, role) {
+  return res.status(403).json({
+    error: 'Tu rol en este plan no permite esta acción',
+    code:  'PLAN_FORBIDDEN',
+    role
+  });
+}
+
+function planAccess(required) {
+  return async (req, res, next) => {
+    let access;
+    try {
+      access = await findPlanWithRole(req.params.planId, req.user.userId);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: 'Error al comprobar acceso al plan' });
+    }
+    if (!access) {
+      return res.status(404).json({ error: 'Plan no encontrado' });
+    }
+    if (!hasPlanRole(access.role, required)) {
+      return planForbidden(res, access.role);
+    }
+    req.plan     = access.plan;
+    req.planRole = access.role;
+    next();
+  };
+}
+
+module.exports = {
+  COLLABORATOR_ROLES,
+  hasPlanRole,
+  findPlanWithRole,
+  planForbidden,
+  planAccess
+};
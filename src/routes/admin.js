@@ -0,0 +1,525 @@
+// src/routes/admin.js
+//
+// API de administración para el equipo de operaciones. Todas las rutas
+// requieren rol con el permiso correspondiente; el acceso a planes ajenos
+// es de solo lectura.
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { ROLES, requirePermission } = require('../middleware/permissions');
+const { revokeAllSessions } = require('../services/tokens');
+const router  = express.Router();
+
+const USER_COLUMNS =
+  'id, email, role, email_verified_at, disabled_at, created_at';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE     = 200;
+
+function pagination(query) {
+  const limit  = Math.max(1, Math.min(Math.floor(Number(query.limit)) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+  const offset = query.offset === undefined || query.offset === '' ? 0 : Number(query.offset);
+  // null = offset inválido (negativo, fraccionario o no numérico)
+  if (!Number.isInteger(offset) || offset < 0) return null;
+  return { limit, offset };
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administración de usuarios y métricas (requiere rol admin)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AdminUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *         email_verified_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         disabled_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: Lista y busca usuarios
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Busca por fragmento de email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, admin]
+ *       - in: query
+ *         name: disabled
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           minimum: 1
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: Página de usuarios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: role u offset inválido
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       500:
+ *         description: Error interno
+ */
+router.get('/users', auth, requirePermission('users:read'), async (req, res) => {
+  const { q, role, disabled } = req.query;
+  const page = pagination(req.query);
+  if (!page) {
+    return res.status(400).json({ error: 'offset debe ser un entero >= 0' });
+  }
+  const { limit, offset } = page;
+  const where  = [];
+  const values = [];
+
+  if (q) {
+    where.push('email LIKE ?');
+    values.push(`%${q}%`);
+  }
+  if (role) {
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role debe ser uno de: ${ROLES.join(', ')}` });
+    }
+    where.push('role = ?');
+    values.push(role);
+  }
+  if (disabled !== undefined) {
+    where.push(disabled === 'true' ? 'disabled_at IS NOT NULL' : 'disabled_at IS NULL');
+  }
+  const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  try {
+    const [[{ total }]] = await pool.query(
+      `SELECT COUNT(*) AS total FROM users ${clause}`,
+      values
+    );
+    const [items] = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM users ${clause} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...values, limit, offset]
+    );
+    res.json({ total, items });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar usuarios' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}:
+ *   get:
+ *     summary: Detalle de un usuario con sus contadores
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AdminUser'
+ *                 - type: object
+ *                   properties:
+ *                     plans:
+ *                       type: integer
+ *                     ai_calls:
+ *                       type: integer
+ *                     active_sessions:
+ *                       type: integer
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/users/:userId', auth, requirePermission('users:read'), async (req, res) => {
+  const { userId } = req.params;
+  try {
+    const [[user]] = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = ?`,
+      [userId]
+    );
+    if (!user) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    const [[counts]] = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM plans WHERE user_id = ?) AS plans,
+         (SELECT COUNT(*) FROM ai_generations WHERE user_id = ?) AS ai_calls,
+         (SELECT COUNT(*) FROM auth_sessions WHERE user_id = ? AND revoked_at IS NULL) AS active_sessions`,
+      [userId, userId, userId]
+    );
+    res.json({ ...user, ...counts });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener usuario' });
+  }
+});
+
+async function setDisabled(req, res, disabled) {
+  const { userId } = req.params;
+  if (disabled && Number(userId) === req.user.userId) {
+    return res.status(400).json({ error: 'No puedes deshabilitar tu propia cuenta' });
+  }
+
+  try {
+    const [result] = await pool.query(
+      `UPDATE users SET disabled_at = ${disabled ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE id = ?`,
+      [userId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ error: 'Usuario no encontrado' });
+    }
+    // Al deshabilitar se cierran también todas sus sesiones
+    if (disabled) await revokeAllSessions(userId, 'disabled');
+
+    const [[user]] = await pool.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = ?`,
+      [userId]
+    );
+    res.json(user);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al actualizar usuario' });
+  }
+}
+
+/**
+ * @swagger
+ * /admin/users/{userId}/disable:
+ *   post:
+ *     summary: Deshabilita una cuenta y cierra todas sus sesiones
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Usuario deshabilitado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: No se puede deshabilitar la propia cuenta
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.post('/users/:userId/disable', auth, requirePermission('users:manage'), (req, res) =>
+  setDisabled(req, res, true)
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/enable:
+ *   post:
+ *     summary: Vuelve a habilitar una cuenta
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Usuario habilitado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.post('/users/:userId/enable', auth, requirePermission('users:manage'), (req, res) =>
+  setDisabled(req, res, false)
+);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/plans:
+ *   get:
+ *     summary: Lista los planes de un usuario (solo lectura)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Array de planes
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       500:
+ *         description: Error interno
+ */
+router.get('/users/:userId/plans', auth, requirePermission('plans:read_any'), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, title, parameters, status, created_at, updated_at
+         FROM plans
+        WHERE user_id = ?
+        ORDER BY id DESC`,
+      [req.params.userId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar planes' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/plans/{planId}:
+ *   get:
+ *     summary: Detalle de cualquier plan con secciones y último resumen (solo lectura)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Plan completo
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/plans/:planId', auth, requirePermission('plans:read_any'), async (req, res) => {
+  const { planId } = req.params;
+  try {
+    const [[plan]] = await pool.query(
+      `SELECT p.id, p.user_id, u.email, p.title, p.parameters, p.status, p.created_at, p.updated_at
+         FROM plans p
+         JOIN users u ON p.user_id = u.id
+        WHERE p.id = ?`,
+      [planId]
+    );
+    if (!plan) {
+      return res.status(404).json({ error: 'Plan no encontrado' });
+    }
+    const [sections] = await pool.query(
+      `SELECT id, section_type, content, status, created_at, updated_at
+         FROM plan_sections
+        WHERE plan_id = ?`,
+      [planId]
+    );
+    const [[summary]] = await pool.query(
+      `SELECT title, executive_summary, created_at
+         FROM plan_summaries
+        WHERE plan_id = ?
+        ORDER BY id DESC LIMIT 1`,
+      [planId]
+    );
+    res.json({ ...plan, sections, summary: summary || null });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener plan' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/stats:
+ *   get:
+ *     summary: Contadores globales del sistema
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Métricas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     verified:
+ *                       type: integer
+ *                     disabled:
+ *                       type: integer
+ *                     admins:
+ *                       type: integer
+ *                 plans:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     by_status:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                 sections:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                 ai_calls:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     last_24h:
+ *                       type: integer
+ *                     by_use_case:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Permisos insuficientes
+ *       500:
+ *         description: Error interno
+ */
+router.get('/stats', auth, requirePermission('stats:read'), async (req, res) => {
+  try {
+    const [[users]] = await pool.query(
+      `SELECT COUNT(*) AS total,
+              COUNT(email_verified_at) AS verified,
+              COUNT(disabled_at) AS disabled,
+              SUM(role = 'admin') AS admins
+         FROM users`
+    );
+    const [planRows] = await pool.query(
+      'SELECT status, COUNT(*) AS total FROM plans GROUP BY status'
+    );
+    const [[sections]] = await pool.query(
+      'SELECT COUNT(*) AS total FROM plan_sections'
+    );
+    const [aiRows] = await pool.query(
+      'SELECT use_case, COUNT(*) AS total FROM ai_generations GROUP BY use_case'
+    );
+    const [[aiRecent]] = await pool.query(
+      'SELECT COUNT(*) AS total FROM ai_generations WHERE created_at >= ?',
+      [new Date(Date.now() - 24 * 3600 * 1000)]
+    );
+
+    const byStatus  = Object.fromEntries(planRows.map(r => [r.status, r.total]));
+    const byUseCase = Object.fromEntries(aiRows.map(r => [r.use_case, r.total]));
+    res.json({
+      users: { ...users, admins: Number(users.admins) || 0 },
+      plans: {
+        total:     planRows.reduce((sum, r) => sum + r.total, 0),
+        by_status: byStatus
+      },
+      sections: { total: sections.total },
+      ai_calls: {
+        total:       aiRows.reduce((sum, r) => sum + r.total, 0),
+        last_24h:    aiRecent.total,
+        by_use_case: byUseCase
+      }
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener métricas' });
+  }
+});
+
+module.exports = router;
@@ -2,37 +2,61 @@
 
 require('dotenv').config();
 const express = require('express');
-const axios   = require('axios');
 const auth    = require('../middleware/auth');
+const aiQuota = require('../middleware/aiQuota');
+const ai      = require('../services/ai');
+const { createResponder } = require('../utils/sse');
 const router  = express.Router();
 
-// Base URL de tu IA (DeepSeek local)
-const AI_URL = process.env.AI_URL.replace(/\/$/, ''); // sin slash final
+const ROLES = ['system', 'user', 'assistant'];
+
+// Devuelve un mensaje de error si `messages` no es una conversación válida
+function validateMessages(messages) {
+  if (!Array.isArray(messages) || !messages.length) {
+    return 'El campo "messages" debe ser un array no vacío';
+  }
+  const invalid = messages.findIndex(m =>
+    !m || !ROLES.includes(m.role) || typeof m.content !== 'string'
+  );
+  if (invalid !== -1) {
+    return `messages[${invalid}] debe tener role (${ROLES.join(', ')}) y content de tipo string`;
+  }
+  return null;
+}
 
 /**
  * @swagger
  * tags:
  *   name: AI
- *   description: Proxies para generación y ajuste vía DeepSeek
+ *   description: >
+ *     Proxies para generación y ajuste. El proveedor, modelo, temperatura y
+ *     max_tokens se configuran en el servidor por caso de uso (AI_GENERATE_*, AI_ADJUST_*).
  */
 
 /**
  * @swagger
  * /ai/generate:
  *   post:
- *     summary: Proxy genérico a DeepSeek para prompts nuevos
+ *     summary: Proxy genérico a la IA para prompts nuevos
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Emite la respuesta como Server-Sent Events (equivale a Accept text/event-stream)
  *     requestBody:
- *       description: Cuerpo completo para el endpoint de chat/completions de DeepSeek
+ *       description: Conversación a enviar al modelo configurado para "generate"
  *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - messages
  *             example:
- *               model: "deepseek-r1-distill-qwen-7b"
  *               messages:
  *                 - role: "system"
  *                   content: "Eres un asistente útil que responde en español."
@@ -40,20 +64,39 @@ const AI_URL = process.env.AI_URL.replace(/\/$/, ''); // sin slash final
  *                   content: "Dame un plan de entrenamiento semanal."
  *     responses:
  *       200:
- *         description: Respuesta cruda de DeepSeek
+ *         description: Respuesta con formato chat/completions (o eventos token/done en modo streaming)
+ *         content:
+ *           application/json: {}
+ *           text/event-stream: {}
+ *       400:
+ *         description: messages ausente o mal formado
+ *       429:
+ *         description: Cuota de IA agotada (code AI_QUOTA_EXCEEDED, cabecera Retry-After)
  *       500:
  *         description: Error al conectar con IA
+ *       502:
+ *         description: El servicio de IA no respondió correctamente (code AI_PROVIDER_ERROR)
  */
-router.post('/generate', auth, async (req, res) => {
+router.post('/generate', auth, aiQuota(), async (req, res) => {
+  const out = createResponder(req, res);
+  const invalid = validateMessages(req.body.messages);
+  if (invalid) {
+    return out.fail(400, { error: invalid });
+  }
   try {
-    const aiRes = await axios.post(
-      `${AI_URL}/v1/chat/completions`,
-      req.body
-    );
-    res.json(aiRes.data);
+    out.start();
+    const result = await ai.complete('generate', { messages: req.body.messages }, {
+      onToken:     out.onToken,
+      onReasoning: out.onReasoning,
+      context:     { userId: req.user.userId }
+    });
+    out.send(ai.toChatCompletion(result));
   } catch (err) {
     console.error('AI generate error:', err.message);
-    res.status(500).json({ error: 'Error al generar con IA', details: err.message });
+    if (err instanceof ai.AiProviderError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    out.fail(500, { error: 'Error al generar con IA' });
   }
 });
 
@@ -61,10 +104,16 @@ router.post('/generate', auth, async (req, res) => {
  * @swagger
  * /ai/adjust:
  *   post:
- *     summary: Proxy a DeepSeek para prompts de ajuste de secciones
+ *     summary: Proxy a la IA para prompts de ajuste de secciones
  *     tags: [AI]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Emite la respuesta como Server-Sent Events (equivale a Accept text/event-stream)
  *     requestBody:
  *       description: Cuerpo con el prompt de ajuste (sección + comentarios)
  *       required: true
@@ -72,8 +121,9 @@ router.post('/generate', auth, async (req, res) => {
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - messages
  *             example:
- *               model: "deepseek-r1-distill-qwen-7b"
  *               messages:
  *                 - role: "system"
  *                   content: "Eres un asistente de ajustes."
@@ -81,20 +131,39 @@ router.post('/generate', auth, async (req, res) => {
  *                   content: "Ajusta este texto para que sea más conciso..."
  *     responses:
  *       200:
- *         description: Respuesta cruda de DeepSeek
+ *         description: Respuesta con formato chat/completions (o eventos token/done en modo streaming)
+ *         content:
+ *           application/json: {}
+ *           text/event-stream: {}
+ *       400:
+ *         description: messages ausente o mal formado
+ *       429:
+ *         description: Cuota de IA agotada (code AI_QUOTA_EXCEEDED, cabecera Retry-After)
  *       500:
  *         description: Error al conectar con IA
+ *       502:
+ *         description: El servicio de IA no respondió correctamente (code AI_PROVIDER_ERROR)
  */
-router.post('/adjust', auth, async (req, res) => {
+router.post('/adjust', auth, aiQuota(), async (req, res) => {
+  const out = createResponder(req, res);
+  const invalid = validateMessages(req.body.messages);
+  if (invalid) {
+    return out.fail(400, { error: invalid });
+  }
   try {
-    const aiRes = await axios.post(
-      `${AI_URL}/v1/chat/completions`,
-      req.body
-    );
-    res.json(aiRes.data);
+    out.start();
+    const result = await ai.complete('adjust', { messages: req.body.messages }, {
+      onToken:     out.onToken,
+      onReasoning: out.onReasoning,
+      context:     { userId: req.user.userId }
+    });
+    out.send(ai.toChatCompletion(result));
   } catch (err) {
     console.error('AI adjust error:', err.message);
-    res.status(500).json({ error: 'Error al ajustar con IA', details: err.message });
+    if (err instanceof ai.AiProviderError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    out.fail(500, { error: 'Error al ajustar con IA' });
   }
 });
 
@@ -2,13 +2,43 @@
 
 const express = require('express');
 const bcrypt  = require('bcrypt');
-const jwt     = require('jsonwebtoken');
 const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { withTransaction } = require('../utils/transaction');
+const {
+  AuthTokenError,
+  createSession,
+  rotateRefreshToken,
+  revokeSessionByRefreshToken,
+  revokeAllSessions
+} = require('../services/tokens');
+const {
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+} = require('../services/accountTokens');
 require('dotenv').config();
 
 const router = express.Router();
 const SALT_ROUNDS = 10;
 
+// Con REQUIRE_VERIFIED_EMAIL=true no se puede iniciar sesión sin verificar el email
+const requireVerifiedEmail = () => process.env.REQUIRE_VERIFIED_EMAIL === 'true';
+
+// Actualiza la contraseña y cierra todas las sesiones abiertas con la anterior
+async function changePassword(conn, userId, password, reason) {
+  const hash = await bcrypt.hash(password, SALT_ROUNDS);
+  // Se compara con el iat de los JWT, así que la hora sale del reloj de Node
+  // (no de la sesión de MySQL) y en segundos enteros: DATETIME redondearía
+  // los milisegundos y podría invalidar el token recién emitido
+  const changedAt = new Date(Math.floor(Date.now() / 1000) * 1000);
+  await conn.query(
+    'UPDATE users SET password_hash = ?, password_changed_at = ? WHERE id = ?',
+    [hash, changedAt, userId]
+  );
+  await revokeAllSessions(userId, reason, conn);
+}
+
 /**
  * @swagger
  * tags:
@@ -21,6 +51,7 @@ const SALT_ROUNDS = 10;
  * /auth/register:
  *   post:
  *     summary: Registra un nuevo usuario
+ *     description: Envía un correo con el enlace para verificar la dirección.
  *     tags: [Auth]
  *     requestBody:
  *       description: Credenciales del usuario
@@ -74,10 +105,16 @@ router.post('/register', async (req, res) => {
       return res.status(409).json({ error: 'El email ya está registrado' });
     }
     const hash = await bcrypt.hash(password, SALT_ROUNDS);
-    await pool.query(
+    const [result] = await pool.query(
       'INSERT INTO users (email, password_hash) VALUES (?, ?)',
       [email, hash]
     );
+    try {
+      await sendVerificationEmail({ id: result.insertId, email });
+    } catch (mailErr) {
+      // El registro no falla por el correo; se puede pedir otro enlace
+      console.error('No se pudo enviar el correo de verificación:', mailErr.message);
+    }
     res.status(201).json({ message: 'Usuario registrado correctamente' });
   } catch (err) {
     console.error(err);
@@ -85,11 +122,33 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TokenPair:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Access token JWT de vida corta (JWT_ACCESS_EXPIRES_IN)
+ *           example: eyJhbGciOiJIUzI1NiIsInR5cCI...
+ *         refresh_token:
+ *           type: string
+ *           description: Token opaco de un solo uso para obtener un nuevo par
+ *         token_type:
+ *           type: string
+ *           example: Bearer
+ *         expires_in:
+ *           type: string
+ *           example: 15m
+ */
+
 /**
  * @swagger
  * /auth/login:
  *   post:
- *     summary: Inicia sesión y obtiene un token JWT
+ *     summary: Inicia sesión y obtiene un access token y un refresh token
  *     tags: [Auth]
  *     requestBody:
  *       description: Credenciales del usuario
@@ -112,19 +171,19 @@ router.post('/register', async (req, res) => {
  *                 example: MiPassSegura123
  *     responses:
  *       200:
- *         description: Devuelve un token JWT
+ *         description: Devuelve el par de tokens de la nueva sesión
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 token:
- *                   type: string
- *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI...
+ *               $ref: '#/components/schemas/TokenPair'
  *       400:
  *         description: Faltan email o contraseña
  *       401:
  *         description: Credenciales inválidas
+ *       403:
+ *         description: >
+ *           Cuenta deshabilitada (code ACCOUNT_DISABLED) o email sin verificar
+ *           con REQUIRE_VERIFIED_EMAIL=true (code EMAIL_NOT_VERIFIED)
  *       500:
  *         description: Error interno del servidor
  */
@@ -136,7 +195,7 @@ router.post('/login', async (req, res) => {
 
   try {
     const [rows] = await pool.query(
-      'SELECT id, password_hash FROM users WHERE email = ?',
+      'SELECT id, password_hash, role, disabled_at, email_verified_at FROM users WHERE email = ?',
       [email]
     );
     if (!rows.length) {
@@ -147,12 +206,416 @@ router.post('/login', async (req, res) => {
     if (!match) {
       return res.status(401).json({ error: 'Credenciales inválidas' });
     }
-    const token = jwt.sign(
-      { userId: user.id, email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
+    if (user.disabled_at) {
+      return res.status(403).json({ error: 'Cuenta deshabilitada', code: 'ACCOUNT_DISABLED' });
+    }
+    if (requireVerifiedEmail() && !user.email_verified_at) {
+      return res.status(403).json({
+        error: 'Debes verificar tu email antes de iniciar sesión',
+        code:  'EMAIL_NOT_VERIFIED'
+      });
+    }
+    const tokens = await createSession(
+      { id: user.id, email, role: user.role },
+      { userAgent: req.get('User-Agent'), ip: req.ip }
+    );
+    res.json(tokens);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Cambia un refresh token por un nuevo par de tokens
+ *     description: >
+ *       Cada refresh token solo se puede usar una vez. Si se presenta uno ya
+ *       usado, se revoca la sesión completa (code REFRESH_REUSED).
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Nuevo par de tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         description: Falta refresh_token
+ *       401:
+ *         description: Refresh token inválido, expirado o reutilizado
+ *       403:
+ *         description: Cuenta deshabilitada (code ACCOUNT_DISABLED)
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/refresh', async (req, res) => {
+  const { refresh_token: refreshToken } = req.body || {};
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'refresh_token es obligatorio' });
+  }
+
+  try {
+    res.json(await rotateRefreshToken(refreshToken));
+  } catch (err) {
+    if (err instanceof AuthTokenError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Cierra la sesión del refresh token indicado
+ *     description: Los access tokens de esa sesión dejan de ser válidos de inmediato.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Sesión cerrada (también si ya lo estaba)
+ *       400:
+ *         description: Falta refresh_token
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/logout', async (req, res) => {
+  const { refresh_token: refreshToken } = req.body || {};
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'refresh_token es obligatorio' });
+  }
+
+  try {
+    await revokeSessionByRefreshToken(refreshToken);
+    res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Cierra todas las sesiones del usuario en todos los dispositivos
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones revocadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 revoked:
+ *                   type: integer
+ *       401:
+ *         description: No autorizado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.userId);
+    res.json({ revoked });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   get:
+ *     summary: Verifica el email con el token recibido por correo
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Email verificado
+ *       400:
+ *         description: Token inválido, caducado o ya usado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.get('/verify-email', async (req, res) => {
+  const { token } = req.query;
+  if (!token) {
+    return res.status(400).json({ error: 'token es obligatorio' });
+  }
+
+  try {
+    const userId = await withTransaction(async conn => {
+      const id = await consumeToken(conn, token, 'verify_email');
+      if (id) {
+        await conn.query(
+          'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+          [id]
+        );
+      }
+      return id;
+    });
+    if (!userId) {
+      return res.status(400).json({ error: 'Enlace de verificación inválido o caducado' });
+    }
+    res.json({ message: 'Email verificado correctamente' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Reenvía el correo de verificación
+ *     description: Responde igual exista o no la cuenta, para no revelar qué emails están registrados.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       202:
+ *         description: Si la cuenta existe y no está verificada, se envía un enlace nuevo
+ *       400:
+ *         description: Falta email
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/verify-email/resend', async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) {
+    return res.status(400).json({ error: 'Email es obligatorio' });
+  }
+
+  try {
+    const [[user]] = await pool.query(
+      'SELECT id, email FROM users WHERE email = ? AND email_verified_at IS NULL',
+      [email]
+    );
+    if (user) await sendVerificationEmail(user);
+    res.status(202).json({ message: 'Si la cuenta existe, recibirás un correo' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Envía un enlace para restablecer la contraseña
+ *     description: Responde igual exista o no la cuenta, para no revelar qué emails están registrados.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: usuario@ejemplo.com
+ *     responses:
+ *       202:
+ *         description: Si la cuenta existe, se envía el enlace
+ *       400:
+ *         description: Falta email
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body || {};
+  if (!email) {
+    return res.status(400).json({ error: 'Email es obligatorio' });
+  }
+
+  try {
+    const [[user]] = await pool.query(
+      'SELECT id, email FROM users WHERE email = ?',
+      [email]
+    );
+    if (user) await sendPasswordResetEmail(user);
+    res.status(202).json({ message: 'Si la cuenta existe, recibirás un correo' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Establece una contraseña nueva con el token recibido por correo
+ *     description: >
+ *       El token es de un solo uso. Se cierran todas las sesiones abiertas y,
+ *       como el enlace demuestra acceso al buzón, el email queda verificado.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida
+ *       400:
+ *         description: Faltan campos o el token es inválido, caducado o ya usado
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) {
+    return res.status(400).json({ error: 'Token y contraseña son obligatorios' });
+  }
+
+  try {
+    const userId = await withTransaction(async conn => {
+      const id = await consumeToken(conn, token, 'reset_password');
+      if (!id) return null;
+      await changePassword(conn, id, password, 'password_reset');
+      await conn.query(
+        'UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP) WHERE id = ?',
+        [id]
+      );
+      return id;
+    });
+    if (!userId) {
+      return res.status(400).json({ error: 'Enlace de restablecimiento inválido o caducado' });
+    }
+    res.json({ message: 'Contraseña restablecida correctamente' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error interno del servidor' });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/password:
+ *   patch:
+ *     summary: Cambia la contraseña del usuario autenticado
+ *     description: >
+ *       Revoca todas las sesiones (los tokens anteriores dejan de valer) y
+ *       devuelve un par de tokens nuevo para la sesión actual.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - current_password
+ *               - new_password
+ *             properties:
+ *               current_password:
+ *                 type: string
+ *                 format: password
+ *               new_password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Contraseña cambiada; nuevo par de tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
+ *       400:
+ *         description: Faltan campos
+ *       401:
+ *         description: Contraseña actual incorrecta
+ *       500:
+ *         description: Error interno del servidor
+ */
+router.patch('/password', auth, async (req, res) => {
+  const { current_password: current, new_password: next } = req.body || {};
+  const userId = req.user.userId;
+  if (!current || !next) {
+    return res.status(400).json({ error: 'current_password y new_password son obligatorios' });
+  }
+
+  try {
+    const [[user]] = await pool.query(
+      'SELECT id, email, role, password_hash FROM users WHERE id = ?',
+      [userId]
+    );
+    const match = user && await bcrypt.compare(current, user.password_hash);
+    if (!match) {
+      return res.status(401).json({ error: 'Contraseña actual incorrecta' });
+    }
+
+    await withTransaction(conn => changePassword(conn, userId, next, 'password_change'));
+    const tokens = await createSession(
+      { id: user.id, email: user.email, role: user.role },
+      { userAgent: req.get('User-Agent'), ip: req.ip }
     );
-    res.json({ token });
+    res.json(tokens);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Error interno del servidor' });
@@ -0,0 +1,199 @@
+// src/routes/calendar.js
+const crypto  = require('crypto');
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { buildCalendar } = require('../services/ical');
+const { publicBaseUrl } = require('../utils/url');
+const router  = express.Router();
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function feedUrl(req, token) {
+  return `${publicBaseUrl(req)}/calendar/feed/${token}.ics`;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Calendar
+ *   description: Feed iCalendar suscribible con los recordatorios del usuario
+ */
+
+/**
+ * @swagger
+ * /calendar/token:
+ *   get:
+ *     summary: Indica si el usuario tiene un feed de calendario activo
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Estado del feed (la URL solo se muestra al generarla)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 active:
+ *                   type: boolean
+ *                 created_at:
+ *                   type: string
+ *                   format: date-time
+ *                 last_accessed_at:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: No autorizado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/token', auth, async (req, res) => {
+  try {
+    const [[row]] = await pool.query(
+      'SELECT created_at, last_accessed_at FROM calendar_feed_tokens WHERE user_id = ?',
+      [req.user.userId]
+    );
+    res.json(row ? { active: true, ...row } : { active: false });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al consultar el feed de calendario' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/token:
+ *   post:
+ *     summary: Genera (o regenera) la URL privada del feed .ics
+ *     description: Regenerar invalida inmediatamente la URL anterior.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Nueva URL del feed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 url:
+ *                   type: string
+ *                   example: http://localhost:4000/calendar/feed/3f9a…c1.ics
+ *       401:
+ *         description: No autorizado
+ *       500:
+ *         description: Error interno
+ */
+router.post('/token', auth, async (req, res) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  try {
+    await pool.query(
+      `INSERT INTO calendar_feed_tokens (user_id, token_hash)
+       VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE token_hash = VALUES(token_hash),
+                               created_at = CURRENT_TIMESTAMP,
+                               last_accessed_at = NULL`,
+      [req.user.userId, hashToken(token)]
+    );
+    res.status(201).json({ url: feedUrl(req, token) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al generar el feed de calendario' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/token:
+ *   delete:
+ *     summary: Revoca la URL del feed .ics
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Feed revocado
+ *       401:
+ *         description: No autorizado
+ *       500:
+ *         description: Error interno
+ */
+router.delete('/token', auth, async (req, res) => {
+  try {
+    await pool.query(
+      'DELETE FROM calendar_feed_tokens WHERE user_id = ?',
+      [req.user.userId]
+    );
+    res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al revocar el feed de calendario' });
+  }
+});
+
+/**
+ * @swagger
+ * /calendar/feed/{token}.ics:
+ *   get:
+ *     summary: Feed iCalendar con los recordatorios activos del usuario
+ *     description: >
+ *       Pensado para suscribirse desde Google Calendar o Apple Calendar.
+ *       Se autentica con el token de la URL, sin cabecera Bearer.
+ *     tags: [Calendar]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Calendario con un VEVENT recurrente por recordatorio
+ *         content:
+ *           text/calendar: {}
+ *       404:
+ *         description: Feed inexistente o revocado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/feed/:token.ics', async (req, res) => {
+  try {
+    const [[feed]] = await pool.query(
+      'SELECT user_id FROM calendar_feed_tokens WHERE token_hash = ?',
+      [hashToken(req.params.token)]
+    );
+    if (!feed) {
+      return res.status(404).json({ error: 'Feed no encontrado' });
+    }
+
+    const [reminders] = await pool.query(
+      `SELECT r.id, r.rule, r.timezone, r.starts_at, r.created_at, r.updated_at,
+              p.title AS plan_title, s.section_type
+         FROM plan_reminders r
+         JOIN plans p ON r.plan_id = p.id
+         LEFT JOIN plan_sections s ON r.section_id = s.id
+        WHERE p.user_id = ? AND r.is_active = 1`,
+      [feed.user_id]
+    );
+    await pool.query(
+      'UPDATE calendar_feed_tokens SET last_accessed_at = CURRENT_TIMESTAMP WHERE user_id = ?',
+      [feed.user_id]
+    );
+
+    const ics = buildCalendar(reminders, { host: req.hostname });
+    res
+      .set('Content-Type', 'text/calendar; charset=utf-8')
+      .set('Content-Disposition', 'inline; filename=lifestyle-planner.ics')
+      .set('Cache-Control', 'private, max-age=300')
+      .send(ics);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al generar el calendario' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,298 @@
+// src/routes/collaborators.js
+//
+// Montado en /plans/:planId/collaborators. Solo el dueño invita, cambia
+// roles o expulsa; un colaborador puede abandonar el plan por su cuenta.
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { COLLABORATOR_ROLES, planAccess, planForbidden } = require('../middleware/planAccess');
+const router  = express.Router({ mergeParams: true });
+
+async function listCollaborators(planId) {
+  const [rows] = await pool.query(
+    `SELECT c.user_id, u.email, c.role, c.invited_by, c.created_at
+       FROM plan_collaborators c
+       JOIN users u ON c.user_id = u.id
+      WHERE c.plan_id = ?
+      ORDER BY c.created_at`,
+    [planId]
+  );
+  return rows;
+}
+
+function invalidRole(role) {
+  return !COLLABORATOR_ROLES.includes(role)
+    ? `role debe ser uno de: ${COLLABORATOR_ROLES.join(', ')}`
+    : null;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Collaborator:
+ *       type: object
+ *       properties:
+ *         user_id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [viewer, commenter, editor]
+ *           description: >
+ *             viewer lee el plan; commenter además comenta secciones;
+ *             editor además genera, ajusta y cambia el estado
+ *         invited_by:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /plans/{planId}/collaborators:
+ *   get:
+ *     summary: Lista los colaboradores del plan
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Array de colaboradores
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Collaborator'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, planAccess('viewer'), async (req, res) => {
+  try {
+    res.json(await listCollaborators(req.params.planId));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar colaboradores' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/collaborators:
+ *   post:
+ *     summary: Invita a un usuario registrado al plan (o cambia su rol si ya estaba)
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, role]
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: coach@ejemplo.com
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, commenter, editor]
+ *     responses:
+ *       201:
+ *         description: Colaborador añadido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Collaborator'
+ *       400:
+ *         description: Datos inválidos o el usuario es el dueño
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo el dueño gestiona colaboradores (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o usuario no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.post('/', auth, planAccess('owner'), async (req, res) => {
+  const { planId } = req.params;
+  const { email, role } = req.body || {};
+  if (!email) {
+    return res.status(400).json({ error: 'Email es obligatorio' });
+  }
+  const roleError = invalidRole(role);
+  if (roleError) {
+    return res.status(400).json({ error: roleError });
+  }
+
+  try {
+    const [[user]] = await pool.query('SELECT id FROM users WHERE email = ?', [email]);
+    if (!user) {
+      return res.status(404).json({ error: 'No existe ningún usuario con ese email' });
+    }
+    if (user.id === req.plan.user_id) {
+      return res.status(400).json({ error: 'El dueño del plan no puede ser colaborador' });
+    }
+
+    await pool.query(
+      `INSERT INTO plan_collaborators (plan_id, user_id, role, invited_by)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE role = VALUES(role)`,
+      [planId, user.id, role, req.user.userId]
+    );
+    const collaborators = await listCollaborators(planId);
+    res.status(201).json(collaborators.find(c => c.user_id === user.id));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al añadir colaborador' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/collaborators/{userId}:
+ *   patch:
+ *     summary: Cambia el rol de un colaborador
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, commenter, editor]
+ *     responses:
+ *       200:
+ *         description: Rol actualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Collaborator'
+ *       400:
+ *         description: Rol inválido
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo el dueño gestiona colaboradores (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o colaborador no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.patch('/:userId', auth, planAccess('owner'), async (req, res) => {
+  const { planId, userId } = req.params;
+  const { role } = req.body || {};
+  const roleError = invalidRole(role);
+  if (roleError) {
+    return res.status(400).json({ error: roleError });
+  }
+
+  try {
+    const [result] = await pool.query(
+      'UPDATE plan_collaborators SET role = ? WHERE plan_id = ? AND user_id = ?',
+      [role, planId, userId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ error: 'Colaborador no encontrado' });
+    }
+    const collaborators = await listCollaborators(planId);
+    res.json(collaborators.find(c => c.user_id === Number(userId)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al actualizar colaborador' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/collaborators/{userId}:
+ *   delete:
+ *     summary: Quita a un colaborador (el dueño) o abandona el plan (el propio colaborador)
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Colaborador eliminado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo el dueño puede quitar a otros colaboradores (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o colaborador no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.delete('/:userId', auth, planAccess('viewer'), async (req, res) => {
+  const { planId, userId } = req.params;
+  const self = Number(userId) === req.user.userId;
+  if (req.planRole !== 'owner' && !self) {
+    return planForbidden(res, req.planRole);
+  }
+
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM plan_collaborators WHERE plan_id = ? AND user_id = ?',
+      [planId, userId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ error: 'Colaborador no encontrado' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al eliminar colaborador' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+// src/routes/generations.js
+//
+// Montado en /plans/:planId/generations. Endpoints de depuración para que el
+// dueño del plan vea las llamadas a la IA y su razonamiento. Solo existen si
+// AI_DEBUG_ENDPOINTS=true; en otro caso responden 404.
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { planAccess } = require('../middleware/planAccess');
+const router  = express.Router({ mergeParams: true });
+
+router.use((req, res, next) => {
+  if (process.env.AI_DEBUG_ENDPOINTS !== 'true') {
+    return res.status(404).json({ error: 'No encontrado' });
+  }
+  next();
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/generations:
+ *   get:
+ *     summary: "[Debug] Lista las llamadas a la IA de un plan"
+ *     description: Requiere AI_DEBUG_ENDPOINTS=true en el servidor.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Array de generaciones (más recientes primero)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   section_id:
+ *                     type: integer
+ *                     nullable: true
+ *                   use_case:
+ *                     type: string
+ *                   provider:
+ *                     type: string
+ *                   model:
+ *                     type: string
+ *                   prompt_tokens:
+ *                     type: integer
+ *                   completion_tokens:
+ *                     type: integer
+ *                   has_reasoning:
+ *                     type: boolean
+ *                   created_at:
+ *                     type: string
+ *                     format: date-time
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan no encontrado o endpoints de depuración desactivados
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, planAccess('owner'), async (req, res) => {
+  const { planId } = req.params;
+  try {
+    const [rows] = await pool.query(
+      `SELECT g.id, g.section_id, g.use_case, g.provider, g.model,
+              g.prompt_tokens, g.completion_tokens, g.created_at,
+              (t.id IS NOT NULL) AS has_reasoning
+         FROM ai_generations g
+         LEFT JOIN ai_reasoning_traces t ON t.generation_id = g.id
+        WHERE g.plan_id = ?
+        ORDER BY g.id DESC
+        LIMIT 100`,
+      [planId]
+    );
+    res.json(rows.map(row => ({ ...row, has_reasoning: Boolean(row.has_reasoning) })));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar generaciones' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/generations/{generationId}/reasoning:
+ *   get:
+ *     summary: "[Debug] Razonamiento (<think>) de una generación de IA"
+ *     description: Requiere AI_DEBUG_ENDPOINTS=true en el servidor.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: generationId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Traza de razonamiento
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 generation_id:
+ *                   type: integer
+ *                 reasoning:
+ *                   type: string
+ *                 created_at:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Generación sin razonamiento, plan no encontrado o endpoints desactivados
+ *       500:
+ *         description: Error interno
+ */
+router.get('/:generationId/reasoning', auth, planAccess('owner'), async (req, res) => {
+  const { planId, generationId } = req.params;
+  try {
+    const [[trace]] = await pool.query(
+      `SELECT t.generation_id, t.reasoning, t.created_at
+         FROM ai_reasoning_traces t
+         JOIN ai_generations g ON t.generation_id = g.id
+        WHERE g.id = ? AND g.plan_id = ?`,
+      [generationId, planId]
+    );
+    if (!trace) {
+      return res.status(404).json({ error: 'Razonamiento no encontrado' });
+    }
+    res.json(trace);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener razonamiento' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+// src/routes/inbox.js
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const router  = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inbox
+ *   description: Bandeja de notificaciones dentro de la app
+ */
+
+/**
+ * @swagger
+ * /inbox:
+ *   get:
+ *     summary: Lista las notificaciones del usuario (más recientes primero)
+ *     tags: [Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Solo las no leídas
+ *     responses:
+ *       200:
+ *         description: Array de notificaciones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   reminder_id:
+ *                     type: integer
+ *                   title:
+ *                     type: string
+ *                   body:
+ *                     type: string
+ *                   read_at:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   created_at:
+ *                     type: string
+ *                     format: date-time
+ *       401:
+ *         description: No autorizado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, async (req, res) => {
+  const onlyUnread = req.query.unread === 'true' || req.query.unread === '1';
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, reminder_id, title, body, read_at, created_at
+         FROM inbox_messages
+        WHERE user_id = ? ${onlyUnread ? 'AND read_at IS NULL' : ''}
+        ORDER BY created_at DESC
+        LIMIT 100`,
+      [req.user.userId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar notificaciones' });
+  }
+});
+
+/**
+ * @swagger
+ * /inbox/{id}/read:
+ *   post:
+ *     summary: Marca una notificación como leída
+ *     tags: [Inbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Notificación marcada como leída
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Notificación no encontrada
+ *       500:
+ *         description: Error interno
+ */
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      `UPDATE inbox_messages
+          SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+        WHERE id = ? AND user_id = ?`,
+      [req.params.id, req.user.userId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ error: 'Notificación no encontrada' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al actualizar notificación' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+// src/routes/me.js
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { quotaStatus, startOfUtcDay } = require('../services/ai/quota');
+const router  = express.Router();
+
+const DEFAULT_DAYS = 30;
+const MAX_DAYS     = 90;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Me
+ *   description: Datos del usuario autenticado
+ */
+
+/**
+ * @swagger
+ * /me/usage:
+ *   get:
+ *     summary: Consumo de IA del usuario y estado de sus cuotas
+ *     tags: [Me]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 90
+ *         description: Días de histórico a incluir (UTC, incluido hoy)
+ *     responses:
+ *       200:
+ *         description: Cuotas, consumo de hoy por caso de uso e histórico diario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 quotas:
+ *                   type: object
+ *                   properties:
+ *                     daily_tokens:
+ *                       type: object
+ *                       properties:
+ *                         used:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                           nullable: true
+ *                         remaining:
+ *                           type: integer
+ *                           nullable: true
+ *                         resets_at:
+ *                           type: string
+ *                           format: date-time
+ *                     requests_per_minute:
+ *                       type: object
+ *                       properties:
+ *                         used:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                           nullable: true
+ *                     concurrent_generations:
+ *                       type: object
+ *                       properties:
+ *                         active:
+ *                           type: integer
+ *                         limit:
+ *                           type: integer
+ *                           nullable: true
+ *                 today:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       use_case:
+ *                         type: string
+ *                       calls:
+ *                         type: integer
+ *                       prompt_tokens:
+ *                         type: integer
+ *                       completion_tokens:
+ *                         type: integer
+ *                 daily:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       calls:
+ *                         type: integer
+ *                       prompt_tokens:
+ *                         type: integer
+ *                       completion_tokens:
+ *                         type: integer
+ *       401:
+ *         description: No autorizado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/usage', auth, async (req, res) => {
+  const userId = req.user.userId;
+  const days   = Math.min(Math.max(Number(req.query.days) || DEFAULT_DAYS, 1), MAX_DAYS);
+  const today  = startOfUtcDay();
+  const since  = new Date(today.getTime() - (days - 1) * 24 * 3600 * 1000);
+
+  try {
+    const [byUseCase] = await pool.query(
+      `SELECT use_case,
+              COUNT(*) AS calls,
+              COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+              COALESCE(SUM(completion_tokens), 0) AS completion_tokens
+         FROM ai_generations
+        WHERE user_id = ? AND created_at >= ?
+        GROUP BY use_case`,
+      [userId, today]
+    );
+    const [rows] = await pool.query(
+      `SELECT created_at, prompt_tokens, completion_tokens
+         FROM ai_generations
+        WHERE user_id = ? AND created_at >= ?`,
+      [userId, since]
+    );
+
+    // Agregado por día UTC en JS para no depender de la zona de la sesión MySQL
+    const daily = new Map();
+    for (let i = 0; i < days; i++) {
+      const date = new Date(since.getTime() + i * 24 * 3600 * 1000).toISOString().slice(0, 10);
+      daily.set(date, { date, calls: 0, prompt_tokens: 0, completion_tokens: 0 });
+    }
+    for (const row of rows) {
+      const bucket = daily.get(new Date(row.created_at).toISOString().slice(0, 10));
+      if (!bucket) continue;
+      bucket.calls             += 1;
+      bucket.prompt_tokens     += row.prompt_tokens || 0;
+      bucket.completion_tokens += row.completion_tokens || 0;
+    }
+
+    res.json({
+      quotas: await quotaStatus(userId),
+      today:  byUseCase.map(r => ({
+        use_case:          r.use_case,
+        calls:             r.calls,
+        prompt_tokens:     Number(r.prompt_tokens),
+        completion_tokens: Number(r.completion_tokens)
+      })),
+      daily:  [...daily.values()]
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener consumo de IA' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,243 @@
+// src/routes/planAnalytics.js
+//
+// Montado en /plans/:planId/analytics. Adherencia del usuario al plan
+// combinando check-ins, tareas y entregas de recordatorios.
+const express = require('express');
+const auth    = require('../middleware/auth');
+const { planAccess } = require('../middleware/planAccess');
+const { resolveTimezone, resolveRange } = require('../services/checkins');
+const { planAnalytics } = require('../services/analytics');
+const router  = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CheckinCounts:
+ *       type: object
+ *       properties:
+ *         done:
+ *           type: integer
+ *         partial:
+ *           type: integer
+ *         skipped:
+ *           type: integer
+ *     ReminderAdherence:
+ *       type: object
+ *       properties:
+ *         delivered:
+ *           type: integer
+ *           description: Recordatorios entregados en el rango
+ *         failed:
+ *           type: integer
+ *           description: Entregas fallidas o descartadas
+ *         reminded_days:
+ *           type: integer
+ *           description: Días con al menos un recordatorio entregado
+ *         followed_days:
+ *           type: integer
+ *           description: De esos días, cuántos tienen un check-in done o partial
+ *         follow_rate:
+ *           type: integer
+ *           nullable: true
+ *           description: Porcentaje followed_days / reminded_days
+ *     TaskAdherence:
+ *       allOf:
+ *         - $ref: '#/components/schemas/TaskProgress'
+ *         - type: object
+ *           properties:
+ *             completed_in_range:
+ *               type: integer
+ *               description: Tareas completadas dentro del rango
+ *     WeekdayAdherence:
+ *       type: object
+ *       properties:
+ *         weekday:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 7
+ *           description: 1 = lunes … 7 = domingo
+ *         name:
+ *           type: string
+ *           example: lunes
+ *         adherence:
+ *           type: integer
+ *           nullable: true
+ *     PlanAnalytics:
+ *       type: object
+ *       properties:
+ *         range:
+ *           type: object
+ *           properties:
+ *             from:
+ *               type: string
+ *               format: date
+ *             to:
+ *               type: string
+ *               format: date
+ *             timezone:
+ *               type: string
+ *             expected_days:
+ *               type: integer
+ *               description: Días del rango desde la creación del plan hasta hoy
+ *         summary:
+ *           type: object
+ *           properties:
+ *             adherence:
+ *               type: integer
+ *               nullable: true
+ *               description: >
+ *                 Porcentaje (done + partial / 2) / (días esperados × secciones)
+ *             checkins:
+ *               $ref: '#/components/schemas/CheckinCounts'
+ *             tasks:
+ *               $ref: '#/components/schemas/TaskAdherence'
+ *             reminders:
+ *               $ref: '#/components/schemas/ReminderAdherence'
+ *             last_ai_adjustment_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             days_since_last_adjustment:
+ *               type: integer
+ *               nullable: true
+ *         sections:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               section_id:
+ *                 type: integer
+ *               section_type:
+ *                 type: string
+ *               adherence:
+ *                 type: integer
+ *                 nullable: true
+ *               checkins:
+ *                 $ref: '#/components/schemas/CheckinCounts'
+ *               tasks:
+ *                 $ref: '#/components/schemas/TaskAdherence'
+ *               reminders:
+ *                 $ref: '#/components/schemas/ReminderAdherence'
+ *               last_ai_adjustment_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *               days_since_last_adjustment:
+ *                 type: integer
+ *                 nullable: true
+ *         weekly:
+ *           type: array
+ *           description: Semanas de lunes a domingo, de la más antigua a la actual
+ *           items:
+ *             type: object
+ *             properties:
+ *               week_start:
+ *                 type: string
+ *                 format: date
+ *               adherence:
+ *                 type: integer
+ *                 nullable: true
+ *               checkins:
+ *                 $ref: '#/components/schemas/CheckinCounts'
+ *               tasks_completed:
+ *                 type: integer
+ *         trend:
+ *           type: object
+ *           properties:
+ *             current_week:
+ *               type: integer
+ *               nullable: true
+ *             previous_week:
+ *               type: integer
+ *               nullable: true
+ *             change:
+ *               type: integer
+ *               nullable: true
+ *               description: Diferencia en puntos porcentuales con la semana anterior
+ *         weekdays:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WeekdayAdherence'
+ *         best_day:
+ *           allOf:
+ *             - $ref: '#/components/schemas/WeekdayAdherence'
+ *           nullable: true
+ *         worst_day:
+ *           allOf:
+ *             - $ref: '#/components/schemas/WeekdayAdherence'
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /plans/{planId}/analytics:
+ *   get:
+ *     summary: Adherencia del usuario al plan en un rango de fechas
+ *     description: >
+ *       Combina los check-ins del usuario, las tareas completadas y las
+ *       entregas de recordatorios: adherencia por sección, evolución semana a
+ *       semana, mejores y peores días de la semana y tiempo desde el último
+ *       ajuste con IA. Los porcentajes son enteros de 0 a 100, o null si no
+ *       hay nada que medir.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Primer día (por defecto, hace un año)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Último día (por defecto, hoy). Máximo 366 días de rango
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: Zona IANA del usuario (UTC por defecto)
+ *     responses:
+ *       200:
+ *         description: Analítica del plan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanAnalytics'
+ *       400:
+ *         description: Rango o zona horaria inválidos
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, planAccess('viewer'), async (req, res) => {
+  const timezone = resolveTimezone(req.query.timezone);
+  if (!timezone) {
+    return res.status(400).json({ error: `Zona horaria desconocida: ${req.query.timezone}` });
+  }
+  const range = resolveRange(req.query, timezone);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    res.json(await planAnalytics(req.plan, req.user.userId, range, timezone));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al calcular la analítica del plan' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,546 @@
+// src/routes/planChats.js
+//
+// Montado en /plans/:planId/chat. Conversaciones del usuario con la IA sobre
+// su plan, con historial guardado. Cada usuario ve solo las suyas. Una
+// respuesta del asistente se puede aplicar a una sección en un paso.
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const aiQuota = require('../middleware/aiQuota');
+const { planAccess } = require('../middleware/planAccess');
+const { createResponder } = require('../utils/sse');
+const { adjustSection } = require('../services/sectionAdjust');
+const { AiProviderError } = require('../services/ai');
+const { PlanLifecycleError, assertActive } = require('../services/planLifecycle');
+const {
+  CHAT_COLUMNS,
+  MESSAGE_COLUMNS,
+  validateMessageInput,
+  validateTitle,
+  findChat,
+  listMessages,
+  sendMessage
+} = require('../services/chat');
+const router  = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ChatMessage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         chat_id:
+ *           type: integer
+ *         role:
+ *           type: string
+ *           enum: [user, assistant]
+ *         content:
+ *           type: string
+ *         generation_id:
+ *           type: integer
+ *           nullable: true
+ *         applied_section_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Sección a la que se aplicó esta respuesta
+ *         applied_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     PlanChat:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         plan_id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *           nullable: true
+ *           description: Por defecto, el inicio de la primera pregunta
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /plans/{planId}/chat:
+ *   post:
+ *     summary: Abre una conversación sobre el plan
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Dudas sobre la dieta
+ *     responses:
+ *       201:
+ *         description: Conversación creada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanChat'
+ *       400:
+ *         description: Título inválido
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.post('/', auth, planAccess('viewer'), async (req, res) => {
+  const { error, values } = validateTitle((req.body || {}).title);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  try {
+    const [result] = await pool.query(
+      'INSERT INTO plan_chats (plan_id, user_id, title) VALUES (?, ?, ?)',
+      [req.params.planId, req.user.userId, values.title]
+    );
+    const [[chat]] = await pool.query(
+      `SELECT ${CHAT_COLUMNS} FROM plan_chats WHERE id = ?`,
+      [result.insertId]
+    );
+    res.status(201).json(chat);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al crear la conversación' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/chat:
+ *   get:
+ *     summary: Lista las conversaciones propias sobre el plan (más recientes primero)
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Conversaciones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PlanChat'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, planAccess('viewer'), async (req, res) => {
+  try {
+    const [chats] = await pool.query(
+      `SELECT ${CHAT_COLUMNS} FROM plan_chats
+        WHERE plan_id = ? AND user_id = ?
+        ORDER BY updated_at DESC, id DESC`,
+      [req.params.planId, req.user.userId]
+    );
+    res.json(chats);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar conversaciones' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/chat/{chatId}:
+ *   get:
+ *     summary: Conversación con todo su historial
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: chatId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Conversación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PlanChat'
+ *                 - type: object
+ *                   properties:
+ *                     messages:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ChatMessage'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan o conversación no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/:chatId', auth, planAccess('viewer'), async (req, res) => {
+  try {
+    const chat = await findChat(req.params.planId, req.params.chatId, req.user.userId);
+    if (!chat) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+    res.json({ ...chat, messages: await listMessages(chat.id) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener la conversación' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/chat/{chatId}:
+ *   delete:
+ *     summary: Borra una conversación propia y su historial
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: chatId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Conversación borrada
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan o conversación no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.delete('/:chatId', auth, planAccess('viewer'), async (req, res) => {
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM plan_chats WHERE id = ? AND plan_id = ? AND user_id = ?',
+      [req.params.chatId, req.params.planId, req.user.userId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al borrar la conversación' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/chat/{chatId}/messages:
+ *   post:
+ *     summary: Pregunta a la IA dentro de la conversación
+ *     description: >
+ *       El modelo recibe los parámetros del plan, sus secciones y el último
+ *       resumen, y después los mensajes más recientes que caben en la ventana
+ *       de contexto (AI_CHAT_CONTEXT_TOKENS). La pregunta y la respuesta se
+ *       guardan solo si el modelo responde.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: chatId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Emite progreso y tokens como Server-Sent Events (equivale a Accept text/event-stream)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 example: "¿Por qué tantas calorías en el desayuno?"
+ *     responses:
+ *       201:
+ *         description: Pregunta y respuesta guardadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   $ref: '#/components/schemas/ChatMessage'
+ *                 reply:
+ *                   $ref: '#/components/schemas/ChatMessage'
+ *                 context:
+ *                   type: object
+ *                   properties:
+ *                     messages_included:
+ *                       type: integer
+ *                       description: Mensajes del historial enviados al modelo (con la pregunta)
+ *                     messages_trimmed:
+ *                       type: integer
+ *                       description: Mensajes antiguos omitidos por no caber
+ *       400:
+ *         description: content ausente o demasiado largo
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan o conversación no encontrado
+ *       429:
+ *         description: Cuota de IA agotada (code AI_QUOTA_EXCEEDED, cabecera Retry-After)
+ *       500:
+ *         description: Error interno
+ *       502:
+ *         description: El servicio de IA no respondió correctamente (code AI_PROVIDER_ERROR)
+ */
+router.post('/:chatId/messages', auth, planAccess('viewer'), aiQuota(), async (req, res) => {
+  const userId = req.user.userId;
+  const out    = createResponder(req, res);
+  const { error, values } = validateMessageInput(req.body);
+  if (error) {
+    return out.fail(400, { error });
+  }
+
+  try {
+    const chat = await findChat(req.params.planId, req.params.chatId, userId);
+    if (!chat) {
+      return out.fail(404, { error: 'Conversación no encontrada' });
+    }
+    out.start();
+    out.progress('generating');
+    const turn = await sendMessage({
+      plan:        req.plan,
+      chat,
+      userId,
+      content:     values.content,
+      onToken:     out.onToken,
+      onReasoning: out.onReasoning
+    });
+    out.send(turn, 201);
+  } catch (err) {
+    console.error(err);
+    if (err instanceof AiProviderError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    out.fail(500, { error: 'Error al responder en la conversación' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/chat/{chatId}/messages/{messageId}/apply:
+ *   post:
+ *     summary: Aplica una respuesta del asistente a una sección
+ *     description: >
+ *       La respuesta se usa como comentario del ajuste con IA de la sección
+ *       (como en PATCH /plans/{planId}/sections/{sectionId}) y queda una nueva
+ *       versión. Si el plan estaba finalizado, vuelve a in_review.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: chatId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: messageId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Emite progreso y tokens como Server-Sent Events (equivale a Accept text/event-stream)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [section_id]
+ *             properties:
+ *               section_id:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Sección ajustada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   $ref: '#/components/schemas/ChatMessage'
+ *                 section:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     section_type:
+ *                       type: string
+ *                     content:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Falta section_id o el mensaje no es del asistente
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan, conversación, mensaje o sección no encontrado
+ *       409:
+ *         description: El plan está archivado (code PLAN_INVALID_STATUS)
+ *       429:
+ *         description: Cuota de IA agotada (code AI_QUOTA_EXCEEDED, cabecera Retry-After)
+ *       500:
+ *         description: Error interno
+ *       502:
+ *         description: El servicio de IA no respondió correctamente (code AI_PROVIDER_ERROR)
+ */
+router.post('/:chatId/messages/:messageId/apply', auth, planAccess('editor'), aiQuota(), async (req, res) => {
+  const { planId, chatId, messageId } = req.params;
+  const userId    = req.user.userId;
+  const sectionId = (req.body || {}).section_id;
+  const out       = createResponder(req, res);
+
+  if (!Number.isInteger(sectionId)) {
+    return out.fail(400, { error: 'section_id debe ser un entero' });
+  }
+
+  try {
+    assertActive(req.plan.status);
+    const chat = await findChat(planId, chatId, userId);
+    if (!chat) {
+      return out.fail(404, { error: 'Conversación no encontrada' });
+    }
+    const [[message]] = await pool.query(
+      `SELECT ${MESSAGE_COLUMNS} FROM plan_chat_messages WHERE id = ? AND chat_id = ?`,
+      [messageId, chat.id]
+    );
+    if (!message) {
+      return out.fail(404, { error: 'Mensaje no encontrado' });
+    }
+    if (message.role !== 'assistant') {
+      return out.fail(400, { error: 'Solo se pueden aplicar respuestas del asistente' });
+    }
+    const [[section]] = await pool.query(
+      'SELECT id, content FROM plan_sections WHERE id = ? AND plan_id = ?',
+      [sectionId, planId]
+    );
+    if (!section) {
+      return out.fail(404, { error: 'Sección no encontrada' });
+    }
+
+    out.start();
+    out.progress('generating');
+    await adjustSection({
+      planId,
+      section,
+      comment:      message.content,
+      userId,
+      onToken:      out.onToken,
+      onReasoning:  out.onReasoning,
+      onSaving:     () => out.progress('saving'),
+      reopenReason: req.plan.status === 'finalized' ? 'Respuesta del chat aplicada' : null,
+      onSaved:      conn => conn.query(
+        `UPDATE plan_chat_messages
+            SET applied_section_id = ?, applied_at = CURRENT_TIMESTAMP
+          WHERE id = ?`,
+        [section.id, message.id]
+      )
+    });
+
+    const [[updated]] = await pool.query(
+      'SELECT id, section_type, content, status, updated_at FROM plan_sections WHERE id = ?',
+      [section.id]
+    );
+    const [[applied]] = await pool.query(
+      `SELECT ${MESSAGE_COLUMNS} FROM plan_chat_messages WHERE id = ?`,
+      [message.id]
+    );
+    out.send({ message: applied, section: updated });
+  } catch (err) {
+    if (err instanceof PlanLifecycleError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    console.error(err);
+    if (err instanceof AiProviderError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    out.fail(500, { error: 'Error al aplicar la respuesta' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+// src/routes/planCheckins.js
+//
+// Montado en /plans/:planId/checkins. Vista de conjunto del seguimiento del
+// usuario en el plan: rachas por sección y datos para un mapa de calor.
+const express = require('express');
+const auth    = require('../middleware/auth');
+const { planAccess } = require('../middleware/planAccess');
+const {
+  resolveTimezone,
+  sectionStreaks,
+  resolveRange,
+  heatmap
+} = require('../services/checkins');
+const router  = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * /plans/{planId}/checkins/streaks:
+ *   get:
+ *     summary: Racha actual y más larga del usuario en cada sección
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: Zona IANA con la que se calcula "hoy" (UTC por defecto)
+ *     responses:
+ *       200:
+ *         description: Rachas por sección
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Streak'
+ *       400:
+ *         description: Zona horaria desconocida
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/streaks', auth, planAccess('viewer'), async (req, res) => {
+  const timezone = resolveTimezone(req.query.timezone);
+  if (!timezone) {
+    return res.status(400).json({ error: `Zona horaria desconocida: ${req.query.timezone}` });
+  }
+  try {
+    res.json(await sectionStreaks(req.params.planId, req.user.userId, timezone));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al calcular rachas' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/checkins/heatmap:
+ *   get:
+ *     summary: Datos de mapa de calor del seguimiento del usuario en el plan
+ *     description: >
+ *       Un elemento por día del rango (también los días sin check-ins) con el
+ *       recuento por estado, el ánimo medio y un nivel de 0 a 4: la parte de
+ *       las secciones del plan cumplidas ese día (partial cuenta la mitad).
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Primer día (por defecto, hace un año)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Último día (por defecto, hoy). Máximo 366 días de rango
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: Zona IANA con la que se calcula "hoy" (UTC por defecto)
+ *     responses:
+ *       200:
+ *         description: Serie diaria
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 sections:
+ *                   type: integer
+ *                 days:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       done:
+ *                         type: integer
+ *                       partial:
+ *                         type: integer
+ *                       skipped:
+ *                         type: integer
+ *                       mood:
+ *                         type: number
+ *                         nullable: true
+ *                       level:
+ *                         type: integer
+ *                         minimum: 0
+ *                         maximum: 4
+ *       400:
+ *         description: Rango o zona horaria inválidos
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/heatmap', auth, planAccess('viewer'), async (req, res) => {
+  const timezone = resolveTimezone(req.query.timezone);
+  if (!timezone) {
+    return res.status(400).json({ error: `Zona horaria desconocida: ${req.query.timezone}` });
+  }
+  const range = resolveRange(req.query, timezone);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  try {
+    res.json(await heatmap(req.params.planId, req.user.userId, range));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al generar el mapa de calor' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,501 @@
+// src/routes/planReviews.js
+//
+// Montado en /plans/:planId. Revisión semanal del plan con IA: la lanza el
+// job semanal (src/jobs/weeklyReview.js) o el usuario con POST /review. Las
+// propuestas se aceptan (la sección se ajusta con la IA como en el PATCH de
+// secciones) o se rechazan una a una.
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const aiQuota = require('../middleware/aiQuota');
+const { planAccess } = require('../middleware/planAccess');
+const { createResponder } = require('../utils/sse');
+const { withTransaction } = require('../utils/transaction');
+const { StructuredOutputError } = require('../services/structuredOutput');
+const { AiProviderError } = require('../services/ai');
+const { resolveTimezone } = require('../services/checkins');
+const { adjustSection } = require('../services/sectionAdjust');
+const { PlanLifecycleError, assertActive, assertEditable } = require('../services/planLifecycle');
+const {
+  ReviewProposalError,
+  reviewTimezone,
+  runReview,
+  getReview,
+  findProposal,
+  decideProposal
+} = require('../services/reviews');
+const router  = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReviewProposal:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         review_id:
+ *           type: integer
+ *         section_id:
+ *           type: integer
+ *         section_type:
+ *           type: string
+ *         instruction:
+ *           type: string
+ *           description: Cambio propuesto; es el comentario con el que se ajusta la sección
+ *         rationale:
+ *           type: string
+ *           description: Motivo, a partir de la adherencia y las notas
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, rejected]
+ *         decided_by:
+ *           type: integer
+ *           nullable: true
+ *         decided_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         generation_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Generación de IA del ajuste aplicado al aceptarla
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     PlanReview:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         plan_id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *           description: Usuario cuyo seguimiento se revisó
+ *         origin:
+ *           type: string
+ *           enum: [manual, scheduled]
+ *         period_from:
+ *           type: string
+ *           format: date
+ *         period_to:
+ *           type: string
+ *           format: date
+ *         summary:
+ *           type: string
+ *         adherence:
+ *           type: integer
+ *           nullable: true
+ *           description: Adherencia global de la semana revisada (%)
+ *         generation_id:
+ *           type: integer
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         proposals:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ReviewProposal'
+ */
+
+/**
+ * @swagger
+ * /plans/{planId}/review:
+ *   post:
+ *     summary: Lanza ahora la revisión semanal del plan con IA
+ *     description: >
+ *       Da al modelo la adherencia y las notas del usuario de los últimos 7 días
+ *       en cada sección y guarda las propuestas de cambio que devuelve, todas
+ *       pendientes de aceptar o rechazar. Admite Server-Sent Events como el
+ *       resto de rutas de IA.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Emite progreso y tokens como Server-Sent Events (equivale a Accept text/event-stream)
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Madrid
+ *                 description: Zona IANA del usuario (por defecto, la de su último check-in)
+ *     responses:
+ *       201:
+ *         description: Revisión creada con sus propuestas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanReview'
+ *       400:
+ *         description: Zona horaria desconocida o el plan no tiene secciones
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan no encontrado
+ *       409:
+ *         description: El plan está archivado (code PLAN_INVALID_STATUS)
+ *       429:
+ *         description: Cuota de IA agotada (code AI_QUOTA_EXCEEDED, cabecera Retry-After)
+ *       502:
+ *         description: >
+ *           La IA no devolvió una respuesta válida (code AI_INVALID_OUTPUT)
+ *           o no respondió correctamente (code AI_PROVIDER_ERROR)
+ *       500:
+ *         description: Error interno
+ */
+router.post('/review', auth, planAccess('editor'), aiQuota(), async (req, res) => {
+  const userId = req.user.userId;
+  const out    = createResponder(req, res);
+  const body   = req.body || {};
+
+  let timezone = resolveTimezone(body.timezone);
+  if (!timezone) {
+    return out.fail(400, { error: `Zona horaria desconocida: ${body.timezone}` });
+  }
+
+  try {
+    assertActive(req.plan.status);
+    if (body.timezone === undefined) {
+      timezone = await reviewTimezone(req.plan.id, userId);
+    }
+
+    out.start();
+    out.progress('generating');
+    const review = await runReview({
+      plan:        req.plan,
+      userId,
+      timezone,
+      origin:      'manual',
+      onToken:     out.onToken,
+      onReasoning: out.onReasoning,
+      onRetry:     (attempt, errors) => out.progress('repairing', { attempt, errors })
+    });
+    if (!review) {
+      return out.fail(400, { error: 'El plan no tiene secciones que revisar' });
+    }
+    out.send(review, 201);
+  } catch (err) {
+    if (err instanceof StructuredOutputError || err instanceof PlanLifecycleError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    console.error(err);
+    if (err instanceof AiProviderError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    out.fail(500, { error: 'Error al revisar el plan' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/reviews:
+ *   get:
+ *     summary: Lista las revisiones del plan (más recientes primero)
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending]
+ *         description: Solo revisiones con alguna propuesta pendiente
+ *     responses:
+ *       200:
+ *         description: Revisiones con sus propuestas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PlanReview'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/reviews', auth, planAccess('viewer'), async (req, res) => {
+  const { planId } = req.params;
+  const pendingOnly = req.query.status === 'pending';
+  try {
+    const [rows] = await pool.query(
+      `SELECT r.id FROM plan_reviews r
+        WHERE r.plan_id = ?${pendingOnly
+          ? " AND EXISTS (SELECT 1 FROM plan_review_proposals p WHERE p.review_id = r.id AND p.status = 'pending')"
+          : ''}
+        ORDER BY r.created_at DESC, r.id DESC`,
+      [planId]
+    );
+    const reviews = [];
+    for (const row of rows) {
+      reviews.push(await getReview(planId, row.id));
+    }
+    res.json(reviews);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar revisiones' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/reviews/{reviewId}:
+ *   get:
+ *     summary: Detalle de una revisión con sus propuestas
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: reviewId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Revisión
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanReview'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan o revisión no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/reviews/:reviewId', auth, planAccess('viewer'), async (req, res) => {
+  try {
+    const review = await getReview(req.params.planId, req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ error: 'Revisión no encontrada' });
+    }
+    res.json(review);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener la revisión' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/reviews/{reviewId}/proposals/{proposalId}/accept:
+ *   post:
+ *     summary: Acepta una propuesta y ajusta la sección con la IA
+ *     description: >
+ *       La instrucción de la propuesta se aplica como el comentario de
+ *       PATCH /plans/{planId}/sections/{sectionId} y queda una nueva versión de
+ *       la sección. Un plan finalizado no admite cambios de contenido: hay que
+ *       reabrirlo antes con POST /plans/{planId}/transitions.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: reviewId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: proposalId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Emite progreso y tokens como Server-Sent Events (equivale a Accept text/event-stream)
+ *     responses:
+ *       200:
+ *         description: Propuesta aceptada y sección ajustada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 proposal:
+ *                   $ref: '#/components/schemas/ReviewProposal'
+ *                 section:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     section_type:
+ *                       type: string
+ *                     content:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     updated_at:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan, revisión o propuesta no encontrado
+ *       409:
+ *         description: >
+ *           La propuesta ya se decidió (code REVIEW_PROPOSAL_DECIDED) o el plan
+ *           está finalizado o archivado (code PLAN_INVALID_STATUS)
+ *       429:
+ *         description: Cuota de IA agotada (code AI_QUOTA_EXCEEDED, cabecera Retry-After)
+ *       502:
+ *         description: El servicio de IA no respondió correctamente (code AI_PROVIDER_ERROR)
+ *       500:
+ *         description: Error interno
+ */
+router.post('/reviews/:reviewId/proposals/:proposalId/accept', auth, planAccess('editor'), aiQuota(), async (req, res) => {
+  const { planId, reviewId, proposalId } = req.params;
+  const userId = req.user.userId;
+  const out    = createResponder(req, res);
+
+  try {
+    assertEditable(req.plan.status);
+    const proposal = await findProposal(planId, reviewId, proposalId);
+    if (!proposal) {
+      return out.fail(404, { error: 'Propuesta no encontrada' });
+    }
+    if (proposal.status !== 'pending') {
+      throw new ReviewProposalError('La propuesta ya se ha decidido', { status: proposal.status });
+    }
+
+    out.start();
+    out.progress('generating');
+    await adjustSection({
+      planId,
+      section:      { id: proposal.section_id, content: proposal.section_content },
+      comment:      proposal.instruction,
+      userId,
+      onToken:      out.onToken,
+      onReasoning:  out.onReasoning,
+      onSaving:     () => out.progress('saving'),
+      onSaved:      (conn, generationId) =>
+        decideProposal(conn, proposal.id, { status: 'accepted', userId, generationId })
+    });
+
+    const [[section]] = await pool.query(
+      'SELECT id, section_type, content, status, updated_at FROM plan_sections WHERE id = ?',
+      [proposal.section_id]
+    );
+    const review = await getReview(planId, reviewId);
+    out.send({
+      proposal: review.proposals.find(p => p.id === proposal.id),
+      section
+    });
+  } catch (err) {
+    if (err instanceof ReviewProposalError || err instanceof PlanLifecycleError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    console.error(err);
+    if (err instanceof AiProviderError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    out.fail(500, { error: 'Error al aplicar la propuesta' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/reviews/{reviewId}/proposals/{proposalId}/reject:
+ *   post:
+ *     summary: Rechaza una propuesta (la sección no cambia)
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: reviewId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: proposalId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Propuesta rechazada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReviewProposal'
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan, revisión o propuesta no encontrado
+ *       409:
+ *         description: La propuesta ya se decidió (code REVIEW_PROPOSAL_DECIDED)
+ *       500:
+ *         description: Error interno
+ */
+router.post('/reviews/:reviewId/proposals/:proposalId/reject', auth, planAccess('editor'), async (req, res) => {
+  const { planId, reviewId, proposalId } = req.params;
+  try {
+    const proposal = await findProposal(planId, reviewId, proposalId);
+    if (!proposal) {
+      return res.status(404).json({ error: 'Propuesta no encontrada' });
+    }
+    await withTransaction(conn =>
+      decideProposal(conn, proposal.id, { status: 'rejected', userId: req.user.userId })
+    );
+    const review = await getReview(planId, reviewId);
+    res.json(review.proposals.find(p => p.id === proposal.id));
+  } catch (err) {
+    if (err instanceof ReviewProposalError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Error al rechazar la propuesta' });
+  }
+});
+
+module.exports = router;
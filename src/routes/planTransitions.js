@@ -0,0 +1,196 @@
+// src/routes/planTransitions.js
+//
+// Montado en /plans/:planId/transitions
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { planAccess } = require('../middleware/planAccess');
+const { withTransaction } = require('../utils/transaction');
+const {
+  PLAN_STATUSES,
+  PlanLifecycleError,
+  allowedTransitions,
+  transitionPlan
+} = require('../services/planLifecycle');
+const router  = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PlanStatusChange:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         from_status:
+ *           type: string
+ *           nullable: true
+ *           description: Estado anterior (null al crear el plan)
+ *         to_status:
+ *           type: string
+ *         changed_by:
+ *           type: integer
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         automatic:
+ *           type: boolean
+ *           description: Si el cambio lo provocó una acción (generar, resumir, exportar)
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /plans/{planId}/transitions:
+ *   get:
+ *     summary: Estado actual del plan, transiciones permitidas e historial
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Estado e historial (más reciente primero)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 allowed:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PlanStatusChange'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, planAccess('viewer'), async (req, res) => {
+  const { planId } = req.params;
+  const plan = req.plan;
+  try {
+    const [history] = await pool.query(
+      `SELECT id, from_status, to_status, changed_by, reason, automatic, created_at
+         FROM plan_status_history
+        WHERE plan_id = ?
+        ORDER BY id DESC`,
+      [planId]
+    );
+    res.json({
+      status:  plan.status,
+      allowed: allowedTransitions(plan.status),
+      history: history.map(row => ({ ...row, automatic: Boolean(row.automatic) }))
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener historial de estados' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/transitions:
+ *   post:
+ *     summary: Cambia el estado del plan
+ *     description: >
+ *       Ciclo de vida draft → generated → in_review → finalized → archived.
+ *       Desde in_review se puede volver a generated y un plan finalizado se
+ *       puede reabrir (in_review). Cualquier estado salvo archived puede
+ *       archivarse. Los planes finalizados o archivados no admiten cambios
+ *       de contenido.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [to]
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 enum: [draft, generated, in_review, finalized, archived]
+ *                 example: finalized
+ *               reason:
+ *                 type: string
+ *                 example: "Revisado con mi entrenador"
+ *     responses:
+ *       200:
+ *         description: Estado cambiado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: string
+ *                 to:
+ *                   type: string
+ *                 allowed:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Falta "to" o el estado no existe
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan no encontrado
+ *       409:
+ *         description: Transición no permitida desde el estado actual (code PLAN_INVALID_STATUS)
+ *       500:
+ *         description: Error interno
+ */
+router.post('/', auth, planAccess('editor'), async (req, res) => {
+  const { planId } = req.params;
+  const { to, reason = null } = req.body || {};
+  const userId = req.user.userId;
+
+  if (!PLAN_STATUSES.includes(to)) {
+    return res.status(400).json({
+      error: `"to" debe ser uno de: ${PLAN_STATUSES.join(', ')}`
+    });
+  }
+
+  try {
+    const change = await withTransaction(conn =>
+      transitionPlan(conn, { planId, to, userId, reason })
+    );
+    res.json({ ...change, allowed: allowedTransitions(change.to) });
+  } catch (err) {
+    if (err instanceof PlanLifecycleError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Error al cambiar estado del plan' });
+  }
+});
+
+module.exports = router;
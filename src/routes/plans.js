@@ -3,8 +3,54 @@
 const express = require('express');
 const pool    = require('../config/db');
 const auth    = require('../middleware/auth');
-const axios   = require('axios');
-const PDFDocument = require('pdfkit');
+const idempotency = require('../middleware/idempotency');
+const aiQuota = require('../middleware/aiQuota');
+const { planAccess, hasPlanRole } = require('../middleware/planAccess');
+const { adjustSection } = require('../services/sectionAdjust');
+const { createResponder } = require('../utils/sse');
+const { generateStructured, StructuredOutputError } = require('../services/structuredOutput');
+const { AiProviderError } = require('../services/ai');
+const { sectionsSchema, summarySchema } = require('../schemas/aiOutputs');
+const { planSectionConfig, planSectionTypes } = require('../config/sections');
+const { negotiateFormat, exportPlan } = require('../services/export');
+const { PlanImportError, importPlan } = require('../services/planImport');
+const { completion, planProgress } = require('../services/tasks');
+const { RecurrenceError } = require('../services/recurrence');
+const {
+  REMINDER_COLUMNS,
+  occurrencesLimit,
+  validateRule,
+  resolveStartsAt,
+  serializeReminder
+} = require('../services/reminders');
+const { DEFAULT_CHANNELS, validateChannels } = require('../services/channels');
+const { withTransaction } = require('../utils/transaction');
+const {
+  TEMPLATE_COLUMNS,
+  serializeTemplate,
+  validateTemplateInput,
+  findVisibleTemplate
+} = require('../services/templates');
+const { recordInitialVersion, updateSectionContent } = require('../services/sectionVersions');
+const {
+  PlanLifecycleError,
+  assertEditable,
+  recordStatus,
+  lockEditablePlan,
+  advancePlan
+} = require('../services/planLifecycle');
+const sectionVersionsRouter = require('./sectionVersions');
+const generationsRouter = require('./generations');
+const planTransitionsRouter = require('./planTransitions');
+const collaboratorsRouter = require('./collaborators');
+const shareLinksRouter = require('./shareLinks');
+const sectionCommentsRouter = require('./sectionComments');
+const sectionTasksRouter = require('./sectionTasks');
+const sectionCheckinsRouter = require('./sectionCheckins');
+const planCheckinsRouter = require('./planCheckins');
+const planAnalyticsRouter = require('./planAnalytics');
+const planReviewsRouter = require('./planReviews');
+const planChatsRouter = require('./planChats');
 
 const router  = express.Router();
 
@@ -19,7 +65,7 @@ const router  = express.Router();
  * @swagger
  * /plans:
  *   get:
- *     summary: Lista todos los planes del usuario autenticado
+ *     summary: Lista los planes del usuario autenticado y los compartidos con él
  *     tags: [Plans]
  *     security:
  *       - bearerAuth: []
@@ -41,6 +87,10 @@ const router  = express.Router();
  *                     type: object
  *                   status:
  *                     type: string
+ *                   role:
+ *                     type: string
+ *                     enum: [owner, viewer, commenter, editor]
+ *                     description: Rol del usuario en el plan
  *                   created_at:
  *                     type: string
  *                     format: date-time
@@ -55,10 +105,13 @@ const router  = express.Router();
 router.get('/', auth, async (req, res) => {
   try {
     const [rows] = await pool.query(
-      `SELECT id, title, parameters, status, created_at, updated_at
-       FROM plans
-       WHERE user_id = ?`,
-      [req.user.userId]
+      `SELECT p.id, p.title, p.parameters, p.status,
+              CASE WHEN p.user_id = ? THEN 'owner' ELSE c.role END AS role,
+              p.created_at, p.updated_at
+       FROM plans p
+       LEFT JOIN plan_collaborators c ON c.plan_id = p.id AND c.user_id = ?
+       WHERE p.user_id = ? OR c.user_id IS NOT NULL`,
+      [req.user.userId, req.user.userId, req.user.userId]
     );
     res.json(rows);
   } catch (err) {
@@ -116,12 +169,20 @@ router.get('/', auth, async (req, res) => {
 router.post('/', auth, async (req, res) => {
   const { title = null, parameters = {} } = req.body;
   try {
-    const [result] = await pool.query(
-      `INSERT INTO plans (user_id, title, parameters)
-       VALUES (?, ?, ?)`,
-      [req.user.userId, title, JSON.stringify(parameters)]
-    );
-    const insertedId = result.insertId;
+    const insertedId = await withTransaction(async conn => {
+      const [result] = await conn.query(
+        `INSERT INTO plans (user_id, title, parameters)
+         VALUES (?, ?, ?)`,
+        [req.user.userId, title, JSON.stringify(parameters)]
+      );
+      await recordStatus(conn, {
+        planId: result.insertId,
+        from:   null,
+        to:     'draft',
+        userId: req.user.userId
+      });
+      return result.insertId;
+    });
     res.status(201).json({
       id: insertedId,
       title,
@@ -134,6 +195,267 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /plans/from-template/{templateId}:
+ *   post:
+ *     summary: Crea un plan (draft) a partir de una plantilla
+ *     description: >
+ *       Los parámetros del cuerpo se mezclan sobre los de la plantilla (los del
+ *       cuerpo ganan). El plan guarda las secciones de la plantilla, con sus
+ *       indicaciones, y las usa al generar.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Mi vuelta al gimnasio
+ *               parameters:
+ *                 type: object
+ *                 example:
+ *                   Entrenamiento: "4 días por semana"
+ *               section_types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Subconjunto de las secciones de la plantilla (por defecto, todas)
+ *     responses:
+ *       201:
+ *         description: Plan creado correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 title:
+ *                   type: string
+ *                 parameters:
+ *                   type: object
+ *                 status:
+ *                   type: string
+ *                 template_id:
+ *                   type: integer
+ *                 section_config:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       400:
+ *         description: Parámetros o secciones inválidos
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plantilla no encontrada
+ *       500:
+ *         description: Error interno
+ */
+router.post('/from-template/:templateId', auth, async (req, res) => {
+  const { title, parameters = {}, section_types } = req.body || {};
+  if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+    return res.status(400).json({ error: 'parameters debe ser un objeto' });
+  }
+
+  try {
+    const template = await findVisibleTemplate(req.params.templateId, req.user.userId);
+    if (!template) {
+      return res.status(404).json({ error: 'Plantilla no encontrada' });
+    }
+
+    let sectionConfig = template.sections;
+    if (section_types !== undefined) {
+      const available = sectionConfig.map(sec => sec.section_type);
+      if (!Array.isArray(section_types) || !section_types.length) {
+        return res.status(400).json({ error: 'section_types debe ser un array no vacío' });
+      }
+      const unknown = section_types.filter(type => !available.includes(type));
+      if (unknown.length) {
+        return res.status(400).json({
+          error: `Secciones desconocidas: ${unknown.join(', ')}. Disponibles: ${available.join(', ')}`
+        });
+      }
+      sectionConfig = sectionConfig.filter(sec => section_types.includes(sec.section_type));
+    }
+
+    const planTitle  = title === undefined ? template.name : title;
+    const planParams = { ...template.parameters, ...parameters };
+    const insertedId = await withTransaction(async conn => {
+      const [result] = await conn.query(
+        `INSERT INTO plans (user_id, title, parameters, template_id, section_config)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          req.user.userId,
+          planTitle,
+          JSON.stringify(planParams),
+          template.id,
+          JSON.stringify(sectionConfig)
+        ]
+      );
+      await recordStatus(conn, {
+        planId: result.insertId,
+        from:   null,
+        to:     'draft',
+        userId: req.user.userId,
+        reason: `Creado desde la plantilla "${template.name}"`
+      });
+      return result.insertId;
+    });
+    res.status(201).json({
+      id:             insertedId,
+      title:          planTitle,
+      parameters:     planParams,
+      status:         'draft',
+      template_id:    template.id,
+      section_config: sectionConfig
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al crear plan desde plantilla' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/import:
+ *   post:
+ *     summary: Importa un plan completo desde su copia de seguridad JSON
+ *     description: >
+ *       Acepta el documento de GET /plans/{planId}/export?format=json (título,
+ *       parámetros, secciones, resúmenes y recordatorios) y crea un plan nuevo
+ *       del usuario autenticado. El documento se valida contra el esquema de
+ *       su `version` y se importa en una sola transacción: si algo falla no
+ *       se crea nada. Los ids, fechas y metadatos del documento se ignoran.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [version, plan]
+ *             properties:
+ *               version:
+ *                 type: integer
+ *                 enum: [1]
+ *               plan:
+ *                 type: object
+ *                 required: [title]
+ *                 properties:
+ *                   title:
+ *                     type: string
+ *                   parameters:
+ *                     type: object
+ *                   section_config:
+ *                     type: array
+ *                     nullable: true
+ *                     items:
+ *                       type: object
+ *               sections:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [section_type, content]
+ *                   properties:
+ *                     section_type:
+ *                       type: string
+ *                     content:
+ *                       type: string
+ *               summaries:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [title, executive_summary]
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     executive_summary:
+ *                       type: string
+ *               reminders:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [rule]
+ *                   properties:
+ *                     rule:
+ *                       type: string
+ *                     timezone:
+ *                       type: string
+ *                     starts_at:
+ *                       type: string
+ *                       format: date-time
+ *                     channels:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     is_active:
+ *                       type: boolean
+ *                     section_type:
+ *                       type: string
+ *                       description: Sección del documento a la que se asocia
+ *     responses:
+ *       201:
+ *         description: Plan importado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 title:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 imported:
+ *                   type: object
+ *                   properties:
+ *                     sections:
+ *                       type: integer
+ *                     summaries:
+ *                       type: integer
+ *                     reminders:
+ *                       type: integer
+ *       400:
+ *         description: >
+ *           Documento inválido (code INVALID_PLAN_IMPORT); `details` lista cada
+ *           error con su ruta JSON Pointer
+ *       401:
+ *         description: No autorizado
+ *       500:
+ *         description: Error interno
+ */
+router.post('/import', auth, async (req, res) => {
+  try {
+    const { planId, status, counts } = await importPlan(req.body, req.user.userId);
+    res.status(201).json({
+      id:       planId,
+      title:    req.body.plan.title,
+      status,
+      imported: counts
+    });
+  } catch (err) {
+    if (err instanceof PlanImportError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Error al importar plan' });
+  }
+});
+
 /**
  * @swagger
  * /plans/{planId}:
@@ -165,6 +487,27 @@ router.post('/', auth, async (req, res) => {
  *                   type: object
  *                 status:
  *                   type: string
+ *                 role:
+ *                   type: string
+ *                   enum: [owner, viewer, commenter, editor]
+ *                 progress:
+ *                   $ref: '#/components/schemas/TaskProgress'
+ *                 template_id:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Plantilla de la que se creó el plan
+ *                 section_config:
+ *                   type: array
+ *                   nullable: true
+ *                   description: Secciones del plan con su indicación para la IA (null = las de por defecto)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       section_type:
+ *                         type: string
+ *                       prompt_hint:
+ *                         type: string
+ *                         nullable: true
  *                 created_at:
  *                   type: string
  *                   format: date-time
@@ -184,6 +527,8 @@ router.post('/', auth, async (req, res) => {
  *                         type: string
  *                       status:
  *                         type: string
+ *                       progress:
+ *                         $ref: '#/components/schemas/TaskProgress'
  *                       created_at:
  *                         type: string
  *                         format: date-time
@@ -197,26 +542,26 @@ router.post('/', auth, async (req, res) => {
  *       500:
  *         description: Error interno
  */
-router.get('/:planId', auth, async (req, res) => {
+router.get('/:planId', auth, planAccess('viewer'), async (req, res) => {
   const planId = req.params.planId;
   try {
-    const [plans] = await pool.query(
-      `SELECT id, title, parameters, status, created_at, updated_at
-       FROM plans
-       WHERE id = ? AND user_id = ?`,
-      [planId, req.user.userId]
-    );
-    if (!plans.length) {
-      return res.status(404).json({ error: 'Plan no encontrado' });
-    }
-    const plan = plans[0];
+    const { user_id, ...plan } = req.plan;
     const [sections] = await pool.query(
       `SELECT id, section_type, content, status, created_at, updated_at
        FROM plan_sections
        WHERE plan_id = ?`,
       [planId]
     );
-    res.json({ ...plan, sections });
+    const progress = await planProgress(planId);
+    res.json({
+      ...plan,
+      role:     req.planRole,
+      progress: progress.plan,
+      sections: sections.map(section => ({
+        ...section,
+        progress: progress.sections.get(section.id) || completion()
+      }))
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Error al obtener detalle del plan' });
@@ -279,12 +624,16 @@ router.get('/:planId', auth, async (req, res) => {
  *         description: Ningún campo para actualizar
  *       401:
  *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
  *       404:
  *         description: Plan no encontrado
+ *       409:
+ *         description: El plan está finalizado o archivado (code PLAN_INVALID_STATUS)
  *       500:
  *         description: Error interno
  */
-router.patch('/:planId', auth, async (req, res) => {
+router.patch('/:planId', auth, planAccess('editor'), async (req, res) => {
   const planId = req.params.planId;
   const { title, parameters } = req.body;
   const fields = [];
@@ -303,20 +652,14 @@ router.patch('/:planId', auth, async (req, res) => {
   }
 
   try {
-    // Verificar existencia del plan
-    const [exists] = await pool.query(
-      `SELECT id FROM plans WHERE id = ? AND user_id = ?`,
-      [planId, req.user.userId]
-    );
-    if (!exists.length) {
-      return res.status(404).json({ error: 'Plan no encontrado' });
-    }
-
-    // Ejecutar actualización
-    await pool.query(
-      `UPDATE plans SET ${fields.join(', ')} WHERE id = ? AND user_id = ?`,
-      [...values, planId, req.user.userId]
-    );
+    // Ejecutar actualización (solo si el plan sigue siendo editable)
+    await withTransaction(async conn => {
+      await lockEditablePlan(conn, planId);
+      await conn.query(
+        `UPDATE plans SET ${fields.join(', ')} WHERE id = ?`,
+        [...values, planId]
+      );
+    });
 
     // Obtener plan actualizado
     const [updated] = await pool.query(
@@ -327,6 +670,9 @@ router.patch('/:planId', auth, async (req, res) => {
     );
     res.json(updated[0]);
   } catch (err) {
+    if (err instanceof PlanLifecycleError) {
+      return res.status(err.status).json(err.toJSON());
+    }
     console.error(err);
     res.status(500).json({ error: 'Error al actualizar plan' });
   }
@@ -351,24 +697,19 @@ router.patch('/:planId', auth, async (req, res) => {
  *         description: Plan eliminado correctamente
  *       401:
  *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
  *       404:
  *         description: Plan no encontrado
  *       500:
  *         description: Error interno
  */
-router.delete('/:planId', auth, async (req, res) => {
+router.delete('/:planId', auth, planAccess('owner'), async (req, res) => {
   const planId = req.params.planId;
   try {
-    const [exists] = await pool.query(
-      `SELECT id FROM plans WHERE id = ? AND user_id = ?`,
-      [planId, req.user.userId]
-    );
-    if (!exists.length) {
-      return res.status(404).json({ error: 'Plan no encontrado' });
-    }
     await pool.query(
-      `DELETE FROM plans WHERE id = ? AND user_id = ?`,
-      [planId, req.user.userId]
+      `DELETE FROM plans WHERE id = ?`,
+      [planId]
     );
     res.status(204).send();
   } catch (err) {
@@ -377,11 +718,92 @@ router.delete('/:planId', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /plans/{planId}/save-as-template:
+ *   post:
+ *     summary: Guarda el plan como plantilla propia (solo el dueño)
+ *     description: Copia los parámetros del plan y sus secciones con sus indicaciones.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Mi rutina de verano
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Plantilla creada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanTemplate'
+ *       400:
+ *         description: Nombre inválido
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.post('/:planId/save-as-template', auth, planAccess('owner'), async (req, res) => {
+  const { name, description } = req.body || {};
+  const { error, values } = validateTemplateInput({
+    name,
+    description,
+    parameters: req.plan.parameters || {},
+    sections:   planSectionConfig(req.plan)
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO plan_templates (user_id, name, description, parameters, sections)
+       VALUES (?, ?, ?, ?, ?)`,
+      [req.user.userId, values.name, values.description || null, values.parameters, values.sections]
+    );
+    const [[created]] = await pool.query(
+      `SELECT ${TEMPLATE_COLUMNS} FROM plan_templates WHERE id = ?`,
+      [result.insertId]
+    );
+    res.status(201).json(serializeTemplate(created));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al guardar plantilla' });
+  }
+});
+
 /**
  * @swagger
  * /plans/{planId}/sections:
  *   post:
- *     summary: Genera todas las secciones de un plan (invoca IA)
+ *     summary: Genera (o regenera) las secciones de un plan (invoca IA)
+ *     description: >
+ *       Cada sección se actualiza por `section_type` en lugar de duplicarse.
+ *       Con `section_types` solo se regeneran esas secciones; las demás se
+ *       envían al modelo como contexto para mantener la coherencia del plan.
+ *       Con la cabecera `Idempotency-Key`, los reintentos devuelven la
+ *       respuesta original sin volver a generar.
  *     tags: [Plans]
  *     security:
  *       - bearerAuth: []
@@ -391,9 +813,32 @@ router.delete('/:planId', auth, async (req, res) => {
  *         schema:
  *           type: integer
  *         required: true
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Clave única por intento lógico (válida 24 h)
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Emite progreso y tokens como Server-Sent Events (equivale a Accept text/event-stream)
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               section_types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Nutrición, Bienestar]
+ *                 description: Secciones a regenerar (por defecto, todas)
  *     responses:
  *       200:
- *         description: Secciones generadas e insertadas
+ *         description: Secciones del plan tras la generación
  *         content:
  *           application/json:
  *             schema:
@@ -409,83 +854,167 @@ router.delete('/:planId', auth, async (req, res) => {
  *                     type: string
  *                   status:
  *                     type: string
+ *       400:
+ *         description: section_types inválido o Idempotency-Key demasiado larga
  *       401:
  *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
  *       404:
  *         description: Plan no encontrado
+ *       409:
+ *         description: >
+ *           Ya hay una petición en curso con la misma Idempotency-Key, o el plan
+ *           está finalizado o archivado (code PLAN_INVALID_STATUS)
+ *       422:
+ *         description: Idempotency-Key reutilizada con un cuerpo distinto
+ *       429:
+ *         description: Cuota de IA agotada (code AI_QUOTA_EXCEEDED, cabecera Retry-After)
  *       500:
  *         description: Error interno
+ *       502:
+ *         description: >
+ *           La IA no devolvió JSON válido tras varios intentos (code AI_INVALID_OUTPUT)
+ *           o no respondió correctamente (code AI_PROVIDER_ERROR)
  */
-router.post('/:planId/sections', auth, async (req, res) => {
+router.post('/:planId/sections', auth, planAccess('editor'), idempotency, aiQuota(), async (req, res) => {
   const { planId } = req.params;
   const userId     = req.user.userId;
+  const out        = createResponder(req, res);
+  const { section_types: requested } = req.body || {};
+
+  // Secciones a regenerar: todas las del plan por defecto
+  const sectionConfig = planSectionConfig(req.plan);
+  const planTypes     = planSectionTypes(req.plan);
+  let targetTypes = planTypes;
+  if (requested !== undefined) {
+    if (!Array.isArray(requested) || !requested.length) {
+      return out.fail(400, { error: 'section_types debe ser un array no vacío' });
+    }
+    const unknown = requested.filter(type => !planTypes.includes(type));
+    if (unknown.length) {
+      return out.fail(400, {
+        error: `Secciones desconocidas: ${unknown.join(', ')}. Disponibles: ${planTypes.join(', ')}`
+      });
+    }
+    targetTypes = planTypes.filter(type => requested.includes(type));
+  }
 
   try {
-    // 1) Validar plan
-    const [plans] = await pool.query(
-      'SELECT parameters FROM plans WHERE id = ? AND user_id = ?',
-      [planId, userId]
+    // 1) Validar estado del plan
+    assertEditable(req.plan.status);
+    const parameters = req.plan.parameters;
+
+    // Secciones que se conservan: se dan como contexto al modelo
+    const [existing] = await pool.query(
+      'SELECT section_type, content FROM plan_sections WHERE plan_id = ? ORDER BY id',
+      [planId]
     );
-    if (!plans.length) {
-      return res.status(404).json({ error: 'Plan no encontrado' });
-    }
-    const parameters = plans[0].parameters;
+    const kept = existing.filter(sec => !targetTypes.includes(sec.section_type) && sec.content);
 
     // 2) Construir prompt que fuerce SOLO JSON
+    let prompt =
+      `Dado este JSON de parámetros: ${JSON.stringify(parameters)}, ` +
+      `devuelve un array JSON con objetos que tengan "section_type" y "content" ` +
+      `para estas secciones: ${targetTypes.join(', ')}.`;
+    const hints = sectionConfig.filter(sec => sec.prompt_hint && targetTypes.includes(sec.section_type));
+    if (hints.length) {
+      prompt += ' Ten en cuenta estas indicaciones por sección: ' +
+        hints.map(sec => `${sec.section_type}: ${sec.prompt_hint}`).join('; ') + '.';
+    }
+    if (kept.length) {
+      prompt +=
+        ' El plan ya tiene estas otras secciones, que no debes devolver pero con las ' +
+        `que el resultado debe ser coherente: ${JSON.stringify(kept)}.`;
+    }
     const messages = [
       { role: 'system', content:
           'Eres un asistente que devuelve **solo** JSON puro, sin explicaciones ni etiquetas.' },
-      { role: 'user', content:
-          `Dado este JSON de parámetros: ${JSON.stringify(parameters)}, ` +
-          `devuelve un array JSON con objetos que tengan "section_type" y "content" ` +
-          `para estas secciones: Profesional, Entrenamiento, Hobbies, Nutrición, Bienestar.` }
+      { role: 'user', content: prompt }
     ];
 
-    // 3) Llamar al proxy IA
-    const API_BASE = `${req.protocol}://${req.get('host')}`;
-    const aiRes = await axios.post(
-      `${API_BASE}/ai/generate`,
-      { model: 'deepseek-r1-distill-qwen-7b', messages },
-      { headers: { Authorization: req.headers.authorization } }
-    );
-
-    // 4) Extraer y parsear SOLO el bloque JSON
-    const raw = aiRes.data.choices[0].message.content;
-    const match = raw.match(/\[.*\]/s);
-    if (!match) {
-      return res.status(500).json({
-        error: 'Respuesta IA no contiene JSON',
-        details: raw.slice(0,200)
-      });
-    }
-    const sections = JSON.parse(match[0]);
+    // 3) Llamar a la IA y validar la salida contra el esquema
+    out.start();
+    out.progress('generating');
+    const { value: sections, result: aiResult } = await generateStructured({
+      useCase:     'sections',
+      messages,
+      schema:      sectionsSchema(targetTypes),
+      onToken:     out.onToken,
+      onReasoning: out.onReasoning,
+      onRetry:     (attempt, errors) => out.progress('repairing', { attempt, errors }),
+      context:     { userId, planId }
+    });
 
-    // 5) Insertar en BD
-    await Promise.all(sections.map(sec =>
-      pool.query(
-        'INSERT INTO plan_sections (plan_id, section_type, content) VALUES (?, ?, ?)',
-        [planId, sec.section_type, sec.content]
-      )
-    ));
+    // 4) Guardar por section_type: actualizar si existe, insertar si no
+    out.progress('saving');
+    await withTransaction(async conn => {
+      await lockEditablePlan(conn, planId);
+      for (const sec of sections) {
+        const [[current]] = await conn.query(
+          `SELECT id FROM plan_sections
+            WHERE plan_id = ? AND section_type = ?
+            ORDER BY id DESC LIMIT 1
+            FOR UPDATE`,
+          [planId, sec.section_type]
+        );
+        if (current) {
+          await updateSectionContent(conn, {
+            sectionId:    current.id,
+            content:      sec.content,
+            source:       'ai',
+            comment:      'Sección regenerada',
+            userId,
+            status:       'generated',
+            generationId: aiResult.generationId
+          });
+          continue;
+        }
+        const [inserted] = await conn.query(
+          'INSERT INTO plan_sections (plan_id, section_type, content) VALUES (?, ?, ?)',
+          [planId, sec.section_type, sec.content]
+        );
+        await recordInitialVersion(conn, {
+          sectionId:    inserted.insertId,
+          content:      sec.content,
+          userId,
+          generationId: aiResult.generationId
+        });
+      }
+      await advancePlan(conn, planId, 'generated', { userId, reason: 'Secciones generadas' });
+    });
 
-    // 6) Devolver todas las secciones
+    // 5) Devolver todas las secciones
     const [result] = await pool.query(
       'SELECT id, section_type, content, status, created_at, updated_at FROM plan_sections WHERE plan_id = ?',
       [planId]
     );
-    res.json(result);
+    out.send(result);
 
   } catch (err) {
+    if (err instanceof StructuredOutputError || err instanceof PlanLifecycleError) {
+      return out.fail(err.status, err.toJSON());
+    }
     console.error(err);
-    res.status(500).json({ error: 'Error al generar secciones', details: err.message });
+    if (err instanceof AiProviderError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    out.fail(500, { error: 'Error al generar secciones' });
   }
 });
 
+// Edición manual de una sección: no llama a la IA ni consume cuota
+const manualEdit = req => Boolean(req.body && req.body.content !== undefined);
+
 /**
  * @swagger
  * /plans/{planId}/sections/{sectionId}:
  *   patch:
- *     summary: Ajusta una sección concreta invocando a la IA
+ *     summary: Ajusta una sección con la IA (comment) o la edita a mano (content)
+ *     description: >
+ *       Con `comment`, la IA reescribe la sección siguiendo el comentario.
+ *       Con `content`, se guarda el texto indicado tal cual (edición manual).
+ *       En ambos casos se registra una nueva versión de la sección.
  *     tags: [Plans]
  *     security:
  *       - bearerAuth: []
@@ -502,6 +1031,11 @@ router.post('/:planId/sections', auth, async (req, res) => {
  *           type: integer
  *         required: true
  *         description: ID de la sección
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Emite progreso y tokens como Server-Sent Events (equivale a Accept text/event-stream)
  *     requestBody:
  *       required: true
  *       content:
@@ -512,6 +1046,9 @@ router.post('/:planId/sections', auth, async (req, res) => {
  *               comment:
  *                 type: string
  *                 example: "Quiero más énfasis en la nutrición"
+ *               content:
+ *                 type: string
+ *                 description: Nuevo texto de la sección (edición manual, sin IA)
  *     responses:
  *       200:
  *         description: Sección ajustada correctamente
@@ -535,86 +1072,113 @@ router.post('/:planId/sections', auth, async (req, res) => {
  *                   type: string
  *                   format: date-time
  *       400:
- *         description: El campo "comment" es obligatorio
+ *         description: Se requiere "comment" o "content"
  *       401:
  *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
  *       404:
  *         description: Plan o sección no encontrado
+ *       409:
+ *         description: El plan está finalizado o archivado (code PLAN_INVALID_STATUS)
+ *       429:
+ *         description: Cuota de IA agotada (code AI_QUOTA_EXCEEDED, cabecera Retry-After)
  *       500:
  *         description: Error interno
+ *       502:
+ *         description: El servicio de IA no respondió correctamente (code AI_PROVIDER_ERROR)
  */
-router.patch('/:planId/sections/:sectionId', auth, async (req, res) => {
+router.patch('/:planId/sections/:sectionId', auth, planAccess('editor'), aiQuota({ skip: manualEdit }), async (req, res) => {
   const { planId, sectionId } = req.params;
-  const { comment }           = req.body;
+  const { comment, content }  = req.body;
   const userId                = req.user.userId;
+  const out                   = createResponder(req, res);
 
-  if (!comment) {
-    return res.status(400).json({ error: 'El campo "comment" es obligatorio' });
+  if (content !== undefined && typeof content !== 'string') {
+    return out.fail(400, { error: 'El campo "content" debe ser texto' });
+  }
+  if (content === undefined && !comment) {
+    return out.fail(400, { error: 'Se requiere "comment" o "content"' });
   }
 
   try {
-    // 1) Validar plan y sección
-    const [[plan]] = await pool.query(
-      'SELECT id FROM plans WHERE id = ? AND user_id = ?',
-      [planId, userId]
-    );
-    if (!plan) {
-      return res.status(404).json({ error: 'Plan no encontrado' });
-    }
+    // 1) Validar estado del plan y sección
+    assertEditable(req.plan.status);
     const [[sec]] = await pool.query(
       'SELECT content FROM plan_sections WHERE id = ? AND plan_id = ?',
       [sectionId, planId]
     );
     if (!sec) {
-      return res.status(404).json({ error: 'Sección no encontrada' });
+      return out.fail(404, { error: 'Sección no encontrada' });
     }
 
-    // 2) Prompt de ajuste – solo JSON puro
-    const messages = [
-      { role: 'system', content:
-          'Eres un asistente de ajustes que devuelve solo el texto ajustado, sin nada más.' },
-      { role: 'user', content:
-          `Texto original: "${sec.content}".\nComentarios: "${comment}".` }
-    ];
-
-    // 3) Llamar al proxy IA
-    const API_BASE = `${req.protocol}://${req.get('host')}`;
-    const aiRes = await axios.post(
-      `${API_BASE}/ai/adjust`,
-      { model: 'deepseek-r1-distill-qwen-7b', messages },
-      { headers: { Authorization: req.headers.authorization } }
-    );
-
-    // 4) Obtener contenido limpio
-    const newContent = aiRes.data.choices[0].message.content.trim();
-
-    // 5) Actualizar BD
-    await pool.query(
-      `UPDATE plan_sections
-         SET content = ?, status = 'adjusted', updated_at = CURRENT_TIMESTAMP
-       WHERE id = ?`,
-      [newContent, sectionId]
-    );
+    if (content === undefined) {
+      // 2) Ajuste con la IA y nueva versión
+      out.start();
+      out.progress('generating');
+      await adjustSection({
+        planId,
+        section:     { id: sectionId, content: sec.content },
+        comment,
+        userId,
+        onToken:     out.onToken,
+        onReasoning: out.onReasoning,
+        onSaving:    () => out.progress('saving')
+      });
+    } else {
+      // 3) Edición manual: guardar el texto tal cual y registrar la versión
+      out.progress('saving');
+      await withTransaction(async conn => {
+        await lockEditablePlan(conn, planId);
+        await updateSectionContent(conn, {
+          sectionId,
+          content,
+          source:  'user',
+          comment: comment || null,
+          userId
+        });
+      });
+    }
 
-    // 6) Devolver sección actualizada
+    // 4) Devolver sección actualizada
     const [[updated]] = await pool.query(
       'SELECT id, section_type, content, status, created_at, updated_at FROM plan_sections WHERE id = ?',
       [sectionId]
     );
-    res.json(updated);
+    out.send(updated);
 
   } catch (err) {
+    if (err instanceof PlanLifecycleError) {
+      return out.fail(err.status, err.toJSON());
+    }
     console.error(err);
-    res.status(500).json({ error: 'Error al ajustar sección', details: err.message });
+    if (err instanceof AiProviderError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    out.fail(500, { error: 'Error al ajustar sección' });
   }
 });
 
+router.use('/:planId/sections/:sectionId/versions', sectionVersionsRouter);
+router.use('/:planId/generations', generationsRouter);
+router.use('/:planId/transitions', planTransitionsRouter);
+router.use('/:planId/collaborators', collaboratorsRouter);
+router.use('/:planId/share-links', shareLinksRouter);
+router.use('/:planId/sections/:sectionId/comments', sectionCommentsRouter);
+router.use('/:planId/sections/:sectionId/tasks', sectionTasksRouter);
+router.use('/:planId/sections/:sectionId/checkins', sectionCheckinsRouter);
+router.use('/:planId/checkins', planCheckinsRouter);
+router.use('/:planId/analytics', planAnalyticsRouter);
+router.use('/:planId/chat', planChatsRouter);
+router.use('/:planId', planReviewsRouter);
+
 // ─── Fase 5.1: Generar y guardar resumen ejecutivo ───────────────────────────
 /**
  * @swagger
  * /plans/{planId}/summary:
  *   post:
  *     summary: Genera y guarda un resumen ejecutivo de un plan
+ *     description: Un plan en estado generated pasa a in_review.
  *     tags: [Plans]
  *     security:
  *       - bearerAuth: []
@@ -625,6 +1189,11 @@ router.patch('/:planId/sections/:sectionId', auth, async (req, res) => {
  *           type: integer
  *         required: true
  *         description: ID del plan
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Emite progreso y tokens como Server-Sent Events (equivale a Accept text/event-stream)
  *     responses:
  *       200:
  *         description: Resumen generado y guardado
@@ -639,22 +1208,30 @@ router.patch('/:planId/sections/:sectionId', auth, async (req, res) => {
  *                   type: string
  *       401:
  *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
  *       404:
  *         description: Plan no encontrado
+ *       409:
+ *         description: El plan está finalizado o archivado (code PLAN_INVALID_STATUS)
+ *       429:
+ *         description: Cuota de IA agotada (code AI_QUOTA_EXCEEDED, cabecera Retry-After)
  *       500:
  *         description: Error interno
+ *       502:
+ *         description: >
+ *           La IA no devolvió JSON válido tras varios intentos (code AI_INVALID_OUTPUT)
+ *           o no respondió correctamente (code AI_PROVIDER_ERROR)
  */
-router.post('/:planId/summary', auth, async (req, res) => {
+router.post('/:planId/summary', auth, planAccess('editor'), aiQuota(), async (req, res) => {
   const planId = req.params.planId;
   const userId = req.user.userId;
+  const out    = createResponder(req, res);
 
   try {
     // 1) Traer plan y secciones
-    const [[plan]] = await pool.query(
-      'SELECT title, parameters FROM plans WHERE id = ? AND user_id = ?',
-      [planId, userId]
-    );
-    if (!plan) return res.status(404).json({ error: 'Plan no encontrado' });
+    const plan = req.plan;
+    assertEditable(plan.status);
 
     const [sections] = await pool.query(
       'SELECT section_type, content FROM plan_sections WHERE plan_id = ?',
@@ -677,35 +1254,44 @@ router.post('/:planId/summary', auth, async (req, res) => {
       }
     ];
 
-    const API_BASE = `${req.protocol}://${req.get('host')}`;
-    const aiRes = await axios.post(
-      `${API_BASE}/ai/generate`,
-      { model: 'deepseek-r1-distill-qwen-7b', messages },
-      { headers: { Authorization: req.headers.authorization } }
-    );
+    out.start();
+    out.progress('generating');
 
-    // 3) Parsear JSON del LLM
-    const raw = aiRes.data.choices[0].message.content;
-    const match = raw.match(/\{[\s\S]*\}/);
-    if (!match) {
-      return res
-        .status(500)
-        .json({ error: 'IA no devolvió JSON válido', details: raw.slice(0,200) });
-    }
-    const { title, executive_summary } = JSON.parse(match[0]);
+    // 3) Obtener JSON validado del LLM
+    const { value } = await generateStructured({
+      useCase:     'summary',
+      messages,
+      schema:      summarySchema,
+      onToken:     out.onToken,
+      onReasoning: out.onReasoning,
+      onRetry:     (attempt, errors) => out.progress('repairing', { attempt, errors }),
+      context:     { userId, planId }
+    });
+    const { title, executive_summary } = value;
 
     // 4) Guardar en BD
-    await pool.query(
-      `INSERT INTO plan_summaries (plan_id, title, executive_summary)
-         VALUES (?, ?, ?)`,
-      [planId, title, executive_summary]
-    );
+    out.progress('saving');
+    await withTransaction(async conn => {
+      await lockEditablePlan(conn, planId);
+      await conn.query(
+        `INSERT INTO plan_summaries (plan_id, title, executive_summary)
+           VALUES (?, ?, ?)`,
+        [planId, title, executive_summary]
+      );
+      await advancePlan(conn, planId, 'in_review', { userId, reason: 'Resumen generado' });
+    });
 
     // 5) Responder al cliente
-    res.json({ title, executive_summary });
+    out.send({ title, executive_summary });
   } catch (err) {
+    if (err instanceof StructuredOutputError || err instanceof PlanLifecycleError) {
+      return out.fail(err.status, err.toJSON());
+    }
     console.error(err);
-    res.status(500).json({ error: 'Error al generar resumen', details: err.message });
+    if (err instanceof AiProviderError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    out.fail(500, { error: 'Error al generar resumen' });
   }
 });
 
@@ -714,7 +1300,13 @@ router.post('/:planId/summary', auth, async (req, res) => {
  * @swagger
  * /plans/{planId}/export:
  *   get:
- *     summary: Devuelve un PDF con el plan completo
+ *     summary: Exporta el plan completo en PDF, Markdown, HTML, texto, DOCX o JSON
+ *     description: >
+ *       El formato se elige con `?format=`; si no se indica, se negocia con la
+ *       cabecera Accept (PDF por defecto). Todos los formatos comparten el
+ *       mismo contenido: título, metadatos, resumen ejecutivo y secciones en
+ *       el orden del plan. Si quien exporta puede editar el plan, un plan en
+ *       estado in_review pasa a finalized.
  *     tags: [Plans]
  *     security:
  *       - bearerAuth: []
@@ -725,75 +1317,110 @@ router.post('/:planId/summary', auth, async (req, res) => {
  *           type: integer
  *         required: true
  *         description: ID del plan
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, md, html, txt, docx, json]
+ *         description: Formato de salida (tiene prioridad sobre Accept)
  *     responses:
  *       200:
- *         description: PDF generado
+ *         description: Plan exportado
  *         content:
  *           application/pdf: {}
+ *           text/markdown: {}
+ *           text/html: {}
+ *           text/plain: {}
+ *           application/vnd.openxmlformats-officedocument.wordprocessingml.document: {}
+ *           application/json: {}
+ *       400:
+ *         description: Formato desconocido
  *       401:
  *         description: No autorizado
  *       404:
  *         description: Plan no encontrado
+ *       406:
+ *         description: Ninguno de los tipos de Accept está disponible
  *       500:
  *         description: Error interno
  */
-router.get('/:planId/export', auth, async (req, res) => {
+router.get('/:planId/export', auth, planAccess('viewer'), async (req, res) => {
   const planId = req.params.planId;
   const userId = req.user.userId;
 
-  try {
-    // 1) Datos del plan
-    const [[plan]] = await pool.query(
-      'SELECT title, status FROM plans WHERE id = ? AND user_id = ?',
-      [planId, userId]
-    );
-    if (!plan) return res.status(404).json({ error: 'Plan no encontrado' });
-
-    // 2) Secciones y último resumen
-    const [sections] = await pool.query(
-      'SELECT section_type, content FROM plan_sections WHERE plan_id = ?',
-      [planId]
-    );
-    const [summaries] = await pool.query(
-      'SELECT executive_summary FROM plan_summaries WHERE plan_id = ? ORDER BY id DESC LIMIT 1',
-      [planId]
-    );
-    const executive = summaries[0]?.executive_summary || '';
-
-    // 3) Generar PDF
-    const doc = new PDFDocument({ margin: 40 });
-    const buffers = [];
-    doc.on('data', (b) => buffers.push(b));
-    doc.on('end', () => {
-      const pdfData = Buffer.concat(buffers);
-      res
-        .writeHead(200, {
-          'Content-Type': 'application/pdf',
-          'Content-Disposition': `attachment; filename=plan-${planId}.pdf`,
-          'Content-Length': pdfData.length
-        })
-        .end(pdfData);
-    });
+  const negotiated = negotiateFormat(req);
+  if (negotiated.error) {
+    return res.status(negotiated.status).json({ error: negotiated.error });
+  }
 
-    // 4) Llenar PDF
-    doc.fontSize(20).text(plan.title, { underline: true });
-    doc.moveDown();
-    doc.fontSize(14).text('Resumen Ejecutivo:', { bold: true });
-    doc.fontSize(12).text(executive);
-    doc.addPage();
-    sections.forEach((s) => {
-      doc.fontSize(16).text(s.section_type, { underline: true });
-      doc.fontSize(12).text(s.content);
-      doc.moveDown();
-    });
+  try {
+    // Solo quien puede editar el plan lo finaliza al exportarlo
+    let plan = req.plan;
+    if (hasPlanRole(req.planRole, 'editor')) {
+      const finalized = await withTransaction(conn =>
+        advancePlan(conn, planId, 'finalized', { userId, reason: 'Plan exportado' })
+      );
+      if (finalized) plan = { ...plan, status: 'finalized' };
+    }
 
-    doc.end();
+    const { body, contentType, filename } = await exportPlan(plan, negotiated.format);
+    res
+      .writeHead(200, {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename=${filename}`,
+        'Content-Length': body.length,
+        'Vary': 'Accept'
+      })
+      .end(body);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'Error al exportar plan', details: err.message });
+    res.status(500).json({ error: 'Error al exportar plan' });
   }
 });
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Reminder:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         plan_id:
+ *           type: integer
+ *         section_id:
+ *           type: integer
+ *           nullable: true
+ *         rule:
+ *           type: string
+ *           example: "FREQ=WEEKLY;BYDAY=MO,WE,FR;BYHOUR=8"
+ *         timezone:
+ *           type: string
+ *           example: Europe/Madrid
+ *         starts_at:
+ *           type: string
+ *           format: date-time
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [inbox, email, webhook]
+ *         is_active:
+ *           type: boolean
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *         next_occurrences:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: date-time
+ */
+
 /**
  * @swagger
  * /plans/{planId}/reminders:
@@ -809,6 +1436,13 @@ router.get('/:planId/export', auth, async (req, res) => {
  *           type: integer
  *         required: true
  *         description: ID del plan
+ *       - in: query
+ *         name: occurrences
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 50
+ *         description: Número de próximas ocurrencias a incluir
  *     responses:
  *       200:
  *         description: Array de recordatorios
@@ -817,20 +1451,7 @@ router.get('/:planId/export', auth, async (req, res) => {
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                   rule:
- *                     type: string
- *                   is_active:
- *                     type: boolean
- *                   created_at:
- *                     type: string
- *                     format: date-time
- *                   updated_at:
- *                     type: string
- *                     format: date-time
+ *                 $ref: '#/components/schemas/Reminder'
  *       401:
  *         description: No autorizado
  *       404:
@@ -838,31 +1459,152 @@ router.get('/:planId/export', auth, async (req, res) => {
  *       500:
  *         description: Error interno
  */
-router.get('/:planId/reminders', auth, async (req, res) => {
+router.get('/:planId/reminders', auth, planAccess('viewer'), async (req, res) => {
   const planId = req.params.planId;
-  const userId = req.user.userId;
   try {
-    // Verificar que el plan pertenece al usuario
-    const [[plan]] = await pool.query(
-      'SELECT id FROM plans WHERE id = ? AND user_id = ?',
-      [planId, userId]
-    );
-    if (!plan) {
-      return res.status(404).json({ error: 'Plan no encontrado' });
-    }
-
     // Traer recordatorios
     const [rows] = await pool.query(
-      `SELECT id, rule, is_active, created_at, updated_at
+      `SELECT ${REMINDER_COLUMNS}
          FROM plan_reminders
         WHERE plan_id = ?`,
       [planId]
     );
-    res.json(rows);
+    const limit = occurrencesLimit(req.query);
+    res.json(rows.map(row => serializeReminder(row, limit)));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Error al listar recordatorios' });
   }
 });
 
+/**
+ * @swagger
+ * /plans/{planId}/reminders:
+ *   post:
+ *     summary: Crea un recordatorio con una regla RRULE
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del plan
+ *       - in: query
+ *         name: occurrences
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Número de próximas ocurrencias a incluir
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rule
+ *             properties:
+ *               rule:
+ *                 type: string
+ *                 description: RRULE con FREQ, INTERVAL, BYDAY, BYHOUR, BYMINUTE, COUNT o UNTIL
+ *                 example: "FREQ=WEEKLY;BYDAY=MO,WE,FR;BYHOUR=8"
+ *               timezone:
+ *                 type: string
+ *                 default: UTC
+ *                 example: Europe/Madrid
+ *               section_id:
+ *                 type: integer
+ *                 description: Sección del plan a la que se asocia (opcional)
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Inicio de la recurrencia (por defecto, hoy a medianoche en la zona indicada)
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 default: [inbox]
+ *                 example: [inbox, email]
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Recordatorio creado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Reminder'
+ *       400:
+ *         description: Regla, zona horaria o fecha inválida
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o sección no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.post('/:planId/reminders', auth, planAccess('editor'), async (req, res) => {
+  const planId = req.params.planId;
+  const {
+    rule,
+    timezone   = 'UTC',
+    section_id = null,
+    starts_at,
+    channels   = DEFAULT_CHANNELS,
+    is_active  = true
+  } = req.body;
+
+  const channelsError = validateChannels(channels);
+  if (channelsError) {
+    return res.status(400).json({ error: channelsError });
+  }
+
+  let normalized;
+  try {
+    normalized = validateRule(rule, timezone);
+  } catch (err) {
+    if (err instanceof RecurrenceError) {
+      return res.status(400).json({ error: err.message });
+    }
+    throw err;
+  }
+  const startsAt = resolveStartsAt(starts_at, timezone);
+  if (!startsAt) {
+    return res.status(400).json({ error: 'starts_at no es una fecha válida' });
+  }
+
+  try {
+    if (section_id !== null) {
+      const [[sec]] = await pool.query(
+        'SELECT id FROM plan_sections WHERE id = ? AND plan_id = ?',
+        [section_id, planId]
+      );
+      if (!sec) {
+        return res.status(404).json({ error: 'Sección no encontrada' });
+      }
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO plan_reminders (plan_id, section_id, rule, timezone, starts_at, channels, is_active)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [planId, section_id, normalized, timezone, startsAt, JSON.stringify(channels), is_active]
+    );
+
+    const [[created]] = await pool.query(
+      `SELECT ${REMINDER_COLUMNS} FROM plan_reminders WHERE id = ?`,
+      [result.insertId]
+    );
+    res.status(201).json(serializeReminder(created, occurrencesLimit(req.query)));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al crear recordatorio' });
+  }
+});
+
 module.exports = router;
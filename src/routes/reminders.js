@@ -2,8 +2,51 @@
 const express = require('express');
 const pool    = require('../config/db');
 const auth    = require('../middleware/auth');
+const { RecurrenceError } = require('../services/recurrence');
+const {
+  REMINDER_COLUMNS,
+  occurrencesLimit,
+  validateRule,
+  serializeReminder
+} = require('../services/reminders');
+const { validateChannels } = require('../services/channels');
+const { hasPlanRole, findPlanWithRole, planForbidden } = require('../middleware/planAccess');
 const router  = express.Router();
 
+/**
+ * Como planAccess, pero a partir del recordatorio: comprueba el rol del
+ * usuario en su plan y deja el recordatorio en req.reminder. Sin acceso al
+ * plan, 404 igual que si el recordatorio no existiera.
+ */
+function reminderAccess(required) {
+  return async (req, res, next) => {
+    let reminder;
+    let access = null;
+    try {
+      [[reminder]] = await pool.query(
+        'SELECT id, plan_id, rule, timezone FROM plan_reminders WHERE id = ?',
+        [req.params.id]
+      );
+      if (reminder) {
+        access = await findPlanWithRole(reminder.plan_id, req.user.userId);
+      }
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: 'Error al comprobar acceso al recordatorio' });
+    }
+    if (!access) {
+      return res.status(404).json({ error: 'Recordatorio no encontrado' });
+    }
+    if (!hasPlanRole(access.role, required)) {
+      return planForbidden(res, access.role);
+    }
+    req.reminder = reminder;
+    req.plan     = access.plan;
+    req.planRole = access.role;
+    next();
+  };
+}
+
 /**
  * @swagger
  * /reminders/{id}:
@@ -19,6 +62,12 @@ const router  = express.Router();
  *           type: integer
  *         required: true
  *         description: ID del recordatorio
+ *       - in: query
+ *         name: occurrences
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *         description: Número de próximas ocurrencias a incluir
  *     requestBody:
  *       required: true
  *       content:
@@ -28,6 +77,15 @@ const router  = express.Router();
  *             properties:
  *               rule:
  *                 type: string
+ *                 example: "FREQ=DAILY;BYHOUR=7,21"
+ *               timezone:
+ *                 type: string
+ *                 example: America/Guatemala
+ *               channels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [inbox, webhook]
  *               is_active:
  *                 type: boolean
  *     responses:
@@ -36,58 +94,63 @@ const router  = express.Router();
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: integer
- *                 rule:
- *                   type: string
- *                 is_active:
- *                   type: boolean
- *                 created_at:
- *                   type: string
- *                   format: date-time
- *                 updated_at:
- *                   type: string
- *                   format: date-time
+ *               $ref: '#/components/schemas/Reminder'
  *       400:
- *         description: Nada para actualizar
+ *         description: Nada para actualizar o regla inválida
  *       401:
  *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
  *       404:
  *         description: Recordatorio no encontrado
  *       500:
  *         description: Error interno
  */
-router.patch('/:id', auth, async (req, res) => {
+router.patch('/:id', auth, reminderAccess('editor'), async (req, res) => {
   const id        = req.params.id;
-  const userId    = req.user.userId;
-  const { rule, is_active } = req.body;
+  const current   = req.reminder;
+  const { rule, timezone, channels, is_active } = req.body;
 
   // Validar body
-  if (rule === undefined && is_active === undefined) {
+  if (rule === undefined && timezone === undefined &&
+      channels === undefined && is_active === undefined) {
     return res.status(400).json({ error: 'Nada para actualizar' });
   }
-
-  try {
-    // Verificar propiedad: unimos con plans
-    const [[exists]] = await pool.query(
-      `SELECT r.id 
-         FROM plan_reminders r
-         JOIN plans p ON r.plan_id = p.id
-        WHERE r.id = ? AND p.user_id = ?`,
-      [id, userId]
-    );
-    if (!exists) {
-      return res.status(404).json({ error: 'Recordatorio no encontrado' });
+  if (channels !== undefined) {
+    const channelsError = validateChannels(channels);
+    if (channelsError) {
+      return res.status(400).json({ error: channelsError });
     }
+  }
 
+  try {
     // Construir SET dinámico
     const fields = [];
     const values = [];
-    if (rule !== undefined) {
+    if (rule !== undefined || timezone !== undefined) {
+      // Se valida la combinación final de regla y zona horaria
+      let normalized;
+      try {
+        normalized = validateRule(
+          rule !== undefined ? rule : current.rule,
+          timezone !== undefined ? timezone : (current.timezone || 'UTC')
+        );
+      } catch (err) {
+        if (err instanceof RecurrenceError) {
+          return res.status(400).json({ error: err.message });
+        }
+        throw err;
+      }
       fields.push('rule = ?');
-      values.push(rule);
+      values.push(normalized);
+      if (timezone !== undefined) {
+        fields.push('timezone = ?');
+        values.push(timezone);
+      }
+    }
+    if (channels !== undefined) {
+      fields.push('channels = ?');
+      values.push(JSON.stringify(channels));
     }
     if (is_active !== undefined) {
       fields.push('is_active = ?');
@@ -105,12 +168,12 @@ router.patch('/:id', auth, async (req, res) => {
 
     // Devolver actualizado
     const [[updated]] = await pool.query(
-      `SELECT id, rule, is_active, created_at, updated_at
+      `SELECT ${REMINDER_COLUMNS}
          FROM plan_reminders
         WHERE id = ?`,
       [id]
     );
-    res.json(updated);
+    res.json(serializeReminder(updated, occurrencesLimit(req.query)));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Error al actualizar recordatorio' });
@@ -137,29 +200,17 @@ router.patch('/:id', auth, async (req, res) => {
  *         description: Recordatorio eliminado
  *       401:
  *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
  *       404:
  *         description: Recordatorio no encontrado
  *       500:
  *         description: Error interno
  */
-router.delete('/:id', auth, async (req, res) => {
-  const id     = req.params.id;
-  const userId = req.user.userId;
+router.delete('/:id', auth, reminderAccess('editor'), async (req, res) => {
+  const id = req.params.id;
 
   try {
-    // Verificar propiedad
-    const [[exists]] = await pool.query(
-      `SELECT r.id 
-         FROM plan_reminders r
-         JOIN plans p ON r.plan_id = p.id
-        WHERE r.id = ? AND p.user_id = ?`,
-      [id, userId]
-    );
-    if (!exists) {
-      return res.status(404).json({ error: 'Recordatorio no encontrado' });
-    }
-
-    // Borrar
     await pool.query(
       `DELETE FROM plan_reminders WHERE id = ?`,
       [id]
@@ -171,4 +222,79 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /reminders/{id}/deliveries:
+ *   get:
+ *     summary: Historial de entregas de un recordatorio
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID del recordatorio
+ *     responses:
+ *       200:
+ *         description: Entregas por ocurrencia y canal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   occurrence_at:
+ *                     type: string
+ *                     format: date-time
+ *                   channel:
+ *                     type: string
+ *                   status:
+ *                     type: string
+ *                     enum: [sending, sent, failed, dead]
+ *                   attempts:
+ *                     type: integer
+ *                   last_error:
+ *                     type: string
+ *                     nullable: true
+ *                   next_attempt_at:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   delivered_at:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Recordatorio no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/:id/deliveries', auth, reminderAccess('viewer'), async (req, res) => {
+  const id = req.params.id;
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, occurrence_at, channel, status, attempts, last_error,
+              next_attempt_at, delivered_at, created_at, updated_at
+         FROM reminder_deliveries
+        WHERE reminder_id = ?
+        ORDER BY occurrence_at DESC, channel
+        LIMIT 100`,
+      [id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar entregas' });
+  }
+});
+
 module.exports = router;
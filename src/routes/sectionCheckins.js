@@ -0,0 +1,337 @@
+// src/routes/sectionCheckins.js
+//
+// Montado en /plans/:planId/sections/:sectionId/checkins. Cada usuario
+// registra su propio seguimiento diario; nadie ve ni borra el de otro.
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { planAccess } = require('../middleware/planAccess');
+const { PlanLifecycleError, assertActive } = require('../services/planLifecycle');
+const {
+  CHECKIN_COLUMNS,
+  resolveTimezone,
+  validateCheckinInput,
+  sectionStreaks,
+  resolveRange
+} = require('../services/checkins');
+const router  = express.Router({ mergeParams: true });
+
+async function sectionExists(planId, sectionId) {
+  const [[section]] = await pool.query(
+    'SELECT id FROM plan_sections WHERE id = ? AND plan_id = ?',
+    [sectionId, planId]
+  );
+  return Boolean(section);
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Checkin:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         plan_id:
+ *           type: integer
+ *         section_id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         date:
+ *           type: string
+ *           format: date
+ *           description: Día del check-in en la zona horaria del usuario
+ *         status:
+ *           type: string
+ *           enum: [done, partial, skipped]
+ *         note:
+ *           type: string
+ *           nullable: true
+ *         mood:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *           nullable: true
+ *         timezone:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     Streak:
+ *       type: object
+ *       properties:
+ *         section_id:
+ *           type: integer
+ *         section_type:
+ *           type: string
+ *         current:
+ *           type: integer
+ *           description: Días seguidos con done o partial hasta hoy (o ayer)
+ *         longest:
+ *           type: integer
+ *         last_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/checkins:
+ *   post:
+ *     summary: Registra el check-in del día en la sección (o lo sustituye)
+ *     description: >
+ *       Un check-in por usuario, sección y día. El día por defecto es hoy en la
+ *       zona horaria indicada; se puede registrar un día pasado con `date`.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [done, partial, skipped]
+ *               note:
+ *                 type: string
+ *                 example: "Solo 20 minutos, pero he salido"
+ *               mood:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               timezone:
+ *                 type: string
+ *                 example: Europe/Madrid
+ *                 description: Zona IANA del usuario (UTC por defecto)
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Día del check-in (por defecto, hoy en `timezone`)
+ *     responses:
+ *       201:
+ *         description: Check-in registrado, con la racha actualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 checkin:
+ *                   $ref: '#/components/schemas/Checkin'
+ *                 streak:
+ *                   $ref: '#/components/schemas/Streak'
+ *       400:
+ *         description: Datos inválidos o fecha futura
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o sección no encontrado
+ *       409:
+ *         description: El plan está archivado (code PLAN_INVALID_STATUS)
+ *       500:
+ *         description: Error interno
+ */
+router.post('/', auth, planAccess('commenter'), async (req, res) => {
+  const { planId, sectionId } = req.params;
+  const userId = req.user.userId;
+  const { error, values } = validateCheckinInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    assertActive(req.plan.status);
+    if (!await sectionExists(planId, sectionId)) {
+      return res.status(404).json({ error: 'Sección no encontrada' });
+    }
+    await pool.query(
+      `INSERT INTO plan_checkins
+         (plan_id, section_id, user_id, checkin_date, status, note, mood, timezone)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         status = VALUES(status), note = VALUES(note), mood = VALUES(mood),
+         timezone = VALUES(timezone), updated_at = CURRENT_TIMESTAMP`,
+      [planId, sectionId, userId, values.date, values.status, values.note, values.mood, values.timezone]
+    );
+    const [[checkin]] = await pool.query(
+      `SELECT ${CHECKIN_COLUMNS} FROM plan_checkins
+        WHERE section_id = ? AND user_id = ? AND checkin_date = ?`,
+      [sectionId, userId, values.date]
+    );
+    const [streak] = await sectionStreaks(planId, userId, values.timezone, sectionId);
+    res.status(201).json({ checkin, streak });
+  } catch (err) {
+    if (err instanceof PlanLifecycleError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Error al registrar check-in' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/checkins:
+ *   get:
+ *     summary: Lista los check-ins propios en la sección y la racha
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Primer día (por defecto, hace un año)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Último día (por defecto, hoy)
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *         description: Zona IANA con la que se calcula "hoy" (UTC por defecto)
+ *     responses:
+ *       200:
+ *         description: Check-ins (más recientes primero) y racha
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 streak:
+ *                   $ref: '#/components/schemas/Streak'
+ *                 checkins:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Checkin'
+ *       400:
+ *         description: Rango o zona horaria inválidos
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan o sección no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, planAccess('viewer'), async (req, res) => {
+  const { planId, sectionId } = req.params;
+  const userId   = req.user.userId;
+  const timezone = resolveTimezone(req.query.timezone);
+  if (!timezone) {
+    return res.status(400).json({ error: `Zona horaria desconocida: ${req.query.timezone}` });
+  }
+  const range = resolveRange(req.query, timezone);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+
+  try {
+    if (!await sectionExists(planId, sectionId)) {
+      return res.status(404).json({ error: 'Sección no encontrada' });
+    }
+    const [checkins] = await pool.query(
+      `SELECT ${CHECKIN_COLUMNS} FROM plan_checkins
+        WHERE section_id = ? AND user_id = ? AND checkin_date BETWEEN ? AND ?
+        ORDER BY checkin_date DESC`,
+      [sectionId, userId, range.from, range.to]
+    );
+    const [streak] = await sectionStreaks(planId, userId, timezone, sectionId);
+    res.json({ streak, checkins });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar check-ins' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/checkins/{checkinId}:
+ *   delete:
+ *     summary: Borra un check-in propio
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: checkinId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Check-in borrado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o check-in no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.delete('/:checkinId', auth, planAccess('commenter'), async (req, res) => {
+  const { planId, sectionId, checkinId } = req.params;
+  try {
+    const [result] = await pool.query(
+      `DELETE FROM plan_checkins
+        WHERE id = ? AND section_id = ? AND plan_id = ? AND user_id = ?`,
+      [checkinId, sectionId, planId, req.user.userId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ error: 'Check-in no encontrado' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al borrar check-in' });
+  }
+});
+
+module.exports = router;
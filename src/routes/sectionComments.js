@@ -0,0 +1,241 @@
+// src/routes/sectionComments.js
+//
+// Montado en /plans/:planId/sections/:sectionId/comments. Comentarios de
+// colaboradores sobre una sección; no modifican su contenido.
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { planAccess, planForbidden } = require('../middleware/planAccess');
+const router  = express.Router({ mergeParams: true });
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const COMMENT_COLUMNS = 'c.id, c.section_id, c.user_id, u.email, c.body, c.created_at';
+
+async function sectionExists(planId, sectionId) {
+  const [[section]] = await pool.query(
+    'SELECT id FROM plan_sections WHERE id = ? AND plan_id = ?',
+    [sectionId, planId]
+  );
+  return Boolean(section);
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SectionComment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         section_id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *         body:
+ *           type: string
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/comments:
+ *   get:
+ *     summary: Lista los comentarios de una sección
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Array de comentarios (más antiguos primero)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SectionComment'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan o sección no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, planAccess('viewer'), async (req, res) => {
+  const { planId, sectionId } = req.params;
+  try {
+    if (!await sectionExists(planId, sectionId)) {
+      return res.status(404).json({ error: 'Sección no encontrada' });
+    }
+    const [rows] = await pool.query(
+      `SELECT ${COMMENT_COLUMNS}
+         FROM plan_section_comments c
+         JOIN users u ON c.user_id = u.id
+        WHERE c.section_id = ?
+        ORDER BY c.id`,
+      [sectionId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar comentarios' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/comments:
+ *   post:
+ *     summary: Comenta una sección (rol commenter o superior)
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: "Yo subiría a 4 días de entrenamiento"
+ *     responses:
+ *       201:
+ *         description: Comentario creado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SectionComment'
+ *       400:
+ *         description: Comentario vacío o demasiado largo
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o sección no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.post('/', auth, planAccess('commenter'), async (req, res) => {
+  const { planId, sectionId } = req.params;
+  const body = typeof (req.body && req.body.body) === 'string' ? req.body.body.trim() : '';
+  if (!body) {
+    return res.status(400).json({ error: 'El campo "body" es obligatorio' });
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    return res.status(400).json({ error: `El comentario no puede superar ${MAX_COMMENT_LENGTH} caracteres` });
+  }
+
+  try {
+    if (!await sectionExists(planId, sectionId)) {
+      return res.status(404).json({ error: 'Sección no encontrada' });
+    }
+    const [result] = await pool.query(
+      'INSERT INTO plan_section_comments (section_id, user_id, body) VALUES (?, ?, ?)',
+      [sectionId, req.user.userId, body]
+    );
+    const [[created]] = await pool.query(
+      `SELECT ${COMMENT_COLUMNS}
+         FROM plan_section_comments c
+         JOIN users u ON c.user_id = u.id
+        WHERE c.id = ?`,
+      [result.insertId]
+    );
+    res.status(201).json(created);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al crear comentario' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/comments/{commentId}:
+ *   delete:
+ *     summary: Borra un comentario (su autor o el dueño del plan)
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: commentId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Comentario borrado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo el autor o el dueño pueden borrarlo (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o comentario no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.delete('/:commentId', auth, planAccess('viewer'), async (req, res) => {
+  const { planId, sectionId, commentId } = req.params;
+  try {
+    const [[comment]] = await pool.query(
+      `SELECT c.id, c.user_id
+         FROM plan_section_comments c
+         JOIN plan_sections s ON c.section_id = s.id
+        WHERE c.id = ? AND c.section_id = ? AND s.plan_id = ?`,
+      [commentId, sectionId, planId]
+    );
+    if (!comment) {
+      return res.status(404).json({ error: 'Comentario no encontrado' });
+    }
+    if (comment.user_id !== req.user.userId && req.planRole !== 'owner') {
+      return planForbidden(res, req.planRole);
+    }
+    await pool.query('DELETE FROM plan_section_comments WHERE id = ?', [commentId]);
+    res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al borrar comentario' });
+  }
+});
+
+module.exports = router;
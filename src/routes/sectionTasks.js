@@ -0,0 +1,577 @@
+// src/routes/sectionTasks.js
+//
+// Montado en /plans/:planId/sections/:sectionId/tasks. Lista de tareas de
+// una sección: la IA las extrae del texto y el usuario las edita y marca.
+// Se pueden modificar mientras el plan no esté archivado, también cuando ya
+// está finalizado (es cuando se sigue).
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const aiQuota = require('../middleware/aiQuota');
+const { planAccess } = require('../middleware/planAccess');
+const { createResponder } = require('../utils/sse');
+const { withTransaction } = require('../utils/transaction');
+const { generateStructured, StructuredOutputError } = require('../services/structuredOutput');
+const { AiProviderError } = require('../services/ai');
+const { tasksSchema } = require('../schemas/aiOutputs');
+const { PlanLifecycleError, assertActive } = require('../services/planLifecycle');
+const {
+  TASK_COLUMNS,
+  isValidDate,
+  validateTaskInput,
+  completion,
+  listSectionTasks
+} = require('../services/tasks');
+const router  = express.Router({ mergeParams: true });
+
+async function findSection(planId, sectionId) {
+  const [[section]] = await pool.query(
+    'SELECT id, section_type, content FROM plan_sections WHERE id = ? AND plan_id = ?',
+    [sectionId, planId]
+  );
+  return section;
+}
+
+// Tareas de la sección con su porcentaje de avance
+async function sectionChecklist(sectionId, conn = pool) {
+  const tasks = await listSectionTasks(sectionId, conn);
+  const progress = completion({
+    total:   tasks.length,
+    done:    tasks.filter(t => t.status === 'done').length,
+    skipped: tasks.filter(t => t.status === 'skipped').length
+  });
+  return { section_id: Number(sectionId), progress, tasks };
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaskProgress:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *         done:
+ *           type: integer
+ *         skipped:
+ *           type: integer
+ *         percent:
+ *           type: integer
+ *           nullable: true
+ *           description: Tareas hechas sobre las no descartadas (null si no hay ninguna)
+ *     PlanTask:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         plan_id:
+ *           type: integer
+ *         section_id:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         frequency:
+ *           type: string
+ *           enum: [once, daily, weekly, monthly]
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [pending, in_progress, done, skipped]
+ *         position:
+ *           type: integer
+ *         source:
+ *           type: string
+ *           enum: [ai, user]
+ *         completed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     SectionChecklist:
+ *       type: object
+ *       properties:
+ *         section_id:
+ *           type: integer
+ *         progress:
+ *           $ref: '#/components/schemas/TaskProgress'
+ *         tasks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PlanTask'
+ *     PlanTaskInput:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           example: Caminar 30 minutos
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         frequency:
+ *           type: string
+ *           enum: [once, daily, weekly, monthly]
+ *         due_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: "2026-11-30"
+ *         status:
+ *           type: string
+ *           enum: [pending, in_progress, done, skipped]
+ *         position:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/tasks:
+ *   get:
+ *     summary: Lista las tareas de una sección con su porcentaje de avance
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Tareas de la sección
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SectionChecklist'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan o sección no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, planAccess('viewer'), async (req, res) => {
+  const { planId, sectionId } = req.params;
+  try {
+    if (!await findSection(planId, sectionId)) {
+      return res.status(404).json({ error: 'Sección no encontrada' });
+    }
+    res.json(await sectionChecklist(sectionId));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar tareas' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/tasks/extract:
+ *   post:
+ *     summary: Extrae con IA las tareas accionables de la sección
+ *     description: >
+ *       Sustituye las tareas extraídas anteriormente que sigan pendientes; las
+ *       creadas a mano y las que ya tienen avance se conservan.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: boolean
+ *         description: Emite progreso y tokens como Server-Sent Events (equivale a Accept text/event-stream)
+ *     responses:
+ *       200:
+ *         description: Tareas de la sección tras la extracción
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SectionChecklist'
+ *       400:
+ *         description: La sección no tiene contenido
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o sección no encontrado
+ *       409:
+ *         description: El plan está archivado (code PLAN_INVALID_STATUS)
+ *       429:
+ *         description: Cuota de IA agotada (code AI_QUOTA_EXCEEDED, cabecera Retry-After)
+ *       500:
+ *         description: Error interno
+ *       502:
+ *         description: >
+ *           La IA no devolvió JSON válido tras varios intentos (code AI_INVALID_OUTPUT)
+ *           o no respondió correctamente (code AI_PROVIDER_ERROR)
+ */
+router.post('/extract', auth, planAccess('editor'), aiQuota(), async (req, res) => {
+  const { planId, sectionId } = req.params;
+  const userId = req.user.userId;
+  const out    = createResponder(req, res);
+
+  try {
+    assertActive(req.plan.status);
+    const section = await findSection(planId, sectionId);
+    if (!section) {
+      return out.fail(404, { error: 'Sección no encontrada' });
+    }
+    if (!section.content) {
+      return out.fail(400, { error: 'La sección no tiene contenido del que extraer tareas' });
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const messages = [
+      {
+        role: 'system',
+        content:
+          'Eres un asistente que convierte planes en listas de tareas concretas. ' +
+          'Devuelve solo un array JSON de objetos { title, description, frequency, due_date }. ' +
+          'frequency es once, daily, weekly o monthly; due_date es YYYY-MM-DD o null.'
+      },
+      {
+        role: 'user',
+        content:
+          `Hoy es ${today}. Extrae las tareas accionables de la sección ` +
+          `"${section.section_type}" de este plan: ${section.content}`
+      }
+    ];
+
+    out.start();
+    out.progress('generating');
+    const { value: tasks } = await generateStructured({
+      useCase:     'tasks',
+      messages,
+      schema:      tasksSchema,
+      onToken:     out.onToken,
+      onReasoning: out.onReasoning,
+      onRetry:     (attempt, errors) => out.progress('repairing', { attempt, errors }),
+      context:     { userId, planId, sectionId: section.id }
+    });
+
+    out.progress('saving');
+    const checklist = await withTransaction(async conn => {
+      await conn.query(
+        `DELETE FROM plan_tasks
+          WHERE section_id = ? AND source = 'ai' AND status = 'pending'`,
+        [section.id]
+      );
+      const [[{ next }]] = await conn.query(
+        'SELECT COALESCE(MAX(position) + 1, 0) AS next FROM plan_tasks WHERE section_id = ?',
+        [section.id]
+      );
+      for (const [i, task] of tasks.entries()) {
+        await conn.query(
+          `INSERT INTO plan_tasks
+             (plan_id, section_id, title, description, frequency, due_date, position, source)
+           VALUES (?, ?, ?, ?, ?, ?, ?, 'ai')`,
+          [
+            planId,
+            section.id,
+            task.title,
+            task.description || null,
+            task.frequency,
+            // El esquema solo comprueba el formato: una fecha imposible se descarta
+            isValidDate(task.due_date) ? task.due_date : null,
+            next + i
+          ]
+        );
+      }
+      return sectionChecklist(section.id, conn);
+    });
+
+    out.send(checklist);
+  } catch (err) {
+    if (err instanceof StructuredOutputError || err instanceof PlanLifecycleError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    console.error(err);
+    if (err instanceof AiProviderError) {
+      return out.fail(err.status, err.toJSON());
+    }
+    out.fail(500, { error: 'Error al extraer tareas' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/tasks:
+ *   post:
+ *     summary: Añade una tarea a la sección
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PlanTaskInput'
+ *               - required: [title]
+ *     responses:
+ *       201:
+ *         description: Tarea creada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanTask'
+ *       400:
+ *         description: Datos inválidos
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o sección no encontrado
+ *       409:
+ *         description: El plan está archivado (code PLAN_INVALID_STATUS)
+ *       500:
+ *         description: Error interno
+ */
+router.post('/', auth, planAccess('editor'), async (req, res) => {
+  const { planId, sectionId } = req.params;
+  const { error, values } = validateTaskInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    assertActive(req.plan.status);
+    if (!await findSection(planId, sectionId)) {
+      return res.status(404).json({ error: 'Sección no encontrada' });
+    }
+    let position = values.position;
+    if (position === undefined) {
+      const [[{ next }]] = await pool.query(
+        'SELECT COALESCE(MAX(position) + 1, 0) AS next FROM plan_tasks WHERE section_id = ?',
+        [sectionId]
+      );
+      position = next;
+    }
+    const status = values.status || 'pending';
+    const [result] = await pool.query(
+      `INSERT INTO plan_tasks
+         (plan_id, section_id, title, description, frequency, due_date, status, position, source, completed_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'user', ?)`,
+      [
+        planId,
+        sectionId,
+        values.title,
+        values.description || null,
+        values.frequency || 'once',
+        values.due_date || null,
+        status,
+        position,
+        status === 'done' ? new Date() : null
+      ]
+    );
+    const [[created]] = await pool.query(
+      `SELECT ${TASK_COLUMNS} FROM plan_tasks WHERE id = ?`,
+      [result.insertId]
+    );
+    res.status(201).json(created);
+  } catch (err) {
+    if (err instanceof PlanLifecycleError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Error al crear tarea' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/tasks/{taskId}:
+ *   patch:
+ *     summary: Modifica una tarea (p. ej. marcarla como hecha)
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: taskId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlanTaskInput'
+ *     responses:
+ *       200:
+ *         description: Tarea actualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanTask'
+ *       400:
+ *         description: Datos inválidos o ningún campo para actualizar
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o tarea no encontrado
+ *       409:
+ *         description: El plan está archivado (code PLAN_INVALID_STATUS)
+ *       500:
+ *         description: Error interno
+ */
+router.patch('/:taskId', auth, planAccess('editor'), async (req, res) => {
+  const { planId, sectionId, taskId } = req.params;
+  const { error, values } = validateTaskInput(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const fields = Object.keys(values);
+  if (!fields.length) {
+    return res.status(400).json({ error: 'Ningún campo para actualizar' });
+  }
+
+  const assignments = fields.map(f => `${f} = ?`);
+  const params      = fields.map(f => values[f]);
+  // completed_at acompaña al estado: se fija al completar y se borra al reabrir
+  if (values.status !== undefined) {
+    assignments.push(
+      "completed_at = CASE WHEN status = 'done' THEN COALESCE(completed_at, ?) ELSE NULL END"
+    );
+    params.push(new Date());
+  }
+
+  try {
+    assertActive(req.plan.status);
+    const [result] = await pool.query(
+      `UPDATE plan_tasks
+          SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND section_id = ? AND plan_id = ?`,
+      [...params, taskId, sectionId, planId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ error: 'Tarea no encontrada' });
+    }
+    const [[updated]] = await pool.query(
+      `SELECT ${TASK_COLUMNS} FROM plan_tasks WHERE id = ?`,
+      [taskId]
+    );
+    res.json(updated);
+  } catch (err) {
+    if (err instanceof PlanLifecycleError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Error al actualizar tarea' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/tasks/{taskId}:
+ *   delete:
+ *     summary: Elimina una tarea
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: taskId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Tarea eliminada
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o tarea no encontrado
+ *       409:
+ *         description: El plan está archivado (code PLAN_INVALID_STATUS)
+ *       500:
+ *         description: Error interno
+ */
+router.delete('/:taskId', auth, planAccess('editor'), async (req, res) => {
+  const { planId, sectionId, taskId } = req.params;
+  try {
+    assertActive(req.plan.status);
+    const [result] = await pool.query(
+      'DELETE FROM plan_tasks WHERE id = ? AND section_id = ? AND plan_id = ?',
+      [taskId, sectionId, planId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ error: 'Tarea no encontrada' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    if (err instanceof PlanLifecycleError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Error al eliminar tarea' });
+  }
+});
+
+module.exports = router;
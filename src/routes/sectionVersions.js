@@ -0,0 +1,394 @@
+// src/routes/sectionVersions.js
+//
+// Montado en /plans/:planId/sections/:sectionId/versions
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { planAccess } = require('../middleware/planAccess');
+const { withTransaction } = require('../utils/transaction');
+const { diffWords, diffStats } = require('../services/diff');
+const { VERSION_COLUMNS, updateSectionContent } = require('../services/sectionVersions');
+const { PlanLifecycleError, lockEditablePlan } = require('../services/planLifecycle');
+const router  = express.Router({ mergeParams: true });
+
+// Sección del plan; el acceso al plan lo comprueba planAccess
+async function findSection(planId, sectionId) {
+  const [[section]] = await pool.query(
+    'SELECT id, content FROM plan_sections WHERE id = ? AND plan_id = ?',
+    [sectionId, planId]
+  );
+  return section;
+}
+
+async function findVersion(sectionId, versionId) {
+  const [[version]] = await pool.query(
+    `SELECT ${VERSION_COLUMNS} FROM plan_section_versions WHERE id = ? AND section_id = ?`,
+    [versionId, sectionId]
+  );
+  return version;
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SectionVersion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         section_id:
+ *           type: integer
+ *         version:
+ *           type: integer
+ *         content:
+ *           type: string
+ *         source:
+ *           type: string
+ *           enum: [ai, user]
+ *           description: Quién hizo el cambio, la IA o una persona
+ *         comment:
+ *           type: string
+ *           nullable: true
+ *           description: Comentario que provocó el cambio
+ *         created_by:
+ *           type: integer
+ *           nullable: true
+ *         reverted_from:
+ *           type: integer
+ *           nullable: true
+ *           description: Versión restaurada, si el cambio fue una reversión
+ *         generation_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Generación de IA que produjo el cambio
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/versions:
+ *   get:
+ *     summary: Lista el historial de versiones de una sección (más reciente primero)
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Array de versiones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SectionVersion'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plan o sección no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, planAccess('viewer'), async (req, res) => {
+  const { planId, sectionId } = req.params;
+  try {
+    const section = await findSection(planId, sectionId);
+    if (!section) {
+      return res.status(404).json({ error: 'Sección no encontrada' });
+    }
+    const [rows] = await pool.query(
+      `SELECT ${VERSION_COLUMNS}
+         FROM plan_section_versions
+        WHERE section_id = ?
+        ORDER BY version DESC`,
+      [sectionId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar versiones' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/versions/diff:
+ *   get:
+ *     summary: Diff palabra a palabra entre dos versiones de una sección
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         required: true
+ *         description: ID de la versión de origen
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: ID de la versión de destino (por defecto, el contenido actual)
+ *     responses:
+ *       200:
+ *         description: Operaciones del diff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 from:
+ *                   type: integer
+ *                 to:
+ *                   type: integer
+ *                   nullable: true
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     added:
+ *                       type: integer
+ *                     removed:
+ *                       type: integer
+ *                 changes:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [equal, insert, delete]
+ *                       text:
+ *                         type: string
+ *       400:
+ *         description: Falta el parámetro "from"
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Sección o versión no encontrada
+ *       500:
+ *         description: Error interno
+ */
+router.get('/diff', auth, planAccess('viewer'), async (req, res) => {
+  const { planId, sectionId } = req.params;
+  const { from, to } = req.query;
+  if (!from) {
+    return res.status(400).json({ error: 'El parámetro "from" es obligatorio' });
+  }
+
+  try {
+    const section = await findSection(planId, sectionId);
+    if (!section) {
+      return res.status(404).json({ error: 'Sección no encontrada' });
+    }
+    const fromVersion = await findVersion(sectionId, from);
+    if (!fromVersion) {
+      return res.status(404).json({ error: 'Versión no encontrada' });
+    }
+    let target = section.content;
+    if (to) {
+      const toVersion = await findVersion(sectionId, to);
+      if (!toVersion) {
+        return res.status(404).json({ error: 'Versión no encontrada' });
+      }
+      target = toVersion.content;
+    }
+
+    const changes = diffWords(fromVersion.content, target);
+    res.json({
+      from:  fromVersion.id,
+      to:    to ? Number(to) : null,
+      stats: diffStats(changes),
+      changes
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al calcular diff' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/versions/{versionId}:
+ *   get:
+ *     summary: Obtiene una versión concreta de una sección
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: versionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Versión
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SectionVersion'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Sección o versión no encontrada
+ *       500:
+ *         description: Error interno
+ */
+router.get('/:versionId', auth, planAccess('viewer'), async (req, res) => {
+  const { planId, sectionId, versionId } = req.params;
+  try {
+    const section = await findSection(planId, sectionId);
+    if (!section) {
+      return res.status(404).json({ error: 'Sección no encontrada' });
+    }
+    const version = await findVersion(sectionId, versionId);
+    if (!version) {
+      return res.status(404).json({ error: 'Versión no encontrada' });
+    }
+    res.json(version);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener versión' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/sections/{sectionId}/versions/{versionId}/revert:
+ *   post:
+ *     summary: Restaura el contenido de una versión anterior
+ *     description: La restauración no borra historial; crea una nueva versión con ese contenido.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: sectionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: versionId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 example: "Prefiero la redacción anterior"
+ *     responses:
+ *       200:
+ *         description: Sección restaurada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                 section_type:
+ *                   type: string
+ *                 content:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 version:
+ *                   type: integer
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Tu rol en el plan no permite esta acción (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Sección o versión no encontrada
+ *       409:
+ *         description: El plan está finalizado o archivado (code PLAN_INVALID_STATUS)
+ *       500:
+ *         description: Error interno
+ */
+router.post('/:versionId/revert', auth, planAccess('editor'), async (req, res) => {
+  const { planId, sectionId, versionId } = req.params;
+  const userId = req.user.userId;
+  const comment = (req.body && req.body.comment) || null;
+
+  try {
+    const section = await findSection(planId, sectionId);
+    if (!section) {
+      return res.status(404).json({ error: 'Sección no encontrada' });
+    }
+    const target = await findVersion(sectionId, versionId);
+    if (!target) {
+      return res.status(404).json({ error: 'Versión no encontrada' });
+    }
+
+    const version = await withTransaction(async conn => {
+      await lockEditablePlan(conn, planId);
+      return updateSectionContent(conn, {
+        sectionId,
+        content:      target.content,
+        source:       'user',
+        comment:      comment || `Restaurada la versión ${target.version}`,
+        userId,
+        revertedFrom: target.version
+      });
+    });
+
+    const [[updated]] = await pool.query(
+      'SELECT id, section_type, content, status, created_at, updated_at FROM plan_sections WHERE id = ?',
+      [sectionId]
+    );
+    res.json({ ...updated, version });
+  } catch (err) {
+    if (err instanceof PlanLifecycleError) {
+      return res.status(err.status).json(err.toJSON());
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Error al restaurar versión' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,241 @@
+// src/routes/shareLinks.js
+//
+// Montado en /plans/:planId/share-links. Solo el dueño del plan gestiona
+// los enlaces públicos; la vista pública está en src/routes/shared.js.
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { planAccess } = require('../middleware/planAccess');
+const { planSectionTypes } = require('../config/sections');
+const { publicBaseUrl } = require('../utils/url');
+const {
+  SHARE_LINK_COLUMNS,
+  serializeLink,
+  createShareLink
+} = require('../services/shareLinks');
+const router  = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShareLink:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         plan_id:
+ *           type: integer
+ *         section_types:
+ *           type: array
+ *           nullable: true
+ *           items:
+ *             type: string
+ *           description: Secciones visibles (null = todo el plan)
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_by:
+ *           type: integer
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_accessed_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /plans/{planId}/share-links:
+ *   get:
+ *     summary: Lista los enlaces públicos del plan
+ *     description: El token no se vuelve a mostrar; solo se devuelve al crear el enlace.
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Array de enlaces
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ShareLink'
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo el dueño gestiona enlaces (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, planAccess('owner'), async (req, res) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT ${SHARE_LINK_COLUMNS} FROM plan_share_links WHERE plan_id = ? ORDER BY id DESC`,
+      [req.params.planId]
+    );
+    res.json(rows.map(serializeLink));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar enlaces' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/share-links:
+ *   post:
+ *     summary: Crea un enlace público de solo lectura
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fecha de caducidad (por defecto, no caduca)
+ *               section_types:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Entrenamiento, Nutrición]
+ *                 description: Limita el enlace a estas secciones
+ *     responses:
+ *       201:
+ *         description: Enlace creado; `url` solo se muestra ahora
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ShareLink'
+ *                 - type: object
+ *                   properties:
+ *                     url:
+ *                       type: string
+ *       400:
+ *         description: Fecha o secciones inválidas
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo el dueño gestiona enlaces (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.post('/', auth, planAccess('owner'), async (req, res) => {
+  const { expires_at, section_types } = req.body || {};
+
+  let expiresAt = null;
+  if (expires_at !== undefined && expires_at !== null) {
+    expiresAt = new Date(expires_at);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'expires_at debe ser una fecha futura válida' });
+    }
+  }
+  if (section_types !== undefined && section_types !== null) {
+    if (!Array.isArray(section_types) || !section_types.length) {
+      return res.status(400).json({ error: 'section_types debe ser un array no vacío' });
+    }
+    const planTypes = planSectionTypes(req.plan);
+    const unknown = section_types.filter(type => !planTypes.includes(type));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Secciones desconocidas: ${unknown.join(', ')}` });
+    }
+  }
+
+  try {
+    const { link, token } = await createShareLink({
+      planId:       req.params.planId,
+      userId:       req.user.userId,
+      sectionTypes: section_types || null,
+      expiresAt
+    });
+    res.status(201).json({ ...link, url: `${publicBaseUrl(req)}/shared/${token}` });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al crear enlace' });
+  }
+});
+
+/**
+ * @swagger
+ * /plans/{planId}/share-links/{linkId}:
+ *   delete:
+ *     summary: Revoca un enlace público
+ *     tags: [Plans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: planId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *       - in: path
+ *         name: linkId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Enlace revocado
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Solo el dueño gestiona enlaces (code PLAN_FORBIDDEN)
+ *       404:
+ *         description: Plan o enlace no encontrado
+ *       500:
+ *         description: Error interno
+ */
+router.delete('/:linkId', auth, planAccess('owner'), async (req, res) => {
+  const { planId, linkId } = req.params;
+  try {
+    const [result] = await pool.query(
+      `UPDATE plan_share_links
+          SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+        WHERE id = ? AND plan_id = ?`,
+      [linkId, planId]
+    );
+    if (!result.affectedRows) {
+      return res.status(404).json({ error: 'Enlace no encontrado' });
+    }
+    res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al revocar enlace' });
+  }
+});
+
+module.exports = router;
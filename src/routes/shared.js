@@ -0,0 +1,87 @@
+// src/routes/shared.js
+//
+// Vista pública (sin autenticación) de un plan compartido con un enlace.
+const express = require('express');
+const { findActiveLink, sharedPlanView } = require('../services/shareLinks');
+const router  = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Shared
+ *   description: Planes compartidos mediante enlace público
+ */
+
+/**
+ * @swagger
+ * /shared/{token}:
+ *   get:
+ *     summary: Plan compartido (solo lectura, sin autenticación)
+ *     tags: [Shared]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema:
+ *           type: string
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Título, estado, secciones visibles y último resumen
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 title:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 sections:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       section_type:
+ *                         type: string
+ *                       content:
+ *                         type: string
+ *                 summary:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     executive_summary:
+ *                       type: string
+ *                 shared:
+ *                   type: object
+ *                   properties:
+ *                     section_types:
+ *                       type: array
+ *                       nullable: true
+ *                       items:
+ *                         type: string
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *       404:
+ *         description: Enlace inexistente, revocado o caducado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const link = await findActiveLink(req.params.token);
+    if (!link) {
+      return res.status(404).json({ error: 'Enlace no válido o caducado' });
+    }
+    res.json(await sharedPlanView(link));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener plan compartido' });
+  }
+});
+
+module.exports = router;
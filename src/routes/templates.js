@@ -0,0 +1,368 @@
+// src/routes/templates.js
+const express = require('express');
+const pool    = require('../config/db');
+const auth    = require('../middleware/auth');
+const { hasPermission } = require('../middleware/permissions');
+const {
+  TEMPLATE_COLUMNS,
+  serializeTemplate,
+  validateTemplateInput,
+  findVisibleTemplate
+} = require('../services/templates');
+const router  = express.Router();
+
+// Las plantillas del sistema solo las gestiona quien tenga templates:manage
+function canManage(template, user) {
+  return template.system
+    ? hasPermission(user.role, 'templates:manage')
+    : template.user_id === user.userId;
+}
+
+/**
+ * @swagger
+ * tags:
+ *   name: Templates
+ *   description: Catálogo de plantillas de plan (del sistema y del usuario)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PlanTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         user_id:
+ *           type: integer
+ *           nullable: true
+ *         system:
+ *           type: boolean
+ *           description: Plantilla del sistema, visible para todos
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         parameters:
+ *           type: object
+ *           description: Parámetros por defecto del plan
+ *         sections:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               section_type:
+ *                 type: string
+ *               prompt_hint:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Indicación adicional para la IA al generar esta sección
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     PlanTemplateInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Vuelta al gimnasio
+ *         description:
+ *           type: string
+ *         parameters:
+ *           type: object
+ *           example:
+ *             Entrenamiento: "3 días por semana, nivel principiante"
+ *         sections:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [section_type]
+ *             properties:
+ *               section_type:
+ *                 type: string
+ *                 example: Entrenamiento
+ *               prompt_hint:
+ *                 type: string
+ *                 example: "Incluye calentamiento y progresión semanal"
+ *         system:
+ *           type: boolean
+ *           description: Crear como plantilla del sistema (requiere permiso templates:manage)
+ */
+
+/**
+ * @swagger
+ * /templates:
+ *   get:
+ *     summary: Lista las plantillas del sistema y las del usuario
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [system, mine]
+ *         description: Filtra por origen (por defecto, ambas)
+ *     responses:
+ *       200:
+ *         description: Array de plantillas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PlanTemplate'
+ *       401:
+ *         description: No autorizado
+ *       500:
+ *         description: Error interno
+ */
+router.get('/', auth, async (req, res) => {
+  const { scope } = req.query;
+  let where = '(user_id IS NULL OR user_id = ?)';
+  if (scope === 'system') where = 'user_id IS NULL';
+  if (scope === 'mine')   where = 'user_id = ?';
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT ${TEMPLATE_COLUMNS} FROM plan_templates
+        WHERE ${where}
+        ORDER BY user_id IS NOT NULL, name`,
+      scope === 'system' ? [] : [req.user.userId]
+    );
+    res.json(rows.map(serializeTemplate));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al listar plantillas' });
+  }
+});
+
+/**
+ * @swagger
+ * /templates/{templateId}:
+ *   get:
+ *     summary: Obtiene una plantilla
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Plantilla
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanTemplate'
+ *       401:
+ *         description: No autorizado
+ *       404:
+ *         description: Plantilla no encontrada
+ *       500:
+ *         description: Error interno
+ */
+router.get('/:templateId', auth, async (req, res) => {
+  try {
+    const template = await findVisibleTemplate(req.params.templateId, req.user.userId);
+    if (!template) {
+      return res.status(404).json({ error: 'Plantilla no encontrada' });
+    }
+    res.json(template);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al obtener plantilla' });
+  }
+});
+
+/**
+ * @swagger
+ * /templates:
+ *   post:
+ *     summary: Crea una plantilla
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PlanTemplateInput'
+ *               - required: [name, sections]
+ *     responses:
+ *       201:
+ *         description: Plantilla creada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanTemplate'
+ *       400:
+ *         description: Datos inválidos
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin permiso para crear plantillas del sistema
+ *       500:
+ *         description: Error interno
+ */
+router.post('/', auth, async (req, res) => {
+  const system = Boolean(req.body && req.body.system);
+  if (system && !hasPermission(req.user.role, 'templates:manage')) {
+    return res.status(403).json({ error: 'Permisos insuficientes', code: 'FORBIDDEN' });
+  }
+  const { error, values } = validateTemplateInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const [result] = await pool.query(
+      `INSERT INTO plan_templates (user_id, name, description, parameters, sections)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        system ? null : req.user.userId,
+        values.name,
+        values.description || null,
+        values.parameters || '{}',
+        values.sections
+      ]
+    );
+    const [[created]] = await pool.query(
+      `SELECT ${TEMPLATE_COLUMNS} FROM plan_templates WHERE id = ?`,
+      [result.insertId]
+    );
+    res.status(201).json(serializeTemplate(created));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al crear plantilla' });
+  }
+});
+
+/**
+ * @swagger
+ * /templates/{templateId}:
+ *   patch:
+ *     summary: Modifica una plantilla propia (o del sistema, con permiso templates:manage)
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PlanTemplateInput'
+ *     responses:
+ *       200:
+ *         description: Plantilla actualizada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlanTemplate'
+ *       400:
+ *         description: Datos inválidos o ningún campo para actualizar
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin permiso sobre la plantilla
+ *       404:
+ *         description: Plantilla no encontrada
+ *       500:
+ *         description: Error interno
+ */
+router.patch('/:templateId', auth, async (req, res) => {
+  const { templateId } = req.params;
+  const { error, values } = validateTemplateInput(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const fields = Object.keys(values);
+  if (!fields.length) {
+    return res.status(400).json({ error: 'Ningún campo para actualizar' });
+  }
+
+  try {
+    const template = await findVisibleTemplate(templateId, req.user.userId);
+    if (!template) {
+      return res.status(404).json({ error: 'Plantilla no encontrada' });
+    }
+    if (!canManage(template, req.user)) {
+      return res.status(403).json({ error: 'Permisos insuficientes', code: 'FORBIDDEN' });
+    }
+
+    await pool.query(
+      `UPDATE plan_templates
+          SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+      [...fields.map(f => values[f]), templateId]
+    );
+    res.json(await findVisibleTemplate(templateId, req.user.userId));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al actualizar plantilla' });
+  }
+});
+
+/**
+ * @swagger
+ * /templates/{templateId}:
+ *   delete:
+ *     summary: Elimina una plantilla propia (o del sistema, con permiso templates:manage)
+ *     description: Los planes creados a partir de ella no se ven afectados.
+ *     tags: [Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         schema:
+ *           type: integer
+ *         required: true
+ *     responses:
+ *       204:
+ *         description: Plantilla eliminada
+ *       401:
+ *         description: No autorizado
+ *       403:
+ *         description: Sin permiso sobre la plantilla
+ *       404:
+ *         description: Plantilla no encontrada
+ *       500:
+ *         description: Error interno
+ */
+router.delete('/:templateId', auth, async (req, res) => {
+  const { templateId } = req.params;
+  try {
+    const template = await findVisibleTemplate(templateId, req.user.userId);
+    if (!template) {
+      return res.status(404).json({ error: 'Plantilla no encontrada' });
+    }
+    if (!canManage(template, req.user)) {
+      return res.status(403).json({ error: 'Permisos insuficientes', code: 'FORBIDDEN' });
+    }
+    await pool.query('DELETE FROM plan_templates WHERE id = ?', [templateId]);
+    res.status(204).send();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Error al eliminar plantilla' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+// src/schemas/aiOutputs.js
+//
+// JSON Schemas que debe cumplir la salida de la IA en cada caso de uso.
+
+// Se memoriza por lista de secciones para compilar cada esquema una sola vez
+const sectionsCache = new Map();
+
+// Array con exactamente una entrada por cada tipo de sección pedido
+function sectionsSchema(sectionTypes) {
+  const key = sectionTypes.join('\u0000');
+  if (!sectionsCache.has(key)) sectionsCache.set(key, buildSectionsSchema(sectionTypes));
+  return sectionsCache.get(key);
+}
+
+function buildSectionsSchema(sectionTypes) {
+  return {
+    type: 'array',
+    minItems: sectionTypes.length,
+    maxItems: sectionTypes.length,
+    items: {
+      type: 'object',
+      required: ['section_type', 'content'],
+      properties: {
+        section_type: { type: 'string', enum: sectionTypes },
+        content:      { type: 'string', minLength: 1 }
+      }
+    },
+    allOf: sectionTypes.map(type => ({
+      contains: {
+        description: `debe incluir la sección "${type}"`,
+        type: 'object',
+        properties: { section_type: { const: type } },
+        required: ['section_type']
+      }
+    }))
+  };
+}
+
+const summarySchema = {
+  type: 'object',
+  required: ['title', 'executive_summary'],
+  properties: {
+    title:             { type: 'string', minLength: 1 },
+    executive_summary: { type: 'string', minLength: 1 }
+  }
+};
+
+// Tareas accionables extraídas del texto de una sección
+const tasksSchema = {
+  type: 'array',
+  maxItems: 30,
+  items: {
+    type: 'object',
+    required: ['title', 'frequency'],
+    properties: {
+      title:       { type: 'string', minLength: 1, maxLength: 255 },
+      description: { type: ['string', 'null'] },
+      frequency:   { type: 'string', enum: ['once', 'daily', 'weekly', 'monthly'] },
+      due_date:    { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' }
+    }
+  }
+};
+
+// Revisión semanal: propuestas de cambio por sección, cada una con su motivo.
+// Se memoriza por lista de secciones, como sectionsSchema
+const reviewCache = new Map();
+
+function reviewSchema(sectionTypes) {
+  const key = sectionTypes.join('\u0000');
+  if (!reviewCache.has(key)) {
+    reviewCache.set(key, {
+      type: 'object',
+      required: ['summary', 'proposals'],
+      properties: {
+        summary:   { type: 'string', minLength: 1 },
+        proposals: {
+          type: 'array',
+          maxItems: 10,
+          items: {
+            type: 'object',
+            required: ['section_type', 'instruction', 'rationale'],
+            properties: {
+              section_type: { type: 'string', enum: sectionTypes },
+              instruction:  { type: 'string', minLength: 1 },
+              rationale:    { type: 'string', minLength: 1 }
+            }
+          }
+        }
+      }
+    });
+  }
+  return reviewCache.get(key);
+}
+
+module.exports = { sectionsSchema, summarySchema, tasksSchema, reviewSchema };
@@ -0,0 +1,93 @@
+// src/schemas/planImport.js
+//
+// JSON Schemas del documento que acepta POST /plans/import, uno por versión
+// del formato. La versión 1 es la que produce GET /plans/:planId/export?format=json;
+// los campos informativos de la exportación (ids, fechas, estado, metadatos)
+// se aceptan pero se ignoran.
+
+const text = (maxLength) => ({ type: 'string', maxLength });
+
+const v1 = {
+  type: 'object',
+  required: ['version', 'plan'],
+  properties: {
+    version: { const: 1 },
+    plan: {
+      type: 'object',
+      required: ['title'],
+      properties: {
+        id:         {},
+        title:      { type: ['string', 'null'], maxLength: 255 },
+        status:     {},
+        parameters: { type: 'object' },
+        template_id: {},
+        section_config: {
+          type: ['array', 'null'],
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['section_type'],
+            properties: {
+              section_type: { ...text(64), minLength: 1 },
+              prompt_hint:  { type: ['string', 'null'], maxLength: 1000 }
+            },
+            additionalProperties: false
+          }
+        },
+        created_at: {},
+        updated_at: {}
+      },
+      additionalProperties: false
+    },
+    metadata:    {},
+    exported_at: {},
+    sections: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['section_type', 'content'],
+        properties: {
+          section_type: { ...text(64), minLength: 1 },
+          content:      { type: 'string' },
+          status:       {},
+          updated_at:   {}
+        },
+        additionalProperties: false
+      }
+    },
+    summaries: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'executive_summary'],
+        properties: {
+          title:             { ...text(255), minLength: 1 },
+          executive_summary: { type: 'string', minLength: 1 },
+          created_at:        {}
+        },
+        additionalProperties: false
+      }
+    },
+    reminders: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['rule'],
+        properties: {
+          rule:         { type: 'string', minLength: 1 },
+          timezone:     { type: 'string', minLength: 1 },
+          starts_at:    { type: ['string', 'null'] },
+          channels:     { type: ['array', 'null'], items: { type: 'string' } },
+          is_active:    { type: 'boolean' },
+          section_type: { type: ['string', 'null'], maxLength: 64 }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+const PLAN_IMPORT_SCHEMAS = { 1: v1 };
+
+module.exports = { PLAN_IMPORT_SCHEMAS };
@@ -0,0 +1,92 @@
+// src/services/accountTokens.js
+//
+// Tokens de un solo uso enviados por correo: verificación de email y
+// restablecimiento de contraseña. Solo se guarda el hash SHA-256; el token
+// caduca y se marca como usado al consumirlo. Pedir uno nuevo invalida los
+// anteriores del mismo tipo.
+//
+//   EMAIL_VERIFICATION_HOURS  vida del enlace de verificación (por defecto 48)
+//   PASSWORD_RESET_MINUTES    vida del enlace de restablecimiento (por defecto 60)
+//   PASSWORD_RESET_URL        página del frontend que recibe ?token=
+//                             (por defecto {PUBLIC_URL}/reset-password)
+//
+// Los enlaces se construyen solo con PUBLIC_URL (obligatoria al arrancar),
+// nunca con el Host de la petición.
+const crypto = require('crypto');
+const pool   = require('../config/db');
+const { sendMail } = require('./mailer');
+const { configuredBaseUrl } = require('../utils/url');
+require('dotenv').config();
+
+const TTL_MINUTES = {
+  verify_email:   (Number(process.env.EMAIL_VERIFICATION_HOURS) || 48) * 60,
+  reset_password: Number(process.env.PASSWORD_RESET_MINUTES) || 60
+};
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+async function createToken(userId, purpose) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await pool.query(
+    `UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+    [userId, purpose]
+  );
+  await pool.query(
+    `INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES (?, ?, ?, ?)`,
+    [userId, purpose, hashToken(token), new Date(Date.now() + TTL_MINUTES[purpose] * 60 * 1000)]
+  );
+  return token;
+}
+
+/**
+ * Marca el token como usado y devuelve el id de su usuario, o null si no
+ * existe, ya se usó o ha caducado. Usar dentro de una transacción.
+ */
+async function consumeToken(conn, token, purpose) {
+  const [[row]] = await conn.query(
+    `SELECT id, user_id FROM account_tokens
+      WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?
+      FOR UPDATE`,
+    [hashToken(token), purpose, new Date()]
+  );
+  if (!row) return null;
+  await conn.query(
+    'UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [row.id]
+  );
+  return row.user_id;
+}
+
+async function sendVerificationEmail(user) {
+  const token = await createToken(user.id, 'verify_email');
+  const link  = `${configuredBaseUrl()}/auth/verify-email?token=${token}`;
+  await sendMail({
+    to:      user.email,
+    subject: 'Confirma tu correo',
+    text:
+      `Hola:\n\nPara confirmar tu dirección de correo abre este enlace:\n${link}\n\n` +
+      `Caduca en ${TTL_MINUTES.verify_email / 60} horas. Si no creaste una cuenta, ignora este mensaje.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = await createToken(user.id, 'reset_password');
+  const page  = process.env.PASSWORD_RESET_URL || `${configuredBaseUrl()}/reset-password`;
+  const link  = `${page}${page.includes('?') ? '&' : '?'}token=${token}`;
+  await sendMail({
+    to:      user.email,
+    subject: 'Restablece tu contraseña',
+    text:
+      `Hola:\n\nPara elegir una contraseña nueva abre este enlace:\n${link}\n\n` +
+      `Caduca en ${TTL_MINUTES.reset_password} minutos y solo se puede usar una vez. ` +
+      'Si no lo has pedido tú, ignora este mensaje.'
+  });
+}
+
+module.exports = {
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
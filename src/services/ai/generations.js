@@ -0,0 +1,46 @@
+// src/services/ai/generations.js
+//
+// Registro de cada llamada a la IA (ai_generations) y de su razonamiento
+// (ai_reasoning_traces), vinculados al usuario, plan y sección de origen.
+const pool = require('../../config/db');
+
+/**
+ * Guarda la generación y, si lo hay, su razonamiento. Un fallo al registrar
+ * no debe romper la petición del usuario: se informa y se devuelve null.
+ *
+ * @returns {Promise<number|null>} id de la generación
+ */
+async function recordGeneration(context, useCase, result) {
+  if (!context || !context.userId) return null;
+  const usage = result.usage || {};
+  try {
+    const [inserted] = await pool.query(
+      `INSERT INTO ai_generations
+         (user_id, plan_id, section_id, use_case, provider, model,
+          prompt_tokens, completion_tokens)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        context.userId,
+        context.planId || null,
+        context.sectionId || null,
+        useCase,
+        result.provider,
+        result.model,
+        usage.prompt_tokens || null,
+        usage.completion_tokens || null
+      ]
+    );
+    if (result.reasoning) {
+      await pool.query(
+        'INSERT INTO ai_reasoning_traces (generation_id, reasoning) VALUES (?, ?)',
+        [inserted.insertId, result.reasoning]
+      );
+    }
+    return inserted.insertId;
+  } catch (err) {
+    console.error('No se pudo registrar la generación de IA:', err.message);
+    return null;
+  }
+}
+
+module.exports = { recordGeneration };
@@ -0,0 +1,101 @@
+// src/services/ai/index.js
+//
+// Punto único de acceso a los modelos de lenguaje. El proveedor, el modelo y
+// sus parámetros se eligen por caso de uso (ver src/config/ai.js).
+const { getUseCaseConfig } = require('../../config/ai');
+const { splitReasoning, createStreamFilter } = require('./reasoning');
+const { recordGeneration } = require('./generations');
+
+// El proveedor falló (red, HTTP, respuesta ilegible). Las rutas lo
+// devuelven como 502 sin exponer el error original.
+class AiProviderError extends Error {
+  constructor(provider, cause) {
+    super(`Error del proveedor de IA (${provider}): ${cause.message}`);
+    this.name     = 'AiProviderError';
+    this.status   = 502;
+    this.code     = 'AI_PROVIDER_ERROR';
+    this.provider = provider;
+    this.cause    = cause;
+  }
+
+  toJSON() {
+    return {
+      error: 'El servicio de IA no respondió correctamente',
+      code:  this.code
+    };
+  }
+}
+
+// Aproximación de ~4 caracteres por token, como en providers/mock.js
+const estimateTokens = text => Math.ceil(String(text || '').length / 4);
+
+/**
+ * El `usage` del proveedor o, si no lo envía (algunos servidores en
+ * streaming), una estimación: la cuota diaria se calcula con estos números.
+ */
+function usageOf(request, raw) {
+  const usage = raw.usage || {};
+  if (usage.prompt_tokens && usage.completion_tokens) return raw.usage;
+  const prompt     = usage.prompt_tokens || estimateTokens(request.messages.map(m => m.content).join('\n'));
+  const completion = usage.completion_tokens || estimateTokens(raw.content);
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion, estimated: true };
+}
+
+const providers = {
+  openai: require('./providers/openai'),
+  ollama: require('./providers/ollama'),
+  mock:   require('./providers/mock')
+};
+
+/**
+ * Ejecuta una conversación para un caso de uso. El razonamiento <think> se
+ * separa del contenido (también en streaming, donde no se reenvía) y la
+ * llamada queda registrada en ai_generations con su traza.
+ *
+ * @param {string} useCase   'generate' | 'adjust' | 'sections' | 'summary' | 'tasks' | 'review' | 'chat'
+ * @param {object} request
+ * @param {Array}  request.messages
+ * @param {object} [request.schema]  JSON Schema esperado (salida estructurada)
+ * @param {object} [options]
+ * @param {Function} [options.onToken]      Recibe cada fragmento de la respuesta
+ * @param {Function} [options.onReasoning]  Recibe cada fragmento del razonamiento
+ * @param {object}   [options.context]      { userId, planId, sectionId } para el registro
+ * @returns {Promise<{ provider, model, content, reasoning, finishReason, usage, generationId }>}
+ */
+async function complete(useCase, request, { onToken, onReasoning, context } = {}) {
+  const config   = getUseCaseConfig(useCase);
+  const provider = providers[config.provider];
+  if (!provider) {
+    throw new Error(`Proveedor de IA desconocido: ${config.provider}`);
+  }
+
+  const streamFilter = onToken ? createStreamFilter(onToken, { onReasoning, reasoning: config.reasoning }) : null;
+  let raw;
+  try {
+    raw = await provider.complete(config, request, { onToken: streamFilter });
+  } catch (err) {
+    throw new AiProviderError(config.provider, err);
+  }
+  streamFilter?.flush();
+  const { content, reasoning } = splitReasoning(raw.content);
+
+  const result = { provider: config.provider, ...raw, usage: usageOf(request, raw), content, reasoning };
+  result.generationId = await recordGeneration(context, useCase, result);
+  return result;
+}
+
+// Respuesta con la forma de chat/completions de OpenAI, para los proxies /ai/*
+function toChatCompletion(result) {
+  return {
+    object:  'chat.completion',
+    model:   result.model,
+    choices: [{
+      index:         0,
+      message:       { role: 'assistant', content: result.content },
+      finish_reason: result.finishReason
+    }],
+    usage: result.usage
+  };
+}
+
+module.exports = { AiProviderError, complete, toChatCompletion };
@@ -0,0 +1,23 @@
+// src/services/ai/lines.js
+
+// Lee un stream de texto línea a línea (SSE o NDJSON) hasta que termina
+function readLines(stream, onLine) {
+  let buffer = '';
+  return new Promise((resolve, reject) => {
+    stream.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) onLine(line.trim());
+      }
+    });
+    stream.on('end', () => {
+      if (buffer.trim()) onLine(buffer.trim());
+      resolve();
+    });
+    stream.on('error', reject);
+  });
+}
+
+module.exports = { readLines };
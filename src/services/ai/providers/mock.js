@@ -0,0 +1,71 @@
+// src/services/ai/providers/mock.js
+//
+// Proveedor determinista para pruebas sin servidor de IA (AI_PROVIDER=mock).
+// Si la petición incluye un JSON Schema, responde con un ejemplo que lo
+// cumple; si no, con un texto fijo derivado del último mensaje del usuario.
+
+const CHUNK_SIZE = 8;
+
+// Valor de ejemplo que cumple un esquema (subconjunto usado en este proyecto)
+function sampleFromSchema(schema) {
+  if (!schema || typeof schema !== 'object') return null;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum)) return schema.enum[0];
+
+  switch (schema.type) {
+    case 'object': {
+      const value = {};
+      for (const [key, sub] of Object.entries(schema.properties || {})) {
+        value[key] = sampleFromSchema(sub);
+      }
+      return value;
+    }
+    case 'array': {
+      // Un elemento por cada `contains` (p. ej. una entrada por sección)
+      const contains = (schema.allOf || []).map(s => s.contains).filter(Boolean);
+      if (contains.length) {
+        return contains.map(sub => ({
+          ...sampleFromSchema(schema.items),
+          ...sampleFromSchema(sub)
+        }));
+      }
+      const count = schema.minItems || 1;
+      return Array.from({ length: count }, () => sampleFromSchema(schema.items));
+    }
+    case 'integer':
+    case 'number':
+      return schema.minimum !== undefined ? schema.minimum : 1;
+    case 'boolean':
+      return true;
+    case 'string':
+      return schema.format === 'date' ? '2025-01-01' : 'Contenido simulado';
+    default:
+      return null;
+  }
+}
+
+const estimateTokens = text => Math.ceil(String(text).length / 4);
+
+async function complete(config, request, { onToken } = {}) {
+  const lastUser = [...request.messages].reverse().find(m => m.role === 'user');
+  const content = request.schema
+    ? JSON.stringify(sampleFromSchema(request.schema))
+    : `Respuesta simulada: ${lastUser ? String(lastUser.content).slice(0, 200) : ''}`;
+
+  if (onToken) {
+    for (let i = 0; i < content.length; i += CHUNK_SIZE) {
+      onToken(content.slice(i, i + CHUNK_SIZE));
+    }
+  }
+
+  const prompt = estimateTokens(request.messages.map(m => m.content).join('\n'));
+  const completion = estimateTokens(content);
+  return {
+    model:        config.model,
+    content,
+    finishReason: 'stop',
+    usage: { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion }
+  };
+}
+
+module.exports = { complete, sampleFromSchema };
@@ -0,0 +1,70 @@
+// src/services/ai/providers/ollama.js
+//
+// Adaptador para la API nativa de Ollama: POST {url}/api/chat.
+const axios = require('axios');
+const { readLines } = require('../lines');
+
+function buildBody(config, request, stream) {
+  const options = {};
+  if (config.temperature !== null) options.temperature = config.temperature;
+  if (config.maxTokens !== null)   options.num_predict = config.maxTokens;
+  const body = {
+    model:    config.model,
+    messages: request.messages,
+    stream,
+    options
+  };
+  if (config.structuredOutputs && request.schema) body.format = request.schema;
+  return body;
+}
+
+function usageOf(data) {
+  if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null;
+  const prompt     = data.prompt_eval_count || 0;
+  const completion = data.eval_count || 0;
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+async function complete(config, request, { onToken } = {}) {
+  if (!onToken) {
+    const { data } = await axios.post(`${config.url}/api/chat`, buildBody(config, request, false));
+    return {
+      model:        data.model || config.model,
+      content:      (data.message && data.message.content) || '',
+      finishReason: data.done_reason || null,
+      usage:        usageOf(data)
+    };
+  }
+
+  // En streaming Ollama envía NDJSON: un objeto por línea, el último con done: true
+  const aiRes = await axios.post(
+    `${config.url}/api/chat`,
+    buildBody(config, request, true),
+    { responseType: 'stream' }
+  );
+  const result = { model: config.model, content: '', finishReason: null, usage: null };
+  let error = null;
+  await readLines(aiRes.data, line => {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      return;
+    }
+    if (event.error) error = event.error;
+    if (event.model) result.model = event.model;
+    const text = event.message && event.message.content;
+    if (text) {
+      result.content += text;
+      onToken(text);
+    }
+    if (event.done) {
+      result.finishReason = event.done_reason || 'stop';
+      result.usage = usageOf(event);
+    }
+  });
+  if (error) throw new Error(`Ollama: ${error}`);
+  return result;
+}
+
+module.exports = { complete };
@@ -0,0 +1,85 @@
+// src/services/ai/providers/openai.js
+//
+// Adaptador para servidores compatibles con OpenAI (DeepSeek en LM Studio,
+// llama.cpp, vLLM…): POST {url}/v1/chat/completions.
+const axios = require('axios');
+const { readLines } = require('../lines');
+
+function buildBody(config, request, stream) {
+  const body = {
+    model:    config.model,
+    messages: request.messages,
+    stream
+  };
+  if (config.temperature !== null) body.temperature = config.temperature;
+  if (config.maxTokens !== null)   body.max_tokens  = config.maxTokens;
+  if (config.structuredOutputs && request.schema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'respuesta', strict: true, schema: request.schema }
+    };
+  }
+  if (stream) body.stream_options = { include_usage: true };
+  return body;
+}
+
+function headers(config) {
+  return config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+}
+
+async function streamCompletion(config, request, onToken) {
+  const aiRes = await axios.post(
+    `${config.url}/v1/chat/completions`,
+    buildBody(config, request, true),
+    { headers: headers(config), responseType: 'stream' }
+  );
+
+  let content = '';
+  let model   = config.model;
+  let usage   = null;
+  let finish  = null;
+
+  await readLines(aiRes.data, line => {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (payload === '[DONE]') return;
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      return; // fragmento no JSON (p. ej. keep-alive)
+    }
+    if (event.model) model = event.model;
+    if (event.usage) usage = event.usage;
+    const choice = event.choices && event.choices[0];
+    if (!choice) return;
+    if (choice.finish_reason) finish = choice.finish_reason;
+    const text = choice.delta && choice.delta.content;
+    if (text) {
+      content += text;
+      onToken(text);
+    }
+  });
+
+  return { model, content, finishReason: finish, usage };
+}
+
+async function complete(config, request, { onToken } = {}) {
+  if (onToken) {
+    return streamCompletion(config, request, onToken);
+  }
+  const aiRes = await axios.post(
+    `${config.url}/v1/chat/completions`,
+    buildBody(config, request, false),
+    { headers: headers(config) }
+  );
+  const choice = aiRes.data.choices[0];
+  return {
+    model:        aiRes.data.model || config.model,
+    content:      choice.message.content || '',
+    finishReason: choice.finish_reason || null,
+    usage:        aiRes.data.usage || null
+  };
+}
+
+module.exports = { complete };
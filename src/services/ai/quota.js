@@ -0,0 +1,139 @@
+// src/services/ai/quota.js
+//
+// Cuotas de uso de la IA por usuario. Los tokens diarios se calculan a partir
+// de ai_generations (el `usage` que devuelve el modelo, o una estimación si
+// no lo envía); las peticiones por minuto y las generaciones simultáneas se
+// cuentan en memoria, por lo que esos dos límites son por instancia del
+// servidor.
+const pool = require('../../config/db');
+const { getQuotaConfig } = require('../../config/ai');
+
+const WINDOW_MS = 60 * 1000;
+
+const recentRequests = new Map(); // userId → [timestamps] del último minuto
+const activeCount    = new Map(); // userId → generaciones en curso
+
+class QuotaExceededError extends Error {
+  constructor(message, { limit, retryAfter }) {
+    super(message);
+    this.name       = 'QuotaExceededError';
+    this.status     = 429;
+    this.code       = 'AI_QUOTA_EXCEEDED';
+    this.limit      = limit;
+    this.retryAfter = retryAfter; // segundos
+  }
+
+  toJSON() {
+    return {
+      error:       this.message,
+      code:        this.code,
+      limit:       this.limit,
+      retry_after: this.retryAfter
+    };
+  }
+}
+
+function startOfUtcDay(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+function recentFor(userId, now) {
+  const list = (recentRequests.get(userId) || []).filter(t => now - t < WINDOW_MS);
+  recentRequests.set(userId, list);
+  return list;
+}
+
+/**
+ * Tokens consumidos por el usuario desde el inicio del día UTC.
+ */
+async function tokensUsedToday(userId) {
+  const [[row]] = await pool.query(
+    `SELECT COALESCE(SUM(COALESCE(prompt_tokens, 0) + COALESCE(completion_tokens, 0)), 0) AS used
+       FROM ai_generations
+      WHERE user_id = ? AND created_at >= ?`,
+    [userId, startOfUtcDay()]
+  );
+  return Number(row.used);
+}
+
+/**
+ * Comprueba las cuotas del usuario y reserva un hueco de concurrencia.
+ * Lanza QuotaExceededError si alguna está agotada.
+ *
+ * @returns {Promise<Function>} libera el hueco; llamarla al terminar
+ */
+async function acquire(userId) {
+  const quota = getQuotaConfig();
+  const now   = Date.now();
+
+  if (quota.dailyTokens) {
+    const used = await tokensUsedToday(userId);
+    if (used >= quota.dailyTokens) {
+      const tomorrow = startOfUtcDay().getTime() + 24 * 3600 * 1000;
+      throw new QuotaExceededError('Has agotado tu cuota diaria de tokens de IA', {
+        limit:      'daily_tokens',
+        retryAfter: Math.ceil((tomorrow - now) / 1000)
+      });
+    }
+  }
+
+  if (quota.rpm) {
+    const recent = recentFor(userId, now);
+    if (recent.length >= quota.rpm) {
+      throw new QuotaExceededError('Demasiadas peticiones a la IA por minuto', {
+        limit:      'rpm',
+        retryAfter: Math.max(1, Math.ceil((recent[0] + WINDOW_MS - now) / 1000))
+      });
+    }
+  }
+
+  const active = activeCount.get(userId) || 0;
+  if (quota.concurrency && active >= quota.concurrency) {
+    throw new QuotaExceededError('Ya tienes el máximo de generaciones en curso', {
+      limit:      'concurrency',
+      retryAfter: 5
+    });
+  }
+
+  // Comprobaciones superadas: se registra la petición
+  recentFor(userId, now).push(now);
+  activeCount.set(userId, active + 1);
+
+  let released = false;
+  return function release() {
+    if (released) return;
+    released = true;
+    const left = (activeCount.get(userId) || 1) - 1;
+    if (left > 0) activeCount.set(userId, left);
+    else activeCount.delete(userId);
+  };
+}
+
+/**
+ * Estado de las cuotas del usuario (para GET /me/usage).
+ */
+async function quotaStatus(userId) {
+  const quota = getQuotaConfig();
+  const now   = Date.now();
+  const used  = await tokensUsedToday(userId);
+  const limitOrNull = value => value || null;
+
+  return {
+    daily_tokens: {
+      used,
+      limit:     limitOrNull(quota.dailyTokens),
+      remaining: quota.dailyTokens ? Math.max(quota.dailyTokens - used, 0) : null,
+      resets_at: new Date(startOfUtcDay().getTime() + 24 * 3600 * 1000).toISOString()
+    },
+    requests_per_minute: {
+      used:  recentFor(userId, now).length,
+      limit: limitOrNull(quota.rpm)
+    },
+    concurrent_generations: {
+      active: activeCount.get(userId) || 0,
+      limit:  limitOrNull(quota.concurrency)
+    }
+  };
+}
+
+module.exports = { QuotaExceededError, acquire, quotaStatus, startOfUtcDay };
@@ -0,0 +1,111 @@
+// src/services/ai/reasoning.js
+//
+// Los modelos de razonamiento (DeepSeek-R1 y sus destilados) escriben su
+// cadena de pensamiento entre <think> y </think> antes de la respuesta.
+// Aquí se separa ese razonamiento del contenido útil.
+const OPEN  = '<think>';
+const CLOSE = '</think>';
+
+/**
+ * Separa el razonamiento del texto final.
+ * @returns {{ content: string, reasoning: string|null }}
+ */
+function splitReasoning(text) {
+  let rest = String(text || '');
+  const traces = [];
+
+  // Algunas plantillas omiten la etiqueta de apertura: todo lo anterior
+  // al primer </think> es razonamiento
+  const firstOpen  = rest.indexOf(OPEN);
+  const firstClose = rest.indexOf(CLOSE);
+  if (firstClose !== -1 && (firstOpen === -1 || firstClose < firstOpen)) {
+    traces.push(rest.slice(0, firstClose));
+    rest = rest.slice(firstClose + CLOSE.length);
+  }
+
+  let start;
+  while ((start = rest.indexOf(OPEN)) !== -1) {
+    const end = rest.indexOf(CLOSE, start + OPEN.length);
+    if (end === -1) {
+      // Bloque sin cerrar (respuesta truncada): es todo razonamiento
+      traces.push(rest.slice(start + OPEN.length));
+      rest = rest.slice(0, start);
+      break;
+    }
+    traces.push(rest.slice(start + OPEN.length, end));
+    rest = rest.slice(0, start) + rest.slice(end + CLOSE.length);
+  }
+
+  const reasoning = traces.map(t => t.trim()).filter(Boolean).join('\n\n');
+  return { content: rest.trim(), reasoning: reasoning || null };
+}
+
+/**
+ * Envuelve un callback de streaming para que solo reciba el texto de la
+ * respuesta. Las etiquetas pueden llegar partidas entre fragmentos, así que
+ * se retiene lo justo para reconocerlas; el resto se entrega al momento.
+ *
+ * Con `reasoning` (modelo de razonamiento configurado) la apertura puede
+ * faltar, como en splitReasoning: hasta ver <think> o </think> no se sabe
+ * si el texto es razonamiento, y se retiene. flush() entrega lo retenido
+ * al terminar la respuesta.
+ */
+function createStreamFilter(onToken, { onReasoning, reasoning = false } = {}) {
+  let inside  = reasoning ? null : false; // null = aún sin decidir
+  let pending = '';
+
+  const emit = (reasoning, text) => {
+    if (text) (reasoning ? onReasoning : onToken)?.(text);
+  };
+
+  const filter = text => {
+    pending += text;
+    for (;;) {
+      if (inside === null) {
+        const open  = pending.indexOf(OPEN);
+        const close = pending.indexOf(CLOSE);
+        if (close !== -1 && (open === -1 || close < open)) {
+          // Sin apertura: todo lo anterior era razonamiento
+          emit(true, pending.slice(0, close));
+          pending = pending.slice(close + CLOSE.length);
+          inside  = false;
+          continue;
+        }
+        if (open !== -1) {
+          emit(false, pending.slice(0, open));
+          pending = pending.slice(open + OPEN.length);
+          inside  = true;
+          continue;
+        }
+        return;
+      }
+
+      const tag = inside ? CLOSE : OPEN;
+      const idx = pending.indexOf(tag);
+      if (idx !== -1) {
+        emit(inside, pending.slice(0, idx));
+        pending = pending.slice(idx + tag.length);
+        inside  = !inside;
+        continue;
+      }
+      // Retener un posible comienzo de etiqueta al final del fragmento
+      let keep = 0;
+      for (let n = Math.min(tag.length - 1, pending.length); n > 0; n--) {
+        if (tag.startsWith(pending.slice(-n))) { keep = n; break; }
+      }
+      emit(inside, pending.slice(0, pending.length - keep));
+      pending = pending.slice(pending.length - keep);
+      return;
+    }
+  };
+
+  // Fin de la respuesta: sin etiquetas, lo retenido era contenido
+  filter.flush = () => {
+    emit(inside === true, pending);
+    pending = '';
+  };
+
+  return filter;
+}
+
+module.exports = { splitReasoning, createStreamFilter };
@@ -0,0 +1,336 @@
+// src/services/analytics.js
+//
+// Analítica de seguimiento de un plan para un usuario: cruza sus check-ins,
+// las tareas completadas y las entregas de recordatorios en un rango de días.
+// Todo se agrega en MySQL con GROUP BY sobre columnas indexadas (plan_id +
+// fecha), de modo que un año de datos son unas pocas decenas de filas por
+// consulta; en JS solo se combinan los resultados.
+//
+// Adherencia = (done + partial / 2) / días esperados, donde los días
+// esperados son los del rango desde la creación del plan hasta hoy.
+//
+// Las columnas DATETIME están en UTC. Para agruparlas por día local se usa
+// CONVERT_TZ con el desplazamiento vigente en cada tramo del rango (ver
+// localTime), sin depender de las tablas de zonas horarias de MySQL.
+const { DateTime, FixedOffsetZone } = require('luxon');
+const pool = require('../config/db');
+const { completion } = require('./tasks');
+const { offsetTransitions } = require('./recurrence');
+
+const WEEKDAY_NAMES = ['lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado', 'domingo'];
+
+function percent(value, total) {
+  return total > 0 ? Math.round((value * 100) / total) : null;
+}
+
+function checkinScore(row) {
+  return Number(row.done || 0) + Number(row.partial || 0) / 2;
+}
+
+function checkinCounts(row) {
+  return {
+    done:    Number(row ? row.done : 0),
+    partial: Number(row ? row.partial : 0),
+    skipped: Number(row ? row.skipped : 0)
+  };
+}
+
+function daysSince(date, now) {
+  return date ? Math.floor(now.diff(DateTime.fromJSDate(date), 'days').days) : null;
+}
+
+// Días del rango en los que el plan ya existía y que no son futuros
+function expectedWindow(plan, { from, to }, timezone) {
+  const created = DateTime.fromJSDate(new Date(plan.created_at)).setZone(timezone).toISODate();
+  const today   = DateTime.now().setZone(timezone).toISODate();
+  const start   = from > created ? from : created;
+  const end     = to < today ? to : today;
+  if (start > end) return null;
+  return {
+    start: DateTime.fromISO(start, { zone: 'UTC' }),
+    end:   DateTime.fromISO(end, { zone: 'UTC' })
+  };
+}
+
+/**
+ * Tramos de [from, to) con un mismo desplazamiento UTC en la zona: uno si
+ * no hay cambio de hora, más si el rango cruza alguno.
+ *
+ * @returns {Array<{ until: Date|null, offset: string }>}
+ */
+function offsetSegments(timezone, from, to) {
+  const format = minutes => FixedOffsetZone.instance(minutes).formatOffset(0, 'short');
+  const transitions = offsetTransitions(timezone, from, to);
+  const last = transitions.length
+    ? transitions[transitions.length - 1].after
+    : DateTime.fromJSDate(from, { zone: timezone }).offset;
+  return [
+    ...transitions.map(t => ({ until: t.at, offset: format(t.before) })),
+    { until: null, offset: format(last) }
+  ];
+}
+
+/**
+ * Expresión SQL con la hora local de una columna DATETIME (UTC).
+ *
+ * @returns {{ sql: string, params: Array }}
+ */
+function localTime(column, segments) {
+  const convert = `CONVERT_TZ(${column}, '+00:00', ?)`;
+  if (segments.length === 1) {
+    return { sql: convert, params: [segments[0].offset] };
+  }
+  const params = [];
+  const cases  = segments.slice(0, -1).map(segment => {
+    params.push(segment.until, segment.offset);
+    return `WHEN ${column} < ? THEN ${convert}`;
+  });
+  params.push(segments[segments.length - 1].offset);
+  return { sql: `CASE ${cases.join(' ')} ELSE ${convert} END`, params };
+}
+
+// Cuántas veces cae cada día de la semana (0 = lunes) entre start y end
+function weekdayOccurrences(span) {
+  const counts = new Array(7).fill(0);
+  if (!span) return counts;
+  for (let day = span.start; day <= span.end; day = day.plus({ days: 1 })) {
+    counts[day.weekday - 1]++;
+  }
+  return counts;
+}
+
+/**
+ * @param {object} plan      fila del plan (req.plan)
+ * @param {number} userId
+ * @param {object} range     { from, to } en YYYY-MM-DD (ver checkins.resolveRange)
+ * @param {string} timezone  zona IANA del usuario
+ */
+async function planAnalytics(plan, userId, range, timezone) {
+  const planId = plan.id;
+  const now    = DateTime.now();
+  // Límites del rango como instantes UTC para las columnas DATETIME
+  const fromUtc     = DateTime.fromISO(range.from, { zone: timezone }).toUTC().toJSDate();
+  const toUtc       = DateTime.fromISO(range.to, { zone: timezone }).plus({ days: 1 }).toUTC().toJSDate();
+  const segments    = offsetSegments(timezone, fromUtc, toUtc);
+  const completedAt = localTime('completed_at', segments);
+  const occurredAt  = localTime('d.occurrence_at', segments);
+
+  const [
+    [sections],
+    [checkinRows],
+    [weeklyCheckins],
+    [weekdayRows],
+    [taskRows],
+    [weeklyTasks],
+    [reminderRows],
+    [adjustRows]
+  ] = await Promise.all([
+    pool.query(
+      'SELECT id, section_type FROM plan_sections WHERE plan_id = ? ORDER BY id',
+      [planId]
+    ),
+    pool.query(
+      `SELECT section_id,
+              SUM(status = 'done') AS done, SUM(status = 'partial') AS partial,
+              SUM(status = 'skipped') AS skipped
+         FROM plan_checkins
+        WHERE plan_id = ? AND user_id = ? AND checkin_date BETWEEN ? AND ?
+        GROUP BY section_id`,
+      [planId, userId, range.from, range.to]
+    ),
+    pool.query(
+      `SELECT DATE_FORMAT(DATE_SUB(checkin_date, INTERVAL WEEKDAY(checkin_date) DAY), '%Y-%m-%d') AS week_start,
+              SUM(status = 'done') AS done, SUM(status = 'partial') AS partial,
+              SUM(status = 'skipped') AS skipped
+         FROM plan_checkins
+        WHERE plan_id = ? AND user_id = ? AND checkin_date BETWEEN ? AND ?
+        GROUP BY week_start`,
+      [planId, userId, range.from, range.to]
+    ),
+    pool.query(
+      `SELECT WEEKDAY(checkin_date) AS weekday,
+              SUM(status = 'done') AS done, SUM(status = 'partial') AS partial
+         FROM plan_checkins
+        WHERE plan_id = ? AND user_id = ? AND checkin_date BETWEEN ? AND ?
+        GROUP BY weekday`,
+      [planId, userId, range.from, range.to]
+    ),
+    pool.query(
+      `SELECT section_id, COUNT(*) AS total,
+              SUM(status = 'done') AS done, SUM(status = 'skipped') AS skipped,
+              SUM(status = 'done' AND completed_at >= ? AND completed_at < ?) AS completed_in_range
+         FROM plan_tasks
+        WHERE plan_id = ?
+        GROUP BY section_id`,
+      [fromUtc, toUtc, planId]
+    ),
+    pool.query(
+      `SELECT DATE_FORMAT(DATE_SUB(DATE(${completedAt.sql}),
+                INTERVAL WEEKDAY(${completedAt.sql}) DAY), '%Y-%m-%d') AS week_start,
+              COUNT(*) AS completed
+         FROM plan_tasks
+        WHERE plan_id = ? AND status = 'done' AND completed_at >= ? AND completed_at < ?
+        GROUP BY week_start`,
+      [...completedAt.params, ...completedAt.params, planId, fromUtc, toUtc]
+    ),
+    // Entregas por sección y, de los días con recordatorio entregado,
+    // en cuántos hubo un check-in done o partial (en cualquier sección si el
+    // recordatorio es del plan entero). Una entrega se une a varios
+    // check-ins del mismo día, así que se cuenta por id
+    pool.query(
+      `SELECT r.section_id,
+              COUNT(DISTINCT CASE WHEN d.status = 'sent' THEN d.id END) AS delivered,
+              COUNT(DISTINCT CASE WHEN d.status IN ('failed', 'dead') THEN d.id END) AS failed,
+              COUNT(DISTINCT CASE WHEN d.status = 'sent'
+                    THEN DATE(${occurredAt.sql}) END) AS reminded_days,
+              COUNT(DISTINCT CASE WHEN d.status = 'sent' AND c.id IS NOT NULL
+                    THEN c.checkin_date END) AS followed_days
+         FROM reminder_deliveries d
+         JOIN plan_reminders r ON d.reminder_id = r.id
+         LEFT JOIN plan_checkins c
+           ON c.plan_id = r.plan_id
+          AND c.user_id = ?
+          AND (r.section_id IS NULL OR c.section_id = r.section_id)
+          AND c.status IN ('done', 'partial')
+          AND c.checkin_date = DATE(${occurredAt.sql})
+        WHERE r.plan_id = ? AND d.occurrence_at >= ? AND d.occurrence_at < ?
+        GROUP BY r.section_id`,
+      [...occurredAt.params, userId, ...occurredAt.params, planId, fromUtc, toUtc]
+    ),
+    pool.query(
+      `SELECT section_id, MAX(created_at) AS last_at
+         FROM ai_generations
+        WHERE plan_id = ? AND use_case = 'adjust'
+        GROUP BY section_id`,
+      [planId]
+    )
+  ]);
+
+  const span         = expectedWindow(plan, range, timezone);
+  const expectedDays = span ? span.end.diff(span.start, 'days').days + 1 : 0;
+  const bySection    = (rows) => new Map(rows.map(row => [row.section_id, row]));
+  const checkinsBy   = bySection(checkinRows);
+  const tasksBy      = bySection(taskRows);
+  const remindersBy  = bySection(reminderRows);
+  const adjustBy     = bySection(adjustRows);
+
+  const reminderStats = (row) => ({
+    delivered:     Number(row ? row.delivered : 0),
+    failed:        Number(row ? row.failed : 0),
+    reminded_days: Number(row ? row.reminded_days : 0),
+    followed_days: Number(row ? row.followed_days : 0),
+    follow_rate:   row ? percent(Number(row.followed_days), Number(row.reminded_days)) : null
+  });
+  const taskStats = (row) => ({
+    ...completion(row
+      ? { total: Number(row.total), done: Number(row.done), skipped: Number(row.skipped) }
+      : undefined),
+    completed_in_range: Number(row ? row.completed_in_range : 0)
+  });
+
+  const sectionStats = sections.map(section => {
+    const checkins = checkinsBy.get(section.id);
+    const lastAdjust = adjustBy.get(section.id);
+    return {
+      section_id:   section.id,
+      section_type: section.section_type,
+      adherence:    percent(checkins ? checkinScore(checkins) : 0, expectedDays),
+      checkins:     checkinCounts(checkins),
+      tasks:        taskStats(tasksBy.get(section.id)),
+      reminders:    reminderStats(remindersBy.get(section.id)),
+      last_ai_adjustment_at:      lastAdjust ? lastAdjust.last_at : null,
+      days_since_last_adjustment: lastAdjust ? daysSince(lastAdjust.last_at, now) : null
+    };
+  });
+
+  // Totales del plan
+  const sectionCount = sections.length;
+  const totalScore   = checkinRows.reduce((sum, row) => sum + checkinScore(row), 0);
+  const lastAdjustAt = adjustRows.reduce(
+    (latest, row) => (!latest || row.last_at > latest ? row.last_at : latest), null
+  );
+  const sumRows = (rows, key) => rows.reduce((sum, row) => sum + Number(row[key] || 0), 0);
+  const allReminders = {
+    delivered:     sumRows(reminderRows, 'delivered'),
+    failed:        sumRows(reminderRows, 'failed'),
+    reminded_days: sumRows(reminderRows, 'reminded_days'),
+    followed_days: sumRows(reminderRows, 'followed_days')
+  };
+
+  // Semanas (lunes a domingo) del rango con su adherencia
+  const checkinsByWeek = new Map(weeklyCheckins.map(row => [row.week_start, row]));
+  const tasksByWeek    = new Map(weeklyTasks.map(row => [row.week_start, Number(row.completed)]));
+  const weekly = [];
+  if (span) {
+    for (let week = span.start.startOf('week'); week <= span.end; week = week.plus({ weeks: 1 })) {
+      const weekStart = week.toISODate();
+      const first = week < span.start ? span.start : week;
+      const last  = week.endOf('week') > span.end ? span.end : week.endOf('week').startOf('day');
+      const days  = last.diff(first, 'days').days + 1;
+      const row   = checkinsByWeek.get(weekStart);
+      weekly.push({
+        week_start:      weekStart,
+        adherence:       percent(row ? checkinScore(row) : 0, days * sectionCount),
+        checkins:        checkinCounts(row),
+        tasks_completed: tasksByWeek.get(weekStart) || 0
+      });
+    }
+  }
+  const current  = weekly[weekly.length - 1];
+  const previous = weekly[weekly.length - 2];
+  const trend = {
+    current_week:  current ? current.adherence : null,
+    previous_week: previous ? previous.adherence : null,
+    change: current && previous && current.adherence !== null && previous.adherence !== null
+      ? current.adherence - previous.adherence
+      : null
+  };
+
+  // Adherencia por día de la semana
+  const occurrences = weekdayOccurrences(span);
+  const byWeekday   = new Map(weekdayRows.map(row => [Number(row.weekday), row]));
+  const weekdays = WEEKDAY_NAMES.map((name, i) => {
+    const row = byWeekday.get(i);
+    return {
+      weekday:   i + 1,
+      name,
+      adherence: percent(row ? checkinScore(row) : 0, occurrences[i] * sectionCount)
+    };
+  });
+  const ranked = weekdays.filter(day => day.adherence !== null)
+    .sort((a, b) => b.adherence - a.adherence);
+
+  return {
+    range: { ...range, timezone, expected_days: expectedDays },
+    summary: {
+      adherence: percent(totalScore, expectedDays * sectionCount),
+      checkins:  {
+        done:    sumRows(checkinRows, 'done'),
+        partial: sumRows(checkinRows, 'partial'),
+        skipped: sumRows(checkinRows, 'skipped')
+      },
+      tasks: {
+        ...completion({
+          total:   sumRows(taskRows, 'total'),
+          done:    sumRows(taskRows, 'done'),
+          skipped: sumRows(taskRows, 'skipped')
+        }),
+        completed_in_range: sumRows(taskRows, 'completed_in_range')
+      },
+      reminders: {
+        ...allReminders,
+        follow_rate: percent(allReminders.followed_days, allReminders.reminded_days)
+      },
+      last_ai_adjustment_at:      lastAdjustAt,
+      days_since_last_adjustment: daysSince(lastAdjustAt, now)
+    },
+    sections: sectionStats,
+    weekly,
+    trend,
+    weekdays,
+    best_day:  ranked.length ? ranked[0] : null,
+    worst_day: ranked.length ? ranked[ranked.length - 1] : null
+  };
+}
+
+module.exports = { planAnalytics };
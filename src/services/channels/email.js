@@ -0,0 +1,15 @@
+// src/services/channels/email.js
+const { sendMail } = require('../mailer');
+
+async function deliver(message) {
+  if (!message.email) {
+    throw new Error('El usuario no tiene email');
+  }
+  await sendMail({
+    to:      message.email,
+    subject: message.title,
+    text:    message.body
+  });
+}
+
+module.exports = { deliver };
@@ -0,0 +1,12 @@
+// src/services/channels/inbox.js
+const pool = require('../../config/db');
+
+async function deliver(message) {
+  await pool.query(
+    `INSERT INTO inbox_messages (user_id, reminder_id, title, body)
+     VALUES (?, ?, ?, ?)`,
+    [message.user_id, message.reminder_id, message.title, message.body]
+  );
+}
+
+module.exports = { deliver };
@@ -0,0 +1,54 @@
+// src/services/channels/index.js
+//
+// Registro de canales de entrega de recordatorios. Cada canal expone
+// `deliver(message)` y lanza un error si la entrega falla. Los canales
+// pueden sustituirse con registerChannel() para pruebas o integraciones.
+const email   = require('./email');
+const webhook = require('./webhook');
+const inbox   = require('./inbox');
+
+const channels = new Map([
+  ['email',   email],
+  ['webhook', webhook],
+  ['inbox',   inbox]
+]);
+
+const DEFAULT_CHANNELS = ['inbox'];
+
+function registerChannel(name, channel) {
+  if (!channel || typeof channel.deliver !== 'function') {
+    throw new Error(`El canal "${name}" debe implementar deliver()`);
+  }
+  channels.set(name, channel);
+}
+
+function getChannel(name) {
+  return channels.get(name);
+}
+
+function listChannels() {
+  return [...channels.keys()];
+}
+
+/**
+ * Valida una lista de canales enviada por el cliente.
+ * Devuelve un mensaje de error o null si es válida.
+ */
+function validateChannels(list) {
+  if (!Array.isArray(list) || !list.length) {
+    return 'channels debe ser un array no vacío';
+  }
+  const unknown = list.filter(name => !channels.has(name));
+  if (unknown.length) {
+    return `Canales desconocidos: ${unknown.join(', ')}. Disponibles: ${listChannels().join(', ')}`;
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_CHANNELS,
+  registerChannel,
+  getChannel,
+  listChannels,
+  validateChannels
+};
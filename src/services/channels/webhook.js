@@ -0,0 +1,40 @@
+// src/services/channels/webhook.js
+//
+// POST JSON a REMINDER_WEBHOOK_URL. Si hay REMINDER_WEBHOOK_SECRET, el cuerpo
+// se firma con HMAC-SHA256 en la cabecera X-Lifestyle-Signature.
+const crypto = require('crypto');
+const axios  = require('axios');
+require('dotenv').config();
+
+const TIMEOUT_MS = 10000;
+
+async function deliver(message) {
+  const url = process.env.REMINDER_WEBHOOK_URL;
+  if (!url) {
+    throw new Error('REMINDER_WEBHOOK_URL no está configurado');
+  }
+
+  const body = JSON.stringify({
+    event:         'reminder.due',
+    reminder_id:   message.reminder_id,
+    plan_id:       message.plan_id,
+    user_id:       message.user_id,
+    section_type:  message.section_type,
+    occurrence_at: message.occurrence_at,
+    title:         message.title,
+    body:          message.body
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.REMINDER_WEBHOOK_SECRET) {
+    const signature = crypto
+      .createHmac('sha256', process.env.REMINDER_WEBHOOK_SECRET)
+      .update(body)
+      .digest('hex');
+    headers['X-Lifestyle-Signature'] = `sha256=${signature}`;
+  }
+
+  await axios.post(url, body, { headers, timeout: TIMEOUT_MS });
+}
+
+module.exports = { deliver };
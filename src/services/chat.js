@@ -0,0 +1,182 @@
+// src/services/chat.js
+//
+// Conversaciones sobre un plan. Cada conversación es de un usuario y guarda
+// su historial en plan_chat_messages. En cada turno el modelo recibe como
+// contexto los parámetros del plan, sus secciones y el último resumen, y
+// después tantos mensajes recientes como quepan en la ventana de contexto
+// del caso de uso 'chat' (AI_CHAT_CONTEXT_TOKENS); los más antiguos se
+// omiten, pero siguen guardados.
+const pool = require('../config/db');
+const ai   = require('./ai');
+const { getUseCaseConfig } = require('../config/ai');
+const { withTransaction } = require('../utils/transaction');
+const { planSectionTypes } = require('../config/sections');
+
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_TITLE_LENGTH   = 255;
+// Margen para la respuesta cuando el caso de uso no fija max_tokens
+const DEFAULT_REPLY_TOKENS = 1024;
+
+const CHAT_COLUMNS = 'id, plan_id, user_id, title, created_at, updated_at';
+const MESSAGE_COLUMNS =
+  'id, chat_id, role, content, generation_id, applied_section_id, applied_at, created_at';
+
+// Aproximación de tokens suficiente para recortar (≈ 4 caracteres por token)
+const estimateTokens = text => Math.ceil(String(text).length / 4);
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+/**
+ * Mensaje de sistema con el plan como contexto.
+ */
+async function buildGrounding(plan) {
+  const [sections] = await pool.query(
+    'SELECT section_type, content FROM plan_sections WHERE plan_id = ?',
+    [plan.id]
+  );
+  const [[summary]] = await pool.query(
+    `SELECT title, executive_summary FROM plan_summaries
+      WHERE plan_id = ?
+      ORDER BY id DESC LIMIT 1`,
+    [plan.id]
+  );
+
+  const order = planSectionTypes(plan);
+  const rank  = type => (order.includes(type) ? order.indexOf(type) : order.length);
+  const parts = [
+    'Eres el asistente del plan de estilo de vida del usuario. Responde en español, ' +
+    'de forma breve y concreta, basándote en su plan. Si te pide un cambio, explica ' +
+    'cómo quedaría la sección; el usuario puede aplicarlo después.',
+    `Plan: ${plan.title || 'sin título'}`,
+    `Parámetros: ${JSON.stringify(parseJson(plan.parameters) || {})}`
+  ];
+  for (const section of [...sections].sort((a, b) => rank(a.section_type) - rank(b.section_type))) {
+    parts.push(`## ${section.section_type}\n${section.content || '(vacía)'}`);
+  }
+  if (summary) {
+    parts.push(`## Resumen: ${summary.title}\n${summary.executive_summary}`);
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Los mensajes más recientes del historial que caben en `budget` tokens,
+ * en orden cronológico. El último (la pregunta actual) se incluye siempre.
+ *
+ * @returns {{ messages: Array, trimmed: number }}
+ */
+function trimHistory(history, budget) {
+  const kept = [];
+  let used = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    const cost = estimateTokens(history[i].content);
+    if (kept.length && used + cost > budget) break;
+    kept.unshift(history[i]);
+    used += cost;
+  }
+  return { messages: kept, trimmed: history.length - kept.length };
+}
+
+/**
+ * @returns {{ error: string }|{ values: { content: string } }}
+ */
+function validateMessageInput(body) {
+  const { content } = body || {};
+  if (typeof content !== 'string' || !content.trim() || content.length > MAX_MESSAGE_LENGTH) {
+    return { error: `content debe ser texto de 1 a ${MAX_MESSAGE_LENGTH} caracteres` };
+  }
+  return { values: { content: content.trim() } };
+}
+
+function validateTitle(title) {
+  if (title === undefined || title === null) return { values: { title: null } };
+  if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+    return { error: `title debe ser texto de 1 a ${MAX_TITLE_LENGTH} caracteres` };
+  }
+  return { values: { title: title.trim() } };
+}
+
+async function findChat(planId, chatId, userId) {
+  const [[chat]] = await pool.query(
+    `SELECT ${CHAT_COLUMNS} FROM plan_chats WHERE id = ? AND plan_id = ? AND user_id = ?`,
+    [chatId, planId, userId]
+  );
+  return chat;
+}
+
+async function listMessages(chatId, conn = pool) {
+  const [messages] = await conn.query(
+    `SELECT ${MESSAGE_COLUMNS} FROM plan_chat_messages WHERE chat_id = ? ORDER BY id`,
+    [chatId]
+  );
+  return messages;
+}
+
+/**
+ * Envía la pregunta con el contexto del plan y el historial recortado, y
+ * guarda la pregunta y la respuesta (solo si el modelo respondió).
+ *
+ * @returns {Promise<{ message, reply, context: { messages_included, messages_trimmed } }>}
+ */
+async function sendMessage({ plan, chat, userId, content, onToken, onReasoning }) {
+  const config    = getUseCaseConfig('chat');
+  const grounding = await buildGrounding(plan);
+  const history   = (await listMessages(chat.id))
+    .map(({ role, content: text }) => ({ role, content: text }))
+    .concat({ role: 'user', content });
+
+  const budget = config.contextTokens
+    - (config.maxTokens || DEFAULT_REPLY_TOKENS)
+    - estimateTokens(grounding);
+  const { messages, trimmed } = trimHistory(history, budget);
+
+  const result = await ai.complete('chat', {
+    messages: [{ role: 'system', content: grounding }, ...messages]
+  }, {
+    onToken,
+    onReasoning,
+    context: { userId, planId: plan.id }
+  });
+
+  return withTransaction(async conn => {
+    const [question] = await conn.query(
+      "INSERT INTO plan_chat_messages (chat_id, role, content) VALUES (?, 'user', ?)",
+      [chat.id, content]
+    );
+    const [answer] = await conn.query(
+      `INSERT INTO plan_chat_messages (chat_id, role, content, generation_id)
+       VALUES (?, 'assistant', ?, ?)`,
+      [chat.id, result.content, result.generationId]
+    );
+    // La primera pregunta da título a la conversación si no lo tenía
+    await conn.query(
+      `UPDATE plan_chats
+          SET title = COALESCE(title, ?), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?`,
+      [content.slice(0, 80), chat.id]
+    );
+    const [rows] = await conn.query(
+      `SELECT ${MESSAGE_COLUMNS} FROM plan_chat_messages WHERE id IN (?, ?) ORDER BY id`,
+      [question.insertId, answer.insertId]
+    );
+    return {
+      message: rows[0],
+      reply:   rows[1],
+      context: { messages_included: messages.length, messages_trimmed: trimmed }
+    };
+  });
+}
+
+module.exports = {
+  CHAT_COLUMNS,
+  MESSAGE_COLUMNS,
+  estimateTokens,
+  trimHistory,
+  validateMessageInput,
+  validateTitle,
+  findChat,
+  listMessages,
+  sendMessage
+};
@@ -0,0 +1,219 @@
+// src/services/checkins.js
+//
+// Seguimiento diario de cada sección: un check-in por usuario, sección y
+// día (done, partial o skipped). El día es el del usuario, según la zona
+// horaria que envía, no el del servidor.
+//
+// Rachas: días consecutivos con done o partial. Un skipped o un día sin
+// check-in la rompen; la racha actual sigue viva si el último día con
+// check-in es hoy o ayer (todavía se puede registrar el de hoy).
+const { DateTime } = require('luxon');
+const pool = require('../config/db');
+const { isValidTimezone } = require('./recurrence');
+
+const CHECKIN_STATUSES = ['done', 'partial', 'skipped'];
+const STREAK_STATUSES  = ['done', 'partial'];
+
+const MIN_MOOD = 1;
+const MAX_MOOD = 5;
+const MAX_NOTE_LENGTH    = 1000;
+const MAX_HEATMAP_DAYS   = 366;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const CHECKIN_COLUMNS =
+  "id, plan_id, section_id, user_id, DATE_FORMAT(checkin_date, '%Y-%m-%d') AS date, " +
+  'status, note, mood, timezone, created_at, updated_at';
+
+function resolveTimezone(timezone) {
+  if (timezone === undefined || timezone === null || timezone === '') return 'UTC';
+  return isValidTimezone(timezone) ? timezone : null;
+}
+
+function today(timezone) {
+  return DateTime.now().setZone(timezone).toISODate();
+}
+
+function parseDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return null;
+  const date = DateTime.fromISO(value, { zone: 'UTC' });
+  return date.isValid ? date : null;
+}
+
+/**
+ * Valida el cuerpo de un check-in.
+ *
+ * @returns {{ error: string }|{ values: { status, note, mood, timezone, date } }}
+ */
+function validateCheckinInput(body) {
+  const { status, note = null, mood = null, date } = body || {};
+  if (!CHECKIN_STATUSES.includes(status)) {
+    return { error: `status debe ser uno de: ${CHECKIN_STATUSES.join(', ')}` };
+  }
+  if (note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    return { error: `note debe ser texto de hasta ${MAX_NOTE_LENGTH} caracteres` };
+  }
+  if (mood !== null && (!Number.isInteger(mood) || mood < MIN_MOOD || mood > MAX_MOOD)) {
+    return { error: `mood debe ser un entero entre ${MIN_MOOD} y ${MAX_MOOD}` };
+  }
+  const timezone = resolveTimezone(body.timezone);
+  if (!timezone) {
+    return { error: `Zona horaria desconocida: ${body.timezone}` };
+  }
+  const localToday = today(timezone);
+  if (date !== undefined && !parseDate(date)) {
+    return { error: 'date debe tener el formato YYYY-MM-DD' };
+  }
+  if (date !== undefined && date > localToday) {
+    return { error: 'No se puede registrar un check-in de un día futuro' };
+  }
+  return {
+    values: { status, note: note && note.trim() ? note.trim() : null, mood, timezone, date: date || localToday }
+  };
+}
+
+/**
+ * Rachas a partir de check-ins ordenados por fecha ascendente
+ * ({ date: 'YYYY-MM-DD', status }).
+ *
+ * @returns {{ current: number, longest: number, last_date: string|null }}
+ */
+function computeStreaks(checkins, localToday) {
+  let longest = 0;
+  let run     = 0;
+  let prev    = null;
+
+  for (const checkin of checkins) {
+    const date = DateTime.fromISO(checkin.date, { zone: 'UTC' });
+    if (!STREAK_STATUSES.includes(checkin.status)) {
+      run  = 0;
+      prev = null;
+      continue;
+    }
+    run  = prev && date.diff(prev, 'days').days === 1 ? run + 1 : 1;
+    prev = date;
+    longest = Math.max(longest, run);
+  }
+
+  // La racha actual es la última, si llega hasta hoy o ayer
+  const last = checkins.length ? checkins[checkins.length - 1] : null;
+  let current = 0;
+  if (prev && last && STREAK_STATUSES.includes(last.status)) {
+    const gap = DateTime.fromISO(localToday, { zone: 'UTC' }).diff(prev, 'days').days;
+    if (gap <= 1) current = run;
+  }
+  return { current, longest, last_date: last ? last.date : null };
+}
+
+/**
+ * Rachas del usuario en cada sección del plan.
+ *
+ * @returns {Promise<Array<{ section_id, section_type, current, longest, last_date }>>}
+ */
+async function sectionStreaks(planId, userId, timezone, sectionId = null) {
+  const args = [planId];
+  let filter = '';
+  if (sectionId !== null) {
+    filter = ' AND s.id = ?';
+    args.push(sectionId);
+  }
+  const [sections] = await pool.query(
+    `SELECT s.id, s.section_type FROM plan_sections s WHERE s.plan_id = ?${filter} ORDER BY s.id`,
+    args
+  );
+  const [rows] = await pool.query(
+    `SELECT section_id, DATE_FORMAT(checkin_date, '%Y-%m-%d') AS date, status
+       FROM plan_checkins
+      WHERE plan_id = ? AND user_id = ?
+      ORDER BY section_id, checkin_date`,
+    [planId, userId]
+  );
+
+  const bySection = new Map();
+  for (const row of rows) {
+    if (!bySection.has(row.section_id)) bySection.set(row.section_id, []);
+    bySection.get(row.section_id).push(row);
+  }
+  const localToday = today(timezone);
+  return sections.map(section => ({
+    section_id:   section.id,
+    section_type: section.section_type,
+    ...computeStreaks(bySection.get(section.id) || [], localToday)
+  }));
+}
+
+/**
+ * Rango de fechas para el mapa de calor: `to` por defecto es hoy y `from`
+ * un año antes. Como mucho MAX_HEATMAP_DAYS días.
+ *
+ * @returns {{ error: string }|{ from: string, to: string }}
+ */
+function resolveRange(query, timezone) {
+  const to   = query.to   !== undefined ? parseDate(query.to)   : DateTime.fromISO(today(timezone), { zone: 'UTC' });
+  const from = query.from !== undefined ? parseDate(query.from) : to && to.minus({ days: MAX_HEATMAP_DAYS - 1 });
+  if (!to || !from) {
+    return { error: 'from y to deben tener el formato YYYY-MM-DD' };
+  }
+  if (from > to) {
+    return { error: 'from no puede ser posterior a to' };
+  }
+  if (to.diff(from, 'days').days >= MAX_HEATMAP_DAYS) {
+    return { error: `El rango no puede superar ${MAX_HEATMAP_DAYS} días` };
+  }
+  return { from: from.toISODate(), to: to.toISODate() };
+}
+
+/**
+ * Un elemento por día del rango con el recuento de check-ins del usuario en
+ * el plan y un nivel de 0 a 4 para colorear el mapa de calor: la parte de
+ * las secciones del plan cumplidas ese día (partial cuenta la mitad).
+ */
+async function heatmap(planId, userId, { from, to }) {
+  const [[{ sections }]] = await pool.query(
+    'SELECT COUNT(*) AS sections FROM plan_sections WHERE plan_id = ?',
+    [planId]
+  );
+  const [rows] = await pool.query(
+    `SELECT DATE_FORMAT(checkin_date, '%Y-%m-%d') AS date,
+            SUM(status = 'done')    AS done,
+            SUM(status = 'partial') AS partial,
+            SUM(status = 'skipped') AS skipped,
+            AVG(mood)               AS mood
+       FROM plan_checkins
+      WHERE plan_id = ? AND user_id = ? AND checkin_date BETWEEN ? AND ?
+      GROUP BY checkin_date`,
+    [planId, userId, from, to]
+  );
+  const byDate = new Map(rows.map(row => [row.date, row]));
+
+  const days = [];
+  const last = DateTime.fromISO(to, { zone: 'UTC' });
+  for (let day = DateTime.fromISO(from, { zone: 'UTC' }); day <= last; day = day.plus({ days: 1 })) {
+    const date = day.toISODate();
+    const row  = byDate.get(date);
+    const done    = row ? Number(row.done) : 0;
+    const partial = row ? Number(row.partial) : 0;
+    const skipped = row ? Number(row.skipped) : 0;
+    const score   = done + partial / 2;
+    days.push({
+      date,
+      done,
+      partial,
+      skipped,
+      mood:  row && row.mood !== null ? Math.round(Number(row.mood) * 10) / 10 : null,
+      level: score > 0 && sections > 0 ? Math.min(4, Math.ceil((score / sections) * 4)) : 0
+    });
+  }
+  return { from, to, sections: Number(sections), days };
+}
+
+module.exports = {
+  CHECKIN_STATUSES,
+  CHECKIN_COLUMNS,
+  resolveTimezone,
+  validateCheckinInput,
+  computeStreaks,
+  sectionStreaks,
+  resolveRange,
+  heatmap
+};
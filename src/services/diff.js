@@ -0,0 +1,82 @@
+// src/services/diff.js
+//
+// Diff a nivel de palabra entre dos textos (LCS). Los espacios se conservan
+// como tokens para poder reconstruir ambos textos a partir del resultado.
+
+// Por encima de este tamaño (palabras × palabras) se devuelve un reemplazo completo
+const MAX_CELLS = 4e6;
+
+const tokenize = text => String(text || '').match(/\s+|[^\s]+/g) || [];
+
+function pushOp(ops, type, text) {
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) last.text += text;
+  else ops.push({ type, text });
+}
+
+/**
+ * Devuelve una lista de operaciones { type: 'equal'|'insert'|'delete', text }.
+ */
+function diffWords(before, after) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Prefijo y sufijo comunes fuera del cálculo
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = [];
+  if (start > 0) pushOp(ops, 'equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_CELLS) {
+    if (n) pushOp(ops, 'delete', midA.join(''));
+    if (m) pushOp(ops, 'insert', midB.join(''));
+  } else {
+    // lcs[i][j] = longitud de la LCS de midA[i..] y midB[j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        pushOp(ops, 'equal', midA[i]); i++; j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        pushOp(ops, 'delete', midA[i]); i++;
+      } else {
+        pushOp(ops, 'insert', midB[j]); j++;
+      }
+    }
+    while (i < n) pushOp(ops, 'delete', midA[i++]);
+    while (j < m) pushOp(ops, 'insert', midB[j++]);
+  }
+
+  if (endA < a.length) pushOp(ops, 'equal', a.slice(endA).join(''));
+  return ops;
+}
+
+// Resumen de palabras añadidas y eliminadas
+function diffStats(ops) {
+  const words = text => (text.match(/[^\s]+/g) || []).length;
+  return ops.reduce((stats, op) => {
+    if (op.type === 'insert') stats.added   += words(op.text);
+    if (op.type === 'delete') stats.removed += words(op.text);
+    return stats;
+  }, { added: 0, removed: 0 });
+}
+
+module.exports = { diffWords, diffStats };
@@ -0,0 +1,96 @@
+// src/services/export/docx.js
+//
+// Documento Word (.docx) con los estilos de título nativos, de modo que el
+// panel de navegación y los índices de Word funcionan sin retoques.
+const {
+  AlignmentType,
+  Document,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  Paragraph,
+  TextRun
+} = require('docx');
+
+const HEADINGS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+
+const NUMBERING = {
+  config: [{
+    reference: 'ordered',
+    levels: [{ level: 0, format: LevelFormat.DECIMAL, text: '%1.', alignment: AlignmentType.START }]
+  }]
+};
+
+function inline(runs) {
+  return runs.map(run => new TextRun({
+    text:    run.text,
+    bold:    run.bold,
+    italics: run.italic,
+    font:    run.code ? 'Courier New' : undefined
+  }));
+}
+
+// Cada lista numerada usa su propia instancia para reiniciar en 1
+function renderBlocks(blocks, counter) {
+  const paragraphs = [];
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      paragraphs.push(new Paragraph({
+        heading:  HEADINGS[Math.min(block.level + 1, 5)],
+        children: inline(block.runs)
+      }));
+    } else if (block.type === 'list') {
+      const instance = block.ordered ? ++counter.lists : undefined;
+      for (const item of block.items) {
+        paragraphs.push(new Paragraph({
+          children: inline(item),
+          ...(block.ordered
+            ? { numbering: { reference: 'ordered', level: 0, instance } }
+            : { bullet: { level: 0 } })
+        }));
+      }
+    } else {
+      paragraphs.push(new Paragraph({ children: inline(block.runs) }));
+    }
+  }
+  return paragraphs;
+}
+
+function render(model) {
+  const counter  = { lists: 0 };
+  const children = [
+    new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(model.plan.title)] }),
+    ...model.metadata.map(item => new Paragraph({
+      children: [new TextRun({ text: `${item.label}: `, bold: true }), new TextRun(item.value)]
+    }))
+  ];
+  if (model.summary) {
+    children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, text: 'Resumen ejecutivo' }));
+    children.push(...renderBlocks(model.summary.blocks, counter));
+  }
+  for (const section of model.sections) {
+    children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, text: section.section_type }));
+    children.push(...renderBlocks(section.blocks, counter));
+  }
+
+  const doc = new Document({
+    title:     model.plan.title,
+    creator:   'Lifestyle Planner',
+    numbering: NUMBERING,
+    sections:  [{ children }]
+  });
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  extension:   'docx',
+  contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  render
+};
@@ -0,0 +1,83 @@
+// src/services/export/html.js
+//
+// Página HTML autónoma (estilos en línea, sin recursos externos) lista para
+// abrir en el navegador, pegar en un correo o archivar.
+
+const STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif;
+         max-width: 760px; margin: 40px auto; padding: 0 20px; color: #222; line-height: 1.55; }
+  h1 { font-size: 2em; margin-bottom: 0.2em; }
+  h2 { border-bottom: 1px solid #ddd; padding-bottom: 0.2em; margin-top: 2em; }
+  dl.meta { display: grid; grid-template-columns: max-content 1fr; gap: 2px 12px; color: #555; }
+  dl.meta dt { font-weight: 600; }
+  dl.meta dd { margin: 0; }
+  code { background: #f3f3f3; padding: 0 3px; border-radius: 3px; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function inline(runs) {
+  return runs.map(run => {
+    const text = escapeHtml(run.text);
+    if (run.bold)   return `<strong>${text}</strong>`;
+    if (run.italic) return `<em>${text}</em>`;
+    if (run.code)   return `<code>${text}</code>`;
+    return text;
+  }).join('');
+}
+
+function renderBlocks(blocks) {
+  return blocks.map(block => {
+    if (block.type === 'heading') {
+      const level = Math.min(block.level + 2, 6);
+      return `<h${level}>${inline(block.runs)}</h${level}>`;
+    }
+    if (block.type === 'list') {
+      const tag = block.ordered ? 'ol' : 'ul';
+      return `<${tag}>${block.items.map(item => `<li>${inline(item)}</li>`).join('')}</${tag}>`;
+    }
+    return `<p>${inline(block.runs)}</p>`;
+  }).join('\n');
+}
+
+function render(model) {
+  const body = [`<h1>${escapeHtml(model.plan.title)}</h1>`];
+  body.push(
+    '<dl class="meta">' +
+    model.metadata.map(item => `<dt>${escapeHtml(item.label)}</dt><dd>${escapeHtml(item.value)}</dd>`).join('') +
+    '</dl>'
+  );
+  if (model.summary) {
+    body.push('<section><h2>Resumen ejecutivo</h2>', renderBlocks(model.summary.blocks), '</section>');
+  }
+  for (const section of model.sections) {
+    body.push(`<section><h2>${escapeHtml(section.section_type)}</h2>`, renderBlocks(section.blocks), '</section>');
+  }
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(model.plan.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  extension:   'html',
+  contentType: 'text/html; charset=utf-8',
+  render
+};
@@ -0,0 +1,79 @@
+// src/services/export/index.js
+//
+// Exportación de planes. Todos los formatos se generan a partir del mismo
+// modelo (ver model.js), así que el orden de las secciones, el resumen y los
+// metadatos coinciden en todos ellos. Cada formato expone `extension`,
+// `contentType` y `render(model)`, que devuelve un string o un Buffer (o una
+// promesa de cualquiera de los dos).
+const { buildExportModel } = require('./model');
+
+const formats = new Map([
+  ['pdf',  require('./pdf')],
+  ['md',   require('./markdown')],
+  ['html', require('./html')],
+  ['txt',  require('./text')],
+  ['docx', require('./docx')],
+  ['json', require('./json')]
+]);
+
+function listFormats() {
+  return [...formats.keys()];
+}
+
+// Tipo MIME sin parámetros, tal y como aparece en Accept
+function mimeType(format) {
+  return format.contentType.split(';')[0];
+}
+
+/**
+ * Elige el formato: ?format= manda; si no, se negocia con Accept (sin Accept,
+ * o con *\/*, sale PDF como hasta ahora).
+ *
+ * @returns {{ format: string }|{ error: string, status: number }}
+ */
+function negotiateFormat(req) {
+  const requested = req.query.format;
+  if (requested !== undefined) {
+    if (!formats.has(requested)) {
+      return {
+        status: 400,
+        error:  `Formato desconocido: ${requested}. Disponibles: ${listFormats().join(', ')}`
+      };
+    }
+    return { format: requested };
+  }
+
+  const byMime = new Map(listFormats().map(name => [mimeType(formats.get(name)), name]));
+  const accepted = req.accepts([...byMime.keys()]);
+  if (!accepted) {
+    return {
+      status: 406,
+      error:  `Ningún formato aceptable. Disponibles: ${[...byMime.keys()].join(', ')}`
+    };
+  }
+  return { format: byMime.get(accepted) };
+}
+
+/**
+ * Genera la exportación de un plan.
+ *
+ * @param {object} plan    fila del plan (req.plan)
+ * @param {string} format  uno de listFormats()
+ * @returns {Promise<{ body: Buffer, contentType: string, filename: string }>}
+ */
+async function exportPlan(plan, format) {
+  const exporter = formats.get(format);
+  const model    = await buildExportModel(plan);
+  const output   = await exporter.render(model);
+  return {
+    body:        Buffer.isBuffer(output) ? output : Buffer.from(output, 'utf8'),
+    contentType: exporter.contentType,
+    filename:    `plan-${plan.id}.${exporter.extension}`
+  };
+}
+
+module.exports = {
+  listFormats,
+  negotiateFormat,
+  exportPlan
+};
@@ -0,0 +1,24 @@
+// src/services/export/json.js
+//
+// Documento JSON canónico, el mismo que acepta POST /plans/import: el modelo
+// sin los bloques de presentación (el contenido va en su Markdown original),
+// con el historial de resúmenes y los recordatorios.
+
+function render(model) {
+  const document = {
+    version:     model.version,
+    plan:        model.plan,
+    metadata:    model.metadata,
+    sections:    model.sections.map(({ blocks, ...section }) => section),
+    summaries:   model.summaries,
+    reminders:   model.reminders,
+    exported_at: model.exported_at
+  };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+module.exports = {
+  extension:   'json',
+  contentType: 'application/json; charset=utf-8',
+  render
+};
@@ -0,0 +1,47 @@
+// src/services/export/markdown.js
+//
+// Markdown normalizado: el título del plan es el único H1 y los títulos
+// internos de cada sección bajan dos niveles para no competir con él.
+
+function inline(runs) {
+  return runs.map(run => {
+    if (run.bold)   return `**${run.text}**`;
+    if (run.italic) return `*${run.text}*`;
+    if (run.code)   return `\`${run.text}\``;
+    return run.text;
+  }).join('');
+}
+
+function renderBlocks(blocks) {
+  return blocks.map(block => {
+    if (block.type === 'heading') {
+      return `${'#'.repeat(Math.min(block.level + 2, 6))} ${inline(block.runs)}`;
+    }
+    if (block.type === 'list') {
+      return block.items
+        .map((item, i) => `${block.ordered ? `${i + 1}.` : '-'} ${inline(item)}`)
+        .join('\n');
+    }
+    return inline(block.runs);
+  }).join('\n\n');
+}
+
+function render(model) {
+  const parts = [`# ${model.plan.title}`];
+  parts.push(model.metadata.map(item => `- **${item.label}:** ${item.value}`).join('\n'));
+  if (model.summary) {
+    parts.push('## Resumen ejecutivo');
+    parts.push(renderBlocks(model.summary.blocks));
+  }
+  for (const section of model.sections) {
+    parts.push(`## ${section.section_type}`);
+    if (section.blocks.length) parts.push(renderBlocks(section.blocks));
+  }
+  return `${parts.join('\n\n')}\n`;
+}
+
+module.exports = {
+  extension:   'md',
+  contentType: 'text/markdown; charset=utf-8',
+  render
+};
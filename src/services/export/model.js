@@ -0,0 +1,191 @@
+// src/services/export/model.js
+//
+// Modelo de documento común a todos los formatos de exportación. Se construye
+// una sola vez por petición y cada renderizador lo recorre en el mismo orden:
+// título, metadatos, resumen ejecutivo y secciones. El contenido de cada
+// sección se descompone en bloques (títulos, listas y párrafos con negrita y
+// cursiva) a partir del Markdown que devuelve la IA.
+const pool = require('../../config/db');
+const { planSectionTypes } = require('../../config/sections');
+const { DEFAULT_CHANNELS } = require('../channels');
+
+const MODEL_VERSION = 1;
+
+const STATUS_LABELS = {
+  draft:     'Borrador',
+  generated: 'Generado',
+  in_review: 'En revisión',
+  finalized: 'Finalizado',
+  archived:  'Archivado'
+};
+
+// Trocea una línea en fragmentos con formato: **negrita**, *cursiva* o _cursiva_
+function parseInline(text) {
+  const runs = [];
+  const pattern = /\*\*(.+?)\*\*|\*(.+?)\*|(?<!\w)_(.+?)_(?!\w)|`(.+?)`/g;
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) {
+      runs.push({ text: text.slice(last, match.index) });
+    }
+    if (match[1] !== undefined) runs.push({ text: match[1], bold: true });
+    else if (match[4] !== undefined) runs.push({ text: match[4], code: true });
+    else runs.push({ text: match[2] ?? match[3], italic: true });
+    last = pattern.lastIndex;
+  }
+  if (last < text.length) {
+    runs.push({ text: text.slice(last) });
+  }
+  return runs;
+}
+
+/**
+ * Descompone texto Markdown en bloques:
+ *   { type: 'heading', level, runs }
+ *   { type: 'list', ordered, items: [runs] }
+ *   { type: 'paragraph', runs }
+ * Lo que no se reconoce queda como texto plano del párrafo.
+ */
+function parseBlocks(content) {
+  const blocks = [];
+  let paragraph = null;
+  let list      = null;
+
+  const flush = () => {
+    if (paragraph) blocks.push({ type: 'paragraph', runs: parseInline(paragraph.join(' ')) });
+    if (list) blocks.push(list);
+    paragraph = null;
+    list      = null;
+  };
+
+  for (const raw of String(content || '').split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line) {
+      flush();
+      continue;
+    }
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, runs: parseInline(heading[2]) });
+      continue;
+    }
+    const bullet  = line.match(/^[-*+•]\s+(.*)$/);
+    const ordered = line.match(/^\d+[.)]\s+(.*)$/);
+    if (bullet || ordered) {
+      const isOrdered = Boolean(ordered);
+      if (paragraph || (list && list.ordered !== isOrdered)) flush();
+      if (!list) list = { type: 'list', ordered: isOrdered, items: [] };
+      list.items.push(parseInline((bullet || ordered)[1]));
+      continue;
+    }
+    if (list) flush();
+    paragraph = paragraph || [];
+    paragraph.push(line);
+  }
+  flush();
+  return blocks;
+}
+
+function runsToText(runs) {
+  return runs.map(run => run.text).join('');
+}
+
+// Primero las secciones del plan en su orden configurado; después el resto
+function orderSections(plan, sections) {
+  const order = planSectionTypes(plan);
+  const rank  = type => {
+    const i = order.indexOf(type);
+    return i === -1 ? order.length : i;
+  };
+  return [...sections].sort((a, b) => rank(a.section_type) - rank(b.section_type) || a.id - b.id);
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : '';
+}
+
+/**
+ * Carga el plan completo y lo convierte en el modelo de exportación.
+ *
+ * @param {object} plan  fila del plan (req.plan)
+ * @returns {Promise<object>}
+ */
+async function buildExportModel(plan) {
+  const [sections] = await pool.query(
+    `SELECT id, section_type, content, status, updated_at
+       FROM plan_sections
+      WHERE plan_id = ?`,
+    [plan.id]
+  );
+  const [summaries] = await pool.query(
+    `SELECT title, executive_summary, created_at
+       FROM plan_summaries
+      WHERE plan_id = ?
+      ORDER BY id`,
+    [plan.id]
+  );
+  // Los recordatorios apuntan a su sección por tipo: los ids no se conservan
+  // al importar el plan en otra cuenta
+  const [reminders] = await pool.query(
+    `SELECT r.rule, r.timezone, r.starts_at, r.channels, r.is_active, s.section_type
+       FROM plan_reminders r
+       LEFT JOIN plan_sections s ON r.section_id = s.id
+      WHERE r.plan_id = ?
+      ORDER BY r.id`,
+    [plan.id]
+  );
+  const summary    = summaries[summaries.length - 1];
+  const exportedAt = new Date();
+
+  return {
+    version: MODEL_VERSION,
+    plan: {
+      id:             plan.id,
+      title:          plan.title || `Plan ${plan.id}`,
+      status:         plan.status,
+      parameters:     plan.parameters || {},
+      template_id:    plan.template_id ?? null,
+      section_config: plan.section_config ?? null,
+      created_at:     plan.created_at,
+      updated_at:     plan.updated_at
+    },
+    metadata: [
+      { label: 'Estado',      value: STATUS_LABELS[plan.status] || plan.status },
+      { label: 'Creado',      value: formatDate(plan.created_at) },
+      { label: 'Actualizado', value: formatDate(plan.updated_at) },
+      { label: 'Exportado',   value: formatDate(exportedAt) }
+    ],
+    summary: summary
+      ? {
+          title:             summary.title,
+          executive_summary: summary.executive_summary,
+          blocks:            parseBlocks(summary.executive_summary)
+        }
+      : null,
+    sections: orderSections(plan, sections).map(section => ({
+      section_type: section.section_type,
+      status:       section.status,
+      content:      section.content || '',
+      updated_at:   section.updated_at,
+      blocks:       parseBlocks(section.content)
+    })),
+    summaries,
+    // channels NULL equivale a los canales por defecto
+    reminders: reminders.map(reminder => ({
+      ...reminder,
+      channels:  reminder.channels || DEFAULT_CHANNELS,
+      is_active: Boolean(reminder.is_active)
+    })),
+    exported_at: exportedAt.toISOString()
+  };
+}
+
+module.exports = {
+  MODEL_VERSION,
+  parseInline,
+  parseBlocks,
+  runsToText,
+  buildExportModel
+};
@@ -0,0 +1,274 @@
+// src/services/export/pdf.js
+//
+// PDF maquetado con pdfkit: portada con la marca, índice con enlaces,
+// marcadores (outline) por sección y por título interno, Markdown renderizado
+// (títulos, listas, negrita y cursiva), fuentes Unicode embebidas y cabecera y
+// pie con numeración en todas las páginas salvo la portada.
+//
+// Las páginas se mantienen en memoria (bufferPages) porque el índice y los
+// números de página solo se conocen al terminar de maquetar el contenido.
+const PDFDocument = require('pdfkit');
+const { getPdfConfig } = require('../../config/pdf');
+const { runsToText } = require('./model');
+
+const MARGINS = { top: 78, bottom: 70, left: 62, right: 62 };
+
+const BODY_SIZE     = 11;
+const HEADING_SIZES = [15, 13, 12, 11.5, 11, 11];
+const MUTED_COLOR   = '#777777';
+
+const TOC_LINE_HEIGHT     = 24;
+const TOC_ENTRIES_PER_PAGE = 24;
+
+function registerFonts(doc, fonts) {
+  for (const [name, file] of Object.entries(fonts)) {
+    doc.registerFont(name, file);
+  }
+}
+
+function fontFor(run) {
+  if (run.code) return 'mono';
+  if (run.bold && run.italic) return 'boldItalic';
+  if (run.bold) return 'bold';
+  if (run.italic) return 'italic';
+  return 'regular';
+}
+
+function currentPage(doc) {
+  const range = doc.bufferedPageRange();
+  return range.start + range.count - 1;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+// Salta de página si no caben `height` puntos más en la actual
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+  }
+}
+
+// Escribe fragmentos con formato en una misma línea lógica; `x`, `y` y
+// `width` solo se aplican al primero, el resto continúa detrás
+function writeRuns(doc, runs, { x, y, width, align = 'left' } = {}) {
+  runs.forEach((run, i) => {
+    const options = { width, align, lineGap: 2, continued: i < runs.length - 1 };
+    doc.font(fontFor(run));
+    if (i === 0 && x !== undefined) {
+      doc.text(run.text, x, y ?? doc.y, options);
+    } else {
+      doc.text(run.text, options);
+    }
+  });
+}
+
+function renderBlocks(doc, config, blocks, outline) {
+  const left  = doc.page.margins.left;
+  const width = contentWidth(doc);
+
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      const size = HEADING_SIZES[block.level - 1];
+      ensureSpace(doc, size * 4);
+      doc.moveDown(0.4);
+      if (outline && block.level <= 2) {
+        outline.addItem(runsToText(block.runs));
+      }
+      doc.fontSize(size).fillColor(config.colors.primary);
+      writeRuns(doc, block.runs.map(run => ({ ...run, bold: true })), { x: left, width });
+      doc.moveDown(0.3);
+    } else if (block.type === 'list') {
+      block.items.forEach((item, i) => {
+        ensureSpace(doc, BODY_SIZE * 2);
+        const y = doc.y;
+        doc.font('regular').fontSize(BODY_SIZE).fillColor(config.colors.accent)
+          .text(block.ordered ? `${i + 1}.` : '•', left + 6, y, { width: 20, lineBreak: false });
+        doc.fillColor(config.colors.text);
+        writeRuns(doc, item, { x: left + 26, y, width: width - 26 });
+        doc.moveDown(0.25);
+      });
+      doc.moveDown(0.4);
+    } else {
+      ensureSpace(doc, BODY_SIZE * 2);
+      doc.fontSize(BODY_SIZE).fillColor(config.colors.text);
+      writeRuns(doc, block.runs, { x: left, width, align: 'justify' });
+      doc.moveDown(0.6);
+    }
+  }
+  doc.x = left;
+}
+
+function drawCover(doc, config, model) {
+  doc.addPage({ margins: { top: 0, bottom: 0, left: 0, right: 0 } });
+  const left  = MARGINS.left;
+  const width = doc.page.width - MARGINS.left - MARGINS.right;
+  const band  = 300;
+
+  doc.rect(0, 0, doc.page.width, band).fill(config.colors.primary);
+  if (config.logo) {
+    doc.image(config.logo, left, 48, { fit: [150, 60] });
+  }
+  doc.font('bold').fontSize(11).fillColor('#FFFFFF')
+    .text(config.brandName.toUpperCase(), left, config.logo ? 120 : 60, { width, characterSpacing: 1.5 });
+
+  doc.font('bold').fontSize(30)
+    .text(model.plan.title, left, 160, { width, lineGap: 4 });
+  if (model.summary && model.summary.title) {
+    doc.moveDown(0.3).font('italic').fontSize(14).text(model.summary.title, { width });
+  }
+
+  doc.rect(left, band + 40, 60, 3).fill(config.colors.accent);
+  let y = band + 64;
+  for (const item of model.metadata) {
+    doc.font('bold').fontSize(11).fillColor(config.colors.text)
+      .text(item.label, left, y, { width: 120, lineBreak: false });
+    doc.font('regular').text(item.value, left + 120, y, { width: width - 120, lineBreak: false });
+    y += 22;
+  }
+}
+
+function drawChapterTitle(doc, config, title) {
+  doc.addPage();
+  doc.font('bold').fontSize(22).fillColor(config.colors.primary)
+    .text(title, doc.page.margins.left, doc.page.margins.top, { width: contentWidth(doc) });
+  const y = doc.y + 6;
+  doc.moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.margins.left + contentWidth(doc), y)
+    .lineWidth(1.5).strokeColor(config.colors.accent).stroke();
+  doc.y = y + 16;
+}
+
+// Capítulo = página nueva + destino con nombre (para el índice) + marcador
+function renderChapter(doc, config, chapters, title, blocks) {
+  drawChapterTitle(doc, config, title);
+  const destination = `chapter-${chapters.length + 1}`;
+  doc.addNamedDestination(destination);
+  const outline = doc.outline.addItem(title);
+  chapters.push({ title, destination, page: currentPage(doc) });
+
+  if (blocks.length) {
+    renderBlocks(doc, config, blocks, outline);
+  } else {
+    doc.font('italic').fontSize(BODY_SIZE).fillColor(MUTED_COLOR).text('Sección sin contenido');
+  }
+}
+
+function drawToc(doc, config, chapters, firstPage) {
+  const left  = MARGINS.left;
+  const width = doc.page.width - MARGINS.left - MARGINS.right;
+
+  doc.switchToPage(firstPage);
+  doc.font('bold').fontSize(22).fillColor(config.colors.primary)
+    .text('Índice', left, MARGINS.top, { width });
+
+  chapters.forEach((chapter, i) => {
+    const pageOffset = Math.floor(i / TOC_ENTRIES_PER_PAGE);
+    const row        = i % TOC_ENTRIES_PER_PAGE;
+    doc.switchToPage(firstPage + pageOffset);
+
+    const top    = MARGINS.top + (pageOffset === 0 ? 48 : 0);
+    const y      = top + row * TOC_LINE_HEIGHT;
+    const number = String(chapter.page + 1);
+
+    doc.font('regular').fontSize(12).fillColor(config.colors.text);
+    const titleWidth  = Math.min(doc.widthOfString(chapter.title), width - 60);
+    const numberWidth = doc.widthOfString(number);
+    doc.text(chapter.title, left, y, {
+      width: width - 60, lineBreak: false, ellipsis: true, goTo: chapter.destination
+    });
+    doc.text(number, left, y, { width, align: 'right', lineBreak: false, goTo: chapter.destination });
+
+    // Línea de puntos entre el título y el número de página
+    const leaderY = y + 10;
+    doc.save()
+      .moveTo(left + titleWidth + 6, leaderY)
+      .lineTo(left + width - numberWidth - 6, leaderY)
+      .dash(1, { space: 3 }).lineWidth(0.7).strokeColor(config.colors.accent).stroke()
+      .restore();
+  });
+}
+
+function drawPageChrome(doc, config, model) {
+  const { start, count } = doc.bufferedPageRange();
+  const left  = MARGINS.left;
+  const width = doc.page.width - MARGINS.left - MARGINS.right;
+
+  for (let i = start + 1; i < start + count; i++) {
+    doc.switchToPage(i);
+    // Sin margen inferior para que escribir en el pie no abra otra página
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+
+    doc.font('regular').fontSize(8.5).fillColor(MUTED_COLOR)
+      .text(config.brandName, left, 36, { width: width / 2, lineBreak: false });
+    doc.text(model.plan.title, left + width / 2, 36, {
+      width: width / 2, align: 'right', lineBreak: false, ellipsis: true
+    });
+    doc.moveTo(left, 52).lineTo(left + width, 52)
+      .lineWidth(0.5).strokeColor(config.colors.accent).stroke();
+
+    doc.font('regular').fontSize(8.5).fillColor(MUTED_COLOR)
+      .text(`Página ${i + 1} de ${count}`, left, doc.page.height - 42, {
+        width, align: 'center', lineBreak: false
+      });
+
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+function render(model) {
+  const config = getPdfConfig();
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size:         'A4',
+      margins:      MARGINS,
+      autoFirstPage: false,
+      bufferPages:  true,
+      displayTitle: true,
+      lang:         'es-ES',
+      info: {
+        Title:   model.plan.title,
+        Author:  config.brandName,
+        Creator: config.brandName
+      }
+    });
+    const buffers = [];
+    doc.on('data', (b) => buffers.push(b));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+
+    try {
+      registerFonts(doc, config.fonts);
+      drawCover(doc, config, model);
+
+      // Se reservan las páginas del índice y se rellenan al final
+      const chapterCount = model.sections.length + (model.summary ? 1 : 0);
+      const tocPages     = Math.max(1, Math.ceil(chapterCount / TOC_ENTRIES_PER_PAGE));
+      const tocStart     = currentPage(doc) + 1;
+      for (let i = 0; i < tocPages; i++) doc.addPage();
+
+      const chapters = [];
+      if (model.summary) {
+        renderChapter(doc, config, chapters, 'Resumen ejecutivo', model.summary.blocks);
+      }
+      for (const section of model.sections) {
+        renderChapter(doc, config, chapters, section.section_type, section.blocks);
+      }
+
+      drawToc(doc, config, chapters, tocStart);
+      drawPageChrome(doc, config, model);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = {
+  extension:   'pdf',
+  contentType: 'application/pdf',
+  render
+};
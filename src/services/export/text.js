@@ -0,0 +1,45 @@
+// src/services/export/text.js
+//
+// Texto plano: títulos subrayados y listas con guiones o números.
+
+function inline(runs) {
+  return runs.map(run => run.text).join('');
+}
+
+function underline(text, char) {
+  return `${text}\n${char.repeat(Math.max(text.length, 3))}`;
+}
+
+function renderBlocks(blocks) {
+  return blocks.map(block => {
+    if (block.type === 'heading') {
+      return inline(block.runs).toUpperCase();
+    }
+    if (block.type === 'list') {
+      return block.items
+        .map((item, i) => `  ${block.ordered ? `${i + 1}.` : '-'} ${inline(item)}`)
+        .join('\n');
+    }
+    return inline(block.runs);
+  }).join('\n\n');
+}
+
+function render(model) {
+  const parts = [underline(model.plan.title, '=')];
+  parts.push(model.metadata.map(item => `${item.label}: ${item.value}`).join('\n'));
+  if (model.summary) {
+    parts.push(underline('Resumen ejecutivo', '-'));
+    parts.push(renderBlocks(model.summary.blocks));
+  }
+  for (const section of model.sections) {
+    parts.push(underline(section.section_type, '-'));
+    if (section.blocks.length) parts.push(renderBlocks(section.blocks));
+  }
+  return `${parts.join('\n\n')}\n`;
+}
+
+module.exports = {
+  extension:   'txt',
+  contentType: 'text/plain; charset=utf-8',
+  render
+};
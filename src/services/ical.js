@@ -0,0 +1,159 @@
+// src/services/ical.js
+//
+// Generación de calendarios iCalendar (RFC 5545) para los recordatorios.
+// Los eventos van en la hora local de su zona (DTSTART;TZID=…) para que la
+// hora se mantenga al cambiar al horario de verano; cada zona usada se
+// describe con un VTIMEZONE, que RFC 5545 exige y Outlook necesita.
+const { DateTime, FixedOffsetZone } = require('luxon');
+const { parseRule, iterate, offsetTransitions, RecurrenceError } = require('./recurrence');
+
+const PRODID = '-//Lifestyle Planner//Recordatorios//ES';
+const EVENT_DURATION = 'PT15M';
+// Años futuros de cambios de hora que se describen en cada VTIMEZONE
+const VTIMEZONE_YEARS = 5;
+
+function escapeText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Las líneas de más de 75 octetos se pliegan con CRLF + espacio
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length ? 74 : 75;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+const formatUtc   = dt => dt.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+const formatLocal = dt => dt.toFormat("yyyyMMdd'T'HHmmss");
+
+// Con DTSTART en zona local, RFC 5545 exige UNTIL en UTC
+function icsRule(parsed) {
+  return parsed.normalized
+    .split(';')
+    .map(part => (part.startsWith('UNTIL=') ? `UNTIL=${formatUtc(parsed.until)}` : part))
+    .join(';');
+}
+
+const formatOffset = minutes => FixedOffsetZone.instance(minutes).formatOffset(0, 'techie');
+
+function observance(timezone, at, before, after) {
+  const local = DateTime.fromJSDate(at, { zone: timezone });
+  return [
+    `BEGIN:${local.isInDST ? 'DAYLIGHT' : 'STANDARD'}`,
+    // Inicio en hora local con el desplazamiento anterior al cambio
+    `DTSTART:${formatLocal(DateTime.fromJSDate(at, { zone: FixedOffsetZone.instance(before) }))}`,
+    `TZOFFSETFROM:${formatOffset(before)}`,
+    `TZOFFSETTO:${formatOffset(after)}`,
+    `END:${local.isInDST ? 'DAYLIGHT' : 'STANDARD'}`
+  ];
+}
+
+/**
+ * VTIMEZONE de una zona desde el año de `since`: el desplazamiento vigente
+ * al principio de ese año y cada cambio de hora hasta VTIMEZONE_YEARS años
+ * después de hoy (los clientes aplican el último más allá).
+ */
+function vtimezone(timezone, since) {
+  const sinceYear = since.setZone(timezone).year;
+  const lastYear  = Math.max(sinceYear, DateTime.now().setZone(timezone).year) + VTIMEZONE_YEARS;
+  const from = DateTime.fromObject({ year: sinceYear }, { zone: timezone });
+  const to   = DateTime.fromObject({ year: lastYear + 1 }, { zone: timezone });
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`];
+  lines.push(...observance(timezone, from.toJSDate(), from.offset, from.offset));
+  for (const t of offsetTransitions(timezone, from.toJSDate(), to.toJSDate())) {
+    lines.push(...observance(timezone, t.at, t.before, t.after));
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+/**
+ * Convierte un recordatorio en las líneas de un VEVENT recurrente.
+ * Devuelve null si la regla no es interpretable o ya no tiene ocurrencias.
+ *
+ * @returns {{ timezone: string, start: DateTime, lines: string[] }|null}
+ */
+function reminderEvent(reminder, { host }) {
+  const timezone = reminder.timezone || 'UTC';
+  let parsed;
+  try {
+    parsed = parseRule(reminder.rule, timezone);
+  } catch (err) {
+    if (err instanceof RecurrenceError) return null;
+    throw err;
+  }
+
+  // DTSTART debe ser la primera ocurrencia de la serie
+  const first = iterate(parsed, timezone, reminder.starts_at || reminder.created_at).next().value;
+  if (!first) return null;
+
+  const summary = reminder.section_type
+    ? `${reminder.plan_title || 'Plan'} — ${reminder.section_type}`
+    : (reminder.plan_title || 'Plan');
+  const stamp = DateTime.fromJSDate(new Date(reminder.updated_at || reminder.created_at || Date.now()));
+
+  // En UTC no hace falta VTIMEZONE: la hora va con Z
+  const dtstart = timezone === 'UTC'
+    ? `DTSTART:${formatUtc(first)}`
+    : `DTSTART;TZID=${timezone}:${formatLocal(first)}`;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:reminder-${reminder.id}@${host}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    dtstart,
+    `DURATION:${EVENT_DURATION}`,
+    `RRULE:${icsRule(parsed)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `DESCRIPTION:${escapeText(`Recordatorio de tu plan "${reminder.plan_title || ''}".`)}`,
+    'END:VEVENT'
+  ];
+  return { timezone, start: first, lines };
+}
+
+/**
+ * Construye un VCALENDAR con un VEVENT por recordatorio.
+ */
+function buildCalendar(reminders, { name = 'Lifestyle Planner', host = 'lifestyle-planner' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  const events = reminders.map(reminder => reminderEvent(reminder, { host })).filter(Boolean);
+
+  // Una VTIMEZONE por zona, desde el primer evento que la usa
+  const zones = new Map();
+  for (const { timezone, start } of events) {
+    if (timezone === 'UTC') continue;
+    if (!zones.has(timezone) || start < zones.get(timezone)) zones.set(timezone, start);
+  }
+  for (const [timezone, since] of zones) {
+    lines.push(...vtimezone(timezone, since));
+  }
+  for (const event of events) {
+    lines.push(...event.lines);
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar, escapeText };
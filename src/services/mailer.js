@@ -0,0 +1,51 @@
+// src/services/mailer.js
+//
+// Envío de correo vía SMTP (nodemailer). En desarrollo basta con apuntar
+// SMTP_HOST/SMTP_PORT a un capturador local (MailHog, Mailpit…); en tests
+// se puede sustituir el transporte con setTransport().
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+let transport = null;
+
+function createDefaultTransport() {
+  if (!process.env.SMTP_HOST) {
+    // Sin SMTP configurado: el mensaje se serializa y no sale del proceso
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  return nodemailer.createTransport({
+    host:   process.env.SMTP_HOST,
+    port:   Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth:   process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+}
+
+function getTransport() {
+  if (!transport) transport = createDefaultTransport();
+  return transport;
+}
+
+// Permite inyectar un transporte propio (p. ej. un stub en pruebas)
+function setTransport(custom) {
+  transport = custom;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Lifestyle Planner <no-reply@lifestyle.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+  if (!process.env.SMTP_HOST) {
+    // Solo destinatario y asunto: el cuerpo lleva enlaces con tokens
+    console.log(`📧 Correo sin enviar (SMTP_HOST no definido) a ${to}: ${subject}`);
+  }
+  return info;
+}
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,222 @@
+// src/services/planImport.js
+//
+// Importación de un plan completo desde su documento JSON canónico (el de
+// GET /plans/:planId/export?format=json). El documento se valida entero
+// antes de escribir nada y todo se crea en una única transacción: o se
+// importa el plan completo o no queda ningún rastro.
+const Ajv = require('ajv');
+const { PLAN_IMPORT_SCHEMAS } = require('../schemas/planImport');
+const { validateChannels, DEFAULT_CHANNELS } = require('./channels');
+const { validateRule, resolveStartsAt } = require('./reminders');
+const { RecurrenceError } = require('./recurrence');
+const { recordInitialVersion } = require('./sectionVersions');
+const { recordStatus } = require('./planLifecycle');
+const { withTransaction } = require('../utils/transaction');
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validators = new Map(
+  Object.entries(PLAN_IMPORT_SCHEMAS).map(([version, schema]) => [Number(version), ajv.compile(schema)])
+);
+
+const SUPPORTED_VERSIONS = [...validators.keys()];
+
+class PlanImportError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name   = 'PlanImportError';
+    this.status = 400;
+    this.code   = 'INVALID_PLAN_IMPORT';
+    this.errors = errors;
+  }
+
+  toJSON() {
+    return {
+      error:   this.message,
+      code:    this.code,
+      details: this.errors
+    };
+  }
+}
+
+// { path, message } por error; additionalProperties indica qué campo sobra
+function formatErrors(errors) {
+  const details = errors.map(e => {
+    const path = e.instancePath || '/';
+    if (e.keyword === 'additionalProperties') {
+      return { path, message: `campo no permitido: ${e.params.additionalProperty}` };
+    }
+    if (e.keyword === 'required') {
+      return { path, message: `falta el campo obligatorio: ${e.params.missingProperty}` };
+    }
+    return { path, message: e.message };
+  });
+  const seen = new Set();
+  return details.filter(d => {
+    const key = `${d.path} ${d.message}`;
+    return seen.has(key) ? false : seen.add(key);
+  });
+}
+
+// Comprobaciones que el esquema no puede expresar: duplicados, referencias
+// entre secciones y recordatorios, reglas de recurrencia y canales
+function semanticErrors(doc) {
+  const errors   = [];
+  const sections = doc.sections || [];
+  const types    = new Set();
+
+  sections.forEach((section, i) => {
+    if (types.has(section.section_type)) {
+      errors.push({ path: `/sections/${i}/section_type`, message: `sección repetida: ${section.section_type}` });
+    }
+    types.add(section.section_type);
+  });
+
+  const config = doc.plan.section_config;
+  if (config) {
+    const configured = new Set();
+    config.forEach((entry, i) => {
+      if (configured.has(entry.section_type)) {
+        errors.push({ path: `/plan/section_config/${i}/section_type`, message: `sección repetida: ${entry.section_type}` });
+      }
+      configured.add(entry.section_type);
+    });
+  }
+
+  (doc.reminders || []).forEach((reminder, i) => {
+    const path     = `/reminders/${i}`;
+    const timezone = reminder.timezone || 'UTC';
+    try {
+      validateRule(reminder.rule, timezone);
+    } catch (err) {
+      if (!(err instanceof RecurrenceError)) throw err;
+      errors.push({ path: `${path}/rule`, message: err.message });
+    }
+    if (reminder.channels) {
+      const channelsError = validateChannels(reminder.channels);
+      if (channelsError) errors.push({ path: `${path}/channels`, message: channelsError });
+    }
+    if (reminder.starts_at && !resolveStartsAt(reminder.starts_at, timezone)) {
+      errors.push({ path: `${path}/starts_at`, message: 'no es una fecha válida' });
+    }
+    if (reminder.section_type && !types.has(reminder.section_type)) {
+      errors.push({
+        path:    `${path}/section_type`,
+        message: `no hay ninguna sección "${reminder.section_type}" en el documento`
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Valida un documento de importación. Lanza PlanImportError con la lista
+ * completa de errores ({ path, message }, path en formato JSON Pointer).
+ */
+function validateImportDocument(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+    throw new PlanImportError('El documento de importación debe ser un objeto JSON');
+  }
+  const validate = validators.get(doc.version);
+  if (!validate) {
+    throw new PlanImportError(
+      `Versión de documento no soportada: ${JSON.stringify(doc.version)}. ` +
+      `Soportadas: ${SUPPORTED_VERSIONS.join(', ')}`,
+      [{ path: '/version', message: `debe ser una de: ${SUPPORTED_VERSIONS.join(', ')}` }]
+    );
+  }
+  if (!validate(doc)) {
+    throw new PlanImportError('El documento no cumple el esquema', formatErrors(validate.errors));
+  }
+  const errors = semanticErrors(doc);
+  if (errors.length) {
+    throw new PlanImportError('El documento no es coherente', errors);
+  }
+}
+
+/**
+ * Crea el plan importado y todo su contenido para `userId`. El plan queda
+ * en draft, o en generated si trae secciones.
+ *
+ * @returns {Promise<{ planId: number, status: string, counts: object }>}
+ */
+async function importPlan(doc, userId) {
+  validateImportDocument(doc);
+
+  const sections  = doc.sections || [];
+  const summaries = doc.summaries || [];
+  const reminders = doc.reminders || [];
+  const status    = sections.length ? 'generated' : 'draft';
+
+  return withTransaction(async conn => {
+    const [plan] = await conn.query(
+      `INSERT INTO plans (user_id, title, parameters, status, section_config)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        userId,
+        doc.plan.title,
+        JSON.stringify(doc.plan.parameters || {}),
+        status,
+        doc.plan.section_config ? JSON.stringify(doc.plan.section_config) : null
+      ]
+    );
+    const planId = plan.insertId;
+    await recordStatus(conn, { planId, from: null, to: status, userId, reason: 'Plan importado' });
+
+    const sectionIds = new Map();
+    for (const section of sections) {
+      const [inserted] = await conn.query(
+        'INSERT INTO plan_sections (plan_id, section_type, content) VALUES (?, ?, ?)',
+        [planId, section.section_type, section.content]
+      );
+      sectionIds.set(section.section_type, inserted.insertId);
+      await recordInitialVersion(conn, {
+        sectionId: inserted.insertId,
+        content:   section.content,
+        source:    'user',
+        userId
+      });
+    }
+
+    for (const summary of summaries) {
+      await conn.query(
+        'INSERT INTO plan_summaries (plan_id, title, executive_summary) VALUES (?, ?, ?)',
+        [planId, summary.title, summary.executive_summary]
+      );
+    }
+
+    for (const reminder of reminders) {
+      const timezone = reminder.timezone || 'UTC';
+      await conn.query(
+        `INSERT INTO plan_reminders (plan_id, section_id, rule, timezone, starts_at, channels, is_active)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          planId,
+          reminder.section_type ? sectionIds.get(reminder.section_type) : null,
+          validateRule(reminder.rule, timezone),
+          timezone,
+          resolveStartsAt(reminder.starts_at, timezone),
+          JSON.stringify(reminder.channels || DEFAULT_CHANNELS),
+          reminder.is_active ?? true
+        ]
+      );
+    }
+
+    return {
+      planId,
+      status,
+      counts: {
+        sections:  sections.length,
+        summaries: summaries.length,
+        reminders: reminders.length
+      }
+    };
+  });
+}
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  PlanImportError,
+  validateImportDocument,
+  importPlan
+};
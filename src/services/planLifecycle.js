@@ -0,0 +1,159 @@
+// src/services/planLifecycle.js
+//
+// Ciclo de vida de un plan:
+//
+//   draft → generated → in_review → finalized → archived
+//
+// Las transiciones permitidas están en TRANSITIONS; cualquier otro cambio
+// lanza PlanLifecycleError. Cada cambio de estado queda registrado en
+// plan_status_history. Las funciones que escriben reciben la conexión de
+// la transacción.
+
+const PLAN_STATUSES = ['draft', 'generated', 'in_review', 'finalized', 'archived'];
+
+const TRANSITIONS = {
+  draft:     ['generated', 'archived'],
+  generated: ['in_review', 'archived'],
+  in_review: ['generated', 'finalized', 'archived'], // volver a edición o cerrar
+  finalized: ['in_review', 'archived'],              // reabrir para revisar
+  archived:  []
+};
+
+// Estados en los que se puede modificar el contenido del plan
+const EDITABLE_STATUSES = ['draft', 'generated', 'in_review'];
+
+class PlanLifecycleError extends Error {
+  constructor(message, { from, to = null } = {}) {
+    super(message);
+    this.name   = 'PlanLifecycleError';
+    this.status = 409;
+    this.code   = 'PLAN_INVALID_STATUS';
+    this.from   = from;
+    this.to     = to;
+  }
+
+  toJSON() {
+    return {
+      error:   this.message,
+      code:    this.code,
+      status:  this.from,
+      allowed: allowedTransitions(this.from)
+    };
+  }
+}
+
+function allowedTransitions(status) {
+  return TRANSITIONS[status] || [];
+}
+
+function canTransition(from, to) {
+  return allowedTransitions(from).includes(to);
+}
+
+/**
+ * Lanza PlanLifecycleError si el contenido del plan no se puede modificar
+ * en su estado actual (finalizado o archivado).
+ */
+function assertEditable(status) {
+  if (!EDITABLE_STATUSES.includes(status)) {
+    throw new PlanLifecycleError(
+      `El plan está en estado "${status}" y no admite cambios de contenido`,
+      { from: status }
+    );
+  }
+}
+
+/**
+ * Lanza PlanLifecycleError si el plan está archivado. Lo que no cambia el
+ * contenido (tareas, seguimiento) se permite también en planes finalizados.
+ */
+function assertActive(status) {
+  if (status === 'archived') {
+    throw new PlanLifecycleError('El plan está archivado', { from: status });
+  }
+}
+
+async function lockPlanStatus(conn, planId) {
+  const [[plan]] = await conn.query(
+    'SELECT status FROM plans WHERE id = ? FOR UPDATE',
+    [planId]
+  );
+  return plan ? plan.status : null;
+}
+
+async function recordStatus(conn, { planId, from, to, userId = null, reason = null, automatic = false }) {
+  await conn.query(
+    `INSERT INTO plan_status_history (plan_id, from_status, to_status, changed_by, reason, automatic)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [planId, from, to, userId, reason, automatic]
+  );
+}
+
+async function setStatus(conn, { planId, from, to, userId, reason, automatic }) {
+  await conn.query(
+    'UPDATE plans SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [to, planId]
+  );
+  await recordStatus(conn, { planId, from, to, userId, reason, automatic });
+}
+
+/**
+ * Bloquea el plan y comprueba que su contenido se puede modificar.
+ * Usar dentro de la transacción que escribe el contenido.
+ *
+ * @returns {Promise<string>} estado actual del plan
+ */
+async function lockEditablePlan(conn, planId) {
+  const status = await lockPlanStatus(conn, planId);
+  assertEditable(status);
+  return status;
+}
+
+/**
+ * Transición explícita pedida por el usuario. Lanza PlanLifecycleError si
+ * no está permitida desde el estado actual.
+ */
+async function transitionPlan(conn, { planId, to, userId, reason = null }) {
+  if (!PLAN_STATUSES.includes(to)) {
+    throw new PlanLifecycleError(
+      `Estado desconocido: "${to}". Opciones: ${PLAN_STATUSES.join(', ')}`,
+      { to }
+    );
+  }
+  const from = await lockPlanStatus(conn, planId);
+  if (!canTransition(from, to)) {
+    throw new PlanLifecycleError(
+      `No se puede pasar de "${from}" a "${to}"`,
+      { from, to }
+    );
+  }
+  await setStatus(conn, { planId, from, to, userId, reason, automatic: false });
+  return { from, to };
+}
+
+/**
+ * Transición automática provocada por una acción (generar secciones,
+ * resumen, exportar). Solo se aplica si está permitida desde el estado
+ * actual; si no, el plan se queda como está.
+ *
+ * @returns {Promise<boolean>} si el estado cambió
+ */
+async function advancePlan(conn, planId, to, { userId = null, reason = null } = {}) {
+  const from = await lockPlanStatus(conn, planId);
+  if (from === to || !canTransition(from, to)) return false;
+  await setStatus(conn, { planId, from, to, userId, reason, automatic: true });
+  return true;
+}
+
+module.exports = {
+  PLAN_STATUSES,
+  TRANSITIONS,
+  PlanLifecycleError,
+  allowedTransitions,
+  assertEditable,
+  assertActive,
+  recordStatus,
+  lockEditablePlan,
+  transitionPlan,
+  advancePlan
+};
@@ -0,0 +1,269 @@
+// src/services/recurrence.js
+//
+// Subconjunto de RRULE (RFC 5545) usado por los recordatorios:
+// FREQ (DAILY | WEEKLY | MONTHLY), INTERVAL, BYDAY, BYHOUR, BYMINUTE,
+// COUNT y UNTIL. Las horas se interpretan en la zona horaria del recordatorio.
+const { DateTime } = require('luxon');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS    = { MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6, SU: 7 };
+const PART_ORDER  = ['FREQ', 'INTERVAL', 'BYDAY', 'BYHOUR', 'BYMINUTE', 'COUNT', 'UNTIL'];
+
+// Límite de días a recorrer para no iterar indefinidamente (≈ 10 años)
+const MAX_DAYS = 3660;
+
+class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceError';
+  }
+}
+
+function isValidTimezone(timezone) {
+  return typeof timezone === 'string' &&
+    DateTime.now().setZone(timezone).isValid;
+}
+
+function parseIntList(value, name, min, max) {
+  return value.split(',').map(v => {
+    const n = Number(v);
+    if (!/^\d+$/.test(v) || n < min || n > max) {
+      throw new RecurrenceError(`${name} debe contener enteros entre ${min} y ${max}`);
+    }
+    return n;
+  }).sort((a, b) => a - b);
+}
+
+function parseUntil(value, timezone) {
+  let m = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (m) {
+    // Fecha sin hora: incluye todo ese día en la zona del recordatorio
+    return DateTime.fromObject(
+      { year: +m[1], month: +m[2], day: +m[3] },
+      { zone: timezone }
+    ).endOf('day');
+  }
+  m = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/);
+  if (m) {
+    return DateTime.fromObject(
+      { year: +m[1], month: +m[2], day: +m[3], hour: +m[4], minute: +m[5], second: +m[6] },
+      { zone: m[7] ? 'utc' : timezone }
+    );
+  }
+  return null;
+}
+
+/**
+ * Interpreta una regla RRULE y devuelve su representación estructurada.
+ * Lanza RecurrenceError si la regla no es válida o usa partes no soportadas.
+ */
+function parseRule(rule, timezone = 'UTC') {
+  if (typeof rule !== 'string' || !rule.trim()) {
+    throw new RecurrenceError('La regla es obligatoria');
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new RecurrenceError(`Zona horaria desconocida: ${timezone}`);
+  }
+
+  const parts = {};
+  for (const chunk of rule.trim().replace(/^RRULE:/i, '').split(';')) {
+    if (!chunk) continue;
+    const [rawKey, value] = chunk.split('=');
+    const key = (rawKey || '').toUpperCase();
+    if (!PART_ORDER.includes(key)) {
+      throw new RecurrenceError(`Parte de regla no soportada: ${rawKey}`);
+    }
+    if (!value) {
+      throw new RecurrenceError(`${key} no tiene valor`);
+    }
+    if (parts[key] !== undefined) {
+      throw new RecurrenceError(`${key} está repetido`);
+    }
+    parts[key] = value.toUpperCase();
+  }
+
+  if (!parts.FREQ) {
+    throw new RecurrenceError('FREQ es obligatorio');
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new RecurrenceError(`FREQ debe ser uno de: ${FREQUENCIES.join(', ')}`);
+  }
+  if (parts.COUNT && parts.UNTIL) {
+    throw new RecurrenceError('COUNT y UNTIL no pueden usarse juntos');
+  }
+
+  const parsed = {
+    freq:     parts.FREQ,
+    interval: 1,
+    byDay:    null,
+    byHour:   null,
+    byMinute: null,
+    count:    null,
+    until:    null
+  };
+
+  if (parts.INTERVAL) {
+    parsed.interval = parseIntList(parts.INTERVAL, 'INTERVAL', 1, 366)[0];
+  }
+  if (parts.BYDAY) {
+    parsed.byDay = parts.BYDAY.split(',').map(d => {
+      if (!WEEKDAYS[d]) {
+        throw new RecurrenceError(`BYDAY contiene un día inválido: ${d}`);
+      }
+      return WEEKDAYS[d];
+    });
+  }
+  if (parts.BYHOUR)   parsed.byHour   = parseIntList(parts.BYHOUR, 'BYHOUR', 0, 23);
+  if (parts.BYMINUTE) parsed.byMinute = parseIntList(parts.BYMINUTE, 'BYMINUTE', 0, 59);
+  if (parts.COUNT)    parsed.count    = parseIntList(parts.COUNT, 'COUNT', 1, 10000)[0];
+  if (parts.UNTIL) {
+    parsed.until = parseUntil(parts.UNTIL, timezone);
+    if (!parsed.until || !parsed.until.isValid) {
+      throw new RecurrenceError('UNTIL debe tener formato AAAAMMDD o AAAAMMDDTHHMMSSZ');
+    }
+  }
+
+  parsed.normalized = PART_ORDER
+    .filter(key => parts[key] !== undefined)
+    .map(key => `${key}=${parts[key]}`)
+    .join(';');
+
+  return parsed;
+}
+
+// ¿El día `day` cae dentro del patrón de la regla anclado en `start`?
+function matchesDay(parsed, start, day) {
+  const startDay = start.startOf('day');
+  switch (parsed.freq) {
+    case 'DAILY': {
+      const diff = Math.round(day.diff(startDay, 'days').days);
+      if (diff % parsed.interval !== 0) return false;
+      return !parsed.byDay || parsed.byDay.includes(day.weekday);
+    }
+    case 'WEEKLY': {
+      const weeks = Math.round(day.startOf('week').diff(startDay.startOf('week'), 'weeks').weeks);
+      if (weeks % parsed.interval !== 0) return false;
+      return (parsed.byDay || [start.weekday]).includes(day.weekday);
+    }
+    case 'MONTHLY': {
+      const months = (day.year - start.year) * 12 + (day.month - start.month);
+      if (months % parsed.interval !== 0) return false;
+      return parsed.byDay
+        ? parsed.byDay.includes(day.weekday)
+        : day.day === start.day;
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Recorre las ocurrencias de la regla a partir de `startsAt`, en orden.
+ * Si se indica `from` y la regla no usa COUNT, empieza directamente en ese
+ * día para no recorrer todo el historial.
+ */
+function* iterate(parsed, timezone, startsAt, from = null) {
+  const start   = DateTime.fromJSDate(new Date(startsAt), { zone: timezone });
+  const hours   = parsed.byHour   || [start.hour];
+  const minutes = parsed.byMinute || [start.minute];
+
+  let day = start.startOf('day');
+  if (from && !parsed.count) {
+    const fromDay = DateTime.fromJSDate(new Date(from), { zone: timezone }).startOf('day');
+    if (fromDay > day) day = fromDay;
+  }
+
+  let emitted = 0;
+  for (let i = 0; i < MAX_DAYS; i++, day = day.plus({ days: 1 })) {
+    if (!matchesDay(parsed, start, day)) continue;
+    for (const hour of hours) {
+      for (const minute of minutes) {
+        const occurrence = day.set({ hour, minute, second: 0, millisecond: 0 });
+        if (occurrence < start) continue;
+        if (parsed.until && occurrence > parsed.until) return;
+        yield occurrence;
+        emitted++;
+        if (parsed.count && emitted >= parsed.count) return;
+      }
+    }
+  }
+}
+
+/**
+ * Devuelve las próximas `limit` ocurrencias posteriores a `after`
+ * como cadenas ISO en la zona horaria del recordatorio.
+ */
+function nextOccurrences({ rule, timezone, starts_at }, { after = new Date(), limit = 5 } = {}) {
+  const parsed = parseRule(rule, timezone);
+  const afterDt = DateTime.fromJSDate(new Date(after));
+  const result = [];
+  if (limit <= 0) return result;
+  for (const occurrence of iterate(parsed, timezone, starts_at, after)) {
+    if (occurrence <= afterDt) continue;
+    result.push(occurrence.toISO({ suppressMilliseconds: true }));
+    if (result.length >= limit) break;
+  }
+  return result;
+}
+
+/**
+ * Ocurrencias en el intervalo (from, to], como objetos Date.
+ */
+function occurrencesBetween({ rule, timezone, starts_at }, from, to) {
+  const parsed = parseRule(rule, timezone);
+  const fromDt = DateTime.fromJSDate(new Date(from));
+  const toDt   = DateTime.fromJSDate(new Date(to));
+  const result = [];
+  for (const occurrence of iterate(parsed, timezone, starts_at, from)) {
+    if (occurrence > toDt) break;
+    if (occurrence > fromDt) result.push(occurrence.toJSDate());
+  }
+  return result;
+}
+
+const DAY_MS = 24 * 3600 * 1000;
+
+/**
+ * Cambios de desplazamiento UTC (horario de verano, cambios de zona) en
+ * [from, to). Se recorre día a día y el instante exacto se busca por
+ * bisección.
+ *
+ * @returns {Array<{ at: Date, before: number, after: number }>} desplazamientos en minutos
+ */
+function offsetTransitions(timezone, from, to) {
+  const offsetAt = ms => DateTime.fromMillis(ms, { zone: timezone }).offset;
+  const end = new Date(to).getTime();
+  const transitions = [];
+  let t       = new Date(from).getTime();
+  let current = offsetAt(t);
+  while (t < end) {
+    const next = Math.min(t + DAY_MS, end);
+    if (offsetAt(next - 1) === current) {
+      t = next;
+      continue;
+    }
+    // El cambio está en [t, next): t puede ser justo el instante del cambio
+    let lo = t - 1;
+    let hi = next - 1;
+    while (hi - lo > 1) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (offsetAt(mid) === current) lo = mid;
+      else hi = mid;
+    }
+    const after = offsetAt(hi);
+    transitions.push({ at: new Date(hi), before: current, after });
+    current = after;
+    t = hi;
+  }
+  return transitions;
+}
+
+module.exports = {
+  RecurrenceError,
+  isValidTimezone,
+  offsetTransitions,
+  parseRule,
+  iterate,
+  nextOccurrences,
+  occurrencesBetween
+};
@@ -0,0 +1,65 @@
+// src/services/reminders.js
+const { DateTime } = require('luxon');
+const {
+  RecurrenceError,
+  parseRule,
+  nextOccurrences
+} = require('./recurrence');
+
+const REMINDER_COLUMNS =
+  'id, plan_id, section_id, rule, timezone, starts_at, channels, is_active, created_at, updated_at';
+
+const DEFAULT_OCCURRENCES = 5;
+const MAX_OCCURRENCES     = 50;
+
+// Número de ocurrencias a devolver según ?occurrences=N
+function occurrencesLimit(query) {
+  const n = parseInt(query.occurrences, 10);
+  if (Number.isNaN(n)) return DEFAULT_OCCURRENCES;
+  return Math.min(Math.max(n, 0), MAX_OCCURRENCES);
+}
+
+/**
+ * Valida regla + zona horaria y devuelve la regla normalizada.
+ * Lanza RecurrenceError con un mensaje apto para el cliente.
+ */
+function validateRule(rule, timezone) {
+  return parseRule(rule, timezone).normalized;
+}
+
+/**
+ * Fecha de inicio de la recurrencia. Si no se indica, se usa la medianoche
+ * de hoy en la zona del recordatorio, de modo que BYHOUR=8 cae a las 08:00
+ * y no a la hora y minuto exactos de creación. Devuelve null si es inválida.
+ */
+function resolveStartsAt(startsAt, timezone) {
+  const date = startsAt
+    ? new Date(startsAt)
+    : DateTime.now().setZone(timezone).startOf('day').toJSDate();
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Añade las próximas ocurrencias a una fila de plan_reminders
+function serializeReminder(row, limit = DEFAULT_OCCURRENCES) {
+  let next = [];
+  if (row.is_active) {
+    try {
+      next = nextOccurrences(
+        { ...row, starts_at: row.starts_at || row.created_at },
+        { limit }
+      );
+    } catch (err) {
+      // Reglas antiguas en texto libre: se devuelven sin ocurrencias
+      if (!(err instanceof RecurrenceError)) throw err;
+    }
+  }
+  return { ...row, next_occurrences: next };
+}
+
+module.exports = {
+  REMINDER_COLUMNS,
+  occurrencesLimit,
+  validateRule,
+  resolveStartsAt,
+  serializeReminder
+};
@@ -0,0 +1,242 @@
+// src/services/reviews.js
+//
+// Revisión semanal de un plan: se le da al modelo la adherencia del usuario
+// en los últimos REVIEW_DAYS días y sus notas de cada sección, y devuelve
+// propuestas de cambio con su motivo. Cada propuesta queda pendiente hasta
+// que el usuario la acepta (se aplica con el ajuste de secciones de siempre,
+// ver sectionAdjust.js) o la rechaza.
+const { DateTime } = require('luxon');
+const pool = require('../config/db');
+const { withTransaction } = require('../utils/transaction');
+const { generateStructured } = require('./structuredOutput');
+const { reviewSchema } = require('../schemas/aiOutputs');
+const { planAnalytics } = require('./analytics');
+
+const REVIEW_DAYS = 7;
+
+const REVIEW_COLUMNS =
+  "id, plan_id, user_id, origin, DATE_FORMAT(period_from, '%Y-%m-%d') AS period_from, " +
+  "DATE_FORMAT(period_to, '%Y-%m-%d') AS period_to, summary, adherence, generation_id, created_at";
+
+const PROPOSAL_COLUMNS =
+  'p.id, p.review_id, p.section_id, s.section_type, p.instruction, p.rationale, p.status, ' +
+  'p.decided_by, p.decided_at, p.generation_id, p.created_at';
+
+class ReviewProposalError extends Error {
+  constructor(message, { status: proposalStatus }) {
+    super(message);
+    this.name   = 'ReviewProposalError';
+    this.status = 409;
+    this.code   = 'REVIEW_PROPOSAL_DECIDED';
+    this.proposalStatus = proposalStatus;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code, status: this.proposalStatus };
+  }
+}
+
+/**
+ * Zona horaria del usuario en el plan: la de su último check-in, o UTC.
+ */
+async function reviewTimezone(planId, userId) {
+  const [[row]] = await pool.query(
+    `SELECT timezone FROM plan_checkins
+      WHERE plan_id = ? AND user_id = ?
+      ORDER BY checkin_date DESC LIMIT 1`,
+    [planId, userId]
+  );
+  return row ? row.timezone : 'UTC';
+}
+
+function reviewRange(timezone) {
+  const to = DateTime.now().setZone(timezone).startOf('day');
+  return {
+    from: to.minus({ days: REVIEW_DAYS - 1 }).toISODate(),
+    to:   to.toISODate()
+  };
+}
+
+function describeSection(section, stats, notes) {
+  const percent = value => (value === null ? 'sin datos' : `${value}%`);
+  const lines = [
+    `## ${section.section_type}`,
+    `Adherencia: ${percent(stats.adherence)} ` +
+      `(hecho ${stats.checkins.done}, parcial ${stats.checkins.partial}, saltado ${stats.checkins.skipped})`,
+    `Tareas completadas: ${percent(stats.tasks.percent)} ` +
+      `(${stats.tasks.completed_in_range} esta semana)`,
+    `Días con recordatorio seguidos: ${percent(stats.reminders.follow_rate)}`
+  ];
+  if (notes.length) {
+    lines.push('Notas del usuario:');
+    for (const note of notes) {
+      const mood = note.mood !== null ? `, ánimo ${note.mood}/5` : '';
+      lines.push(`- ${note.date} (${note.status}${mood}): ${note.note || 'sin nota'}`);
+    }
+  }
+  lines.push('Contenido actual:', section.content || '(vacío)');
+  return lines.join('\n');
+}
+
+/**
+ * Pide la revisión al modelo y la guarda con sus propuestas.
+ *
+ * @param {object}   opts
+ * @param {object}   opts.plan       fila del plan (id, created_at…)
+ * @param {number}   opts.userId     usuario cuyo seguimiento se revisa
+ * @param {string}   opts.timezone
+ * @param {string}   [opts.origin]   'manual' | 'scheduled'
+ * @param {Function} [opts.onToken]
+ * @param {Function} [opts.onReasoning]
+ * @param {Function} [opts.onRetry]
+ * @returns {Promise<object|null>} la revisión, o null si el plan no tiene secciones
+ */
+async function runReview({ plan, userId, timezone, origin = 'manual', onToken, onReasoning, onRetry }) {
+  const [sections] = await pool.query(
+    'SELECT id, section_type, content FROM plan_sections WHERE plan_id = ? ORDER BY id',
+    [plan.id]
+  );
+  if (!sections.length) return null;
+
+  const range     = reviewRange(timezone);
+  const analytics = await planAnalytics(plan, userId, range, timezone);
+  const [notes]   = await pool.query(
+    `SELECT section_id, DATE_FORMAT(checkin_date, '%Y-%m-%d') AS date, status, note, mood
+       FROM plan_checkins
+      WHERE plan_id = ? AND user_id = ? AND checkin_date BETWEEN ? AND ?
+        AND (note IS NOT NULL OR mood IS NOT NULL)
+      ORDER BY checkin_date`,
+    [plan.id, userId, range.from, range.to]
+  );
+
+  const statsBySection = new Map(analytics.sections.map(stats => [stats.section_id, stats]));
+  const report = sections
+    .map(section => describeSection(
+      section,
+      statsBySection.get(section.id),
+      notes.filter(note => note.section_id === section.id)
+    ))
+    .join('\n\n');
+
+  const sectionTypes = sections.map(section => section.section_type);
+  const messages = [
+    {
+      role: 'system',
+      content:
+        'Eres un coach que revisa cada semana un plan de estilo de vida. A partir de la ' +
+        'adherencia y las notas del usuario, propone cambios concretos solo en las secciones ' +
+        'que lo necesiten (ninguno si todo va bien): simplificar lo que no se cumple, subir ' +
+        'el reto donde va sobrado o atender lo que cuenta en sus notas. Devuelve solo JSON ' +
+        '{ summary, proposals: [{ section_type, instruction, rationale }] }. instruction es ' +
+        'la indicación para reescribir la sección; rationale explica el motivo citando los datos.'
+    },
+    {
+      role: 'user',
+      content:
+        `Semana del ${range.from} al ${range.to}. ` +
+        `Adherencia global: ${analytics.summary.adherence === null ? 'sin datos' : `${analytics.summary.adherence}%`}.\n\n` +
+        report
+    }
+  ];
+
+  const { value, result } = await generateStructured({
+    useCase:  'review',
+    messages,
+    schema:   reviewSchema(sectionTypes),
+    onToken,
+    onReasoning,
+    onRetry,
+    context:  { userId, planId: plan.id }
+  });
+
+  const sectionIds = new Map(sections.map(section => [section.section_type, section.id]));
+  return withTransaction(async conn => {
+    const [inserted] = await conn.query(
+      `INSERT INTO plan_reviews
+         (plan_id, user_id, origin, period_from, period_to, summary, adherence, generation_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        plan.id,
+        userId,
+        origin,
+        range.from,
+        range.to,
+        value.summary,
+        analytics.summary.adherence,
+        result.generationId
+      ]
+    );
+    for (const proposal of value.proposals) {
+      await conn.query(
+        `INSERT INTO plan_review_proposals (review_id, section_id, instruction, rationale)
+         VALUES (?, ?, ?, ?)`,
+        [inserted.insertId, sectionIds.get(proposal.section_type), proposal.instruction, proposal.rationale]
+      );
+    }
+    return getReview(plan.id, inserted.insertId, conn);
+  });
+}
+
+/**
+ * Revisión con sus propuestas, o undefined si no es del plan.
+ */
+async function getReview(planId, reviewId, conn = pool) {
+  const [[review]] = await conn.query(
+    `SELECT ${REVIEW_COLUMNS} FROM plan_reviews WHERE id = ? AND plan_id = ?`,
+    [reviewId, planId]
+  );
+  if (!review) return undefined;
+  const [proposals] = await conn.query(
+    `SELECT ${PROPOSAL_COLUMNS}
+       FROM plan_review_proposals p
+       JOIN plan_sections s ON p.section_id = s.id
+      WHERE p.review_id = ?
+      ORDER BY p.id`,
+    [review.id]
+  );
+  return { ...review, proposals };
+}
+
+async function findProposal(planId, reviewId, proposalId) {
+  const [[proposal]] = await pool.query(
+    `SELECT ${PROPOSAL_COLUMNS}, s.content AS section_content
+       FROM plan_review_proposals p
+       JOIN plan_reviews r ON p.review_id = r.id
+       JOIN plan_sections s ON p.section_id = s.id
+      WHERE p.id = ? AND p.review_id = ? AND r.plan_id = ?`,
+    [proposalId, reviewId, planId]
+  );
+  return proposal;
+}
+
+/**
+ * Marca una propuesta pendiente como aceptada o rechazada. Lanza
+ * ReviewProposalError si otra petición ya la decidió.
+ */
+async function decideProposal(conn, proposalId, { status, userId, generationId = null }) {
+  const [result] = await conn.query(
+    `UPDATE plan_review_proposals
+        SET status = ?, decided_by = ?, decided_at = CURRENT_TIMESTAMP, generation_id = ?
+      WHERE id = ? AND status = 'pending'`,
+    [status, userId, generationId, proposalId]
+  );
+  if (!result.affectedRows) {
+    const [[current]] = await conn.query(
+      'SELECT status FROM plan_review_proposals WHERE id = ?',
+      [proposalId]
+    );
+    throw new ReviewProposalError('La propuesta ya se ha decidido', {
+      status: current ? current.status : null
+    });
+  }
+}
+
+module.exports = {
+  REVIEW_DAYS,
+  ReviewProposalError,
+  reviewTimezone,
+  runReview,
+  getReview,
+  findProposal,
+  decideProposal
+};
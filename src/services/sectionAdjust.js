@@ -0,0 +1,70 @@
+// src/services/sectionAdjust.js
+//
+// Ajuste de una sección con la IA a partir de un comentario: el modelo
+// reescribe el texto y se guarda como nueva versión (source 'ai'). Lo usan
+// el PATCH de secciones y las propuestas aceptadas de la revisión semanal.
+const ai = require('./ai');
+const { withTransaction } = require('../utils/transaction');
+const { lockEditablePlan, advancePlan } = require('./planLifecycle');
+const { updateSectionContent } = require('./sectionVersions');
+
+/**
+ * @param {object}   opts
+ * @param {number}   opts.planId
+ * @param {object}   opts.section       { id, content }
+ * @param {string}   opts.comment       Qué cambiar; queda en la versión
+ * @param {number}   opts.userId
+ * @param {Function} [opts.onToken]
+ * @param {Function} [opts.onReasoning]
+ * @param {Function} [opts.onSaving]    Antes de escribir en BD
+ * @param {string}   [opts.reopenReason] Si se indica, un plan finalizado vuelve
+ *                                      a in_review antes de guardar
+ * @param {Function} [opts.onSaved]     (conn, generationId) dentro de la misma transacción
+ * @returns {Promise<number|null>} id de la generación de IA
+ */
+async function adjustSection({
+  planId,
+  section,
+  comment,
+  userId,
+  onToken,
+  onReasoning,
+  onSaving,
+  reopenReason = null,
+  onSaved
+}) {
+  // Prompt de ajuste – solo el texto ajustado
+  const messages = [
+    { role: 'system', content:
+        'Eres un asistente de ajustes que devuelve solo el texto ajustado, sin nada más.' },
+    { role: 'user', content:
+        `Texto original: "${section.content}".\nComentarios: "${comment}".` }
+  ];
+
+  const aiResult = await ai.complete('adjust', { messages }, {
+    onToken,
+    onReasoning,
+    context: { userId, planId, sectionId: section.id }
+  });
+
+  if (onSaving) onSaving();
+  await withTransaction(async conn => {
+    if (reopenReason) {
+      await advancePlan(conn, planId, 'in_review', { userId, reason: reopenReason });
+    }
+    await lockEditablePlan(conn, planId);
+    // Contenido ya sin el bloque <think> del razonamiento
+    await updateSectionContent(conn, {
+      sectionId:    section.id,
+      content:      aiResult.content,
+      source:       'ai',
+      comment,
+      userId,
+      generationId: aiResult.generationId
+    });
+    if (onSaved) await onSaved(conn, aiResult.generationId);
+  });
+  return aiResult.generationId;
+}
+
+module.exports = { adjustSection };
@@ -0,0 +1,89 @@
+// src/services/sectionVersions.js
+//
+// Historial de contenido de plan_sections. Cada cambio de contenido crea una
+// fila en plan_section_versions con su origen ('ai' o 'user') y el comentario
+// que lo provocó. Todas las funciones reciben la conexión de la transacción.
+
+const VERSION_COLUMNS =
+  'id, section_id, version, content, source, comment, created_by, reverted_from, generation_id, created_at';
+
+async function lastVersionNumber(conn, sectionId) {
+  const [[row]] = await conn.query(
+    'SELECT MAX(version) AS version FROM plan_section_versions WHERE section_id = ?',
+    [sectionId]
+  );
+  return row.version || 0;
+}
+
+async function insertVersion(conn, {
+  sectionId,
+  version,
+  content,
+  source,
+  comment = null,
+  userId = null,
+  revertedFrom = null,
+  generationId = null
+}) {
+  const [result] = await conn.query(
+    `INSERT INTO plan_section_versions
+       (section_id, version, content, source, comment, created_by, reverted_from, generation_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [sectionId, version, content, source, comment, userId, revertedFrom, generationId]
+  );
+  return result.insertId;
+}
+
+/**
+ * Registra el contenido inicial de una sección recién creada (versión 1).
+ */
+async function recordInitialVersion(conn, { sectionId, content, source = 'ai', userId = null, generationId = null }) {
+  return insertVersion(conn, { sectionId, version: 1, content, source, userId, generationId });
+}
+
+/**
+ * Actualiza el contenido de una sección y guarda la nueva versión.
+ * Si la sección es anterior al historial, primero guarda su contenido
+ * actual como versión 1 para no perderlo.
+ *
+ * @returns {Promise<number>} número de la versión creada
+ */
+async function updateSectionContent(conn, {
+  sectionId,
+  content,
+  source,
+  comment = null,
+  userId = null,
+  status = 'adjusted',
+  revertedFrom = null,
+  generationId = null
+}) {
+  const [[section]] = await conn.query(
+    'SELECT content FROM plan_sections WHERE id = ? FOR UPDATE',
+    [sectionId]
+  );
+
+  let last = await lastVersionNumber(conn, sectionId);
+  if (last === 0 && section.content !== null) {
+    await insertVersion(conn, { sectionId, version: 1, content: section.content, source: 'ai' });
+    last = 1;
+  }
+
+  await conn.query(
+    `UPDATE plan_sections
+        SET content = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?`,
+    [content, status, sectionId]
+  );
+  const version = last + 1;
+  await insertVersion(conn, {
+    sectionId, version, content, source, comment, userId, revertedFrom, generationId
+  });
+  return version;
+}
+
+module.exports = {
+  VERSION_COLUMNS,
+  recordInitialVersion,
+  updateSectionContent
+};
@@ -0,0 +1,96 @@
+// src/services/shareLinks.js
+//
+// Enlaces públicos de solo lectura a un plan. El token solo se muestra al
+// crearlo; en BD se guarda su hash SHA-256. Un enlace puede caducar, puede
+// revocarse y puede limitarse a ciertas secciones (en ese caso no incluye
+// el resumen ejecutivo, que abarca todo el plan).
+const crypto = require('crypto');
+const pool   = require('../config/db');
+
+const SHARE_LINK_COLUMNS =
+  'id, plan_id, section_types, expires_at, revoked_at, created_by, created_at, last_accessed_at';
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function serializeLink(row) {
+  const now = new Date();
+  return {
+    ...row,
+    active: !row.revoked_at && (!row.expires_at || new Date(row.expires_at) > now)
+  };
+}
+
+async function createShareLink({ planId, userId, sectionTypes = null, expiresAt = null }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const [result] = await pool.query(
+    `INSERT INTO plan_share_links (plan_id, token_hash, section_types, expires_at, created_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [planId, hashToken(token), sectionTypes ? JSON.stringify(sectionTypes) : null, expiresAt, userId]
+  );
+  const [[row]] = await pool.query(
+    `SELECT ${SHARE_LINK_COLUMNS} FROM plan_share_links WHERE id = ?`,
+    [result.insertId]
+  );
+  return { link: serializeLink(row), token };
+}
+
+/**
+ * Enlace vigente (no revocado ni caducado) para un token, o null.
+ */
+async function findActiveLink(token) {
+  const [[row]] = await pool.query(
+    `SELECT ${SHARE_LINK_COLUMNS} FROM plan_share_links
+      WHERE token_hash = ? AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > ?)`,
+    [hashToken(token), new Date()]
+  );
+  if (!row) return null;
+  await pool.query(
+    'UPDATE plan_share_links SET last_accessed_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [row.id]
+  );
+  return row;
+}
+
+/**
+ * Vista pública del plan para un enlace: sin parámetros ni datos del dueño.
+ */
+async function sharedPlanView(link) {
+  const [[plan]] = await pool.query(
+    'SELECT title, status, updated_at FROM plans WHERE id = ?',
+    [link.plan_id]
+  );
+  const types = link.section_types;
+  let sql    = 'SELECT section_type, content, updated_at FROM plan_sections WHERE plan_id = ?';
+  const args = [link.plan_id];
+  if (types && types.length) {
+    sql += ` AND section_type IN (${types.map(() => '?').join(', ')})`;
+    args.push(...types);
+  }
+  const [sections] = await pool.query(`${sql} ORDER BY id`, args);
+
+  let summary = null;
+  if (!types) {
+    const [[latest]] = await pool.query(
+      `SELECT title, executive_summary FROM plan_summaries
+        WHERE plan_id = ? ORDER BY id DESC LIMIT 1`,
+      [link.plan_id]
+    );
+    summary = latest || null;
+  }
+
+  return {
+    ...plan,
+    sections,
+    summary,
+    shared: { section_types: types, expires_at: link.expires_at }
+  };
+}
+
+module.exports = {
+  SHARE_LINK_COLUMNS,
+  serializeLink,
+  createShareLink,
+  findActiveLink,
+  sharedPlanView
+};
@@ -0,0 +1,179 @@
+// src/services/structuredOutput.js
+//
+// Capa de salida estructurada: pide a la IA un JSON, lo extrae de la
+// respuesta, lo valida contra un JSON Schema y, si no cumple, vuelve a
+// preguntar incluyendo los errores. Solo tras agotar los intentos lanza
+// StructuredOutputError.
+const Ajv = require('ajv');
+const ai  = require('./ai');
+require('dotenv').config();
+
+const DEFAULT_MAX_ATTEMPTS = Number(process.env.AI_STRUCTURED_MAX_ATTEMPTS) || 3;
+
+const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+const validators = new WeakMap();
+
+class StructuredOutputError extends Error {
+  constructor(message, { attempts, errors, raw }) {
+    super(message);
+    this.name     = 'StructuredOutputError';
+    this.status   = 502;
+    this.code     = 'AI_INVALID_OUTPUT';
+    this.attempts = attempts;
+    this.errors   = errors;
+    this.raw      = raw;
+  }
+
+  toJSON() {
+    return {
+      error:    'La IA no devolvió una respuesta válida',
+      code:     this.code,
+      attempts: this.attempts,
+      details:  this.errors
+    };
+  }
+}
+
+function getValidator(schema) {
+  if (!validators.has(schema)) validators.set(schema, ajv.compile(schema));
+  return validators.get(schema);
+}
+
+// Devuelve el primer bloque JSON balanceado ({…} o […]) del texto
+function findJsonBlock(text) {
+  const start = text.search(/[[{]/);
+  if (start === -1) return null;
+
+  const stack = [];
+  let inString = false;
+  let escaped  = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+    else if (ch === '}' || ch === ']') {
+      if (stack.pop() !== ch) return null;
+      if (!stack.length) return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
+
+/**
+ * Extrae y parsea el JSON de la respuesta del modelo, tolerando bloques
+ * ```json y texto antes o después. Devuelve { value } o { error }.
+ */
+function extractJson(raw) {
+  const text = String(raw || '')
+    .replace(/```(?:json)?/gi, '')
+    .trim();
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    // sigue: puede haber prosa alrededor del JSON
+  }
+  const block = findJsonBlock(text);
+  if (!block) return { error: 'La respuesta no contiene un bloque JSON' };
+  try {
+    return { value: JSON.parse(block) };
+  } catch (err) {
+    return { error: `JSON mal formado: ${err.message}` };
+  }
+}
+
+// Errores legibles para el modelo. Los fallos internos de `contains` se
+// omiten: basta con la descripción del subesquema que no se encontró.
+function formatErrors(errors) {
+  const messages = errors
+    .filter(e => !e.schemaPath.includes('/contains/'))
+    .map(e => {
+      const message = e.keyword === 'contains' && e.schema && e.schema.description
+        ? e.schema.description
+        : e.message;
+      return `${e.instancePath || '(raíz)'} ${message}`;
+    });
+  return [...new Set(messages)];
+}
+
+// Mensaje para que el modelo corrija su respuesta anterior
+function repairMessage(errors, schema) {
+  return {
+    role: 'user',
+    content:
+      'Tu respuesta anterior no es válida:\n' +
+      errors.map(e => `- ${e}`).join('\n') +
+      '\nDevuelve **solo** JSON que cumpla este JSON Schema, sin texto adicional:\n' +
+      JSON.stringify(schema)
+  };
+}
+
+/**
+ * Llama a la IA hasta obtener un JSON que cumpla `schema`.
+ *
+ * @param {object}   opts
+ * @param {string}   opts.useCase     Caso de uso de IA (ver src/config/ai.js)
+ * @param {Array}    opts.messages    Conversación inicial
+ * @param {object}   opts.schema      JSON Schema de la salida esperada
+ * @param {number}   [opts.maxAttempts]
+ * @param {Function} [opts.onToken]   Callback de streaming
+ * @param {Function} [opts.onReasoning] Callback de streaming del razonamiento
+ * @param {Function} [opts.onRetry]   (attempt, errors) antes de cada reintento
+ * @param {object}   [opts.context]   { userId, planId, sectionId } para el registro
+ * @returns {Promise<{ value: *, result: object, attempts: number }>}
+ */
+async function generateStructured({
+  useCase,
+  messages: initialMessages,
+  schema,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  onToken,
+  onReasoning,
+  onRetry,
+  context
+}) {
+  const validate = getValidator(schema);
+  const messages = [...initialMessages];
+  let errors = [];
+  let raw    = '';
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const result = await ai.complete(
+      useCase,
+      { messages, schema },
+      { onToken, onReasoning, context }
+    );
+    raw = result.content || '';
+
+    const parsed = extractJson(raw);
+    if (parsed.error) {
+      errors = [parsed.error];
+    } else if (!validate(parsed.value)) {
+      errors = formatErrors(validate.errors);
+    } else {
+      return { value: parsed.value, result, attempts: attempt };
+    }
+
+    if (attempt < maxAttempts) {
+      if (onRetry) onRetry(attempt, errors);
+      messages.push({ role: 'assistant', content: raw });
+      messages.push(repairMessage(errors, schema));
+    }
+  }
+
+  throw new StructuredOutputError(
+    `Salida de IA inválida tras ${maxAttempts} intentos`,
+    { attempts: maxAttempts, errors, raw: raw.slice(0, 500) }
+  );
+}
+
+module.exports = {
+  StructuredOutputError,
+  extractJson,
+  generateStructured
+};
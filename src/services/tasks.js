@@ -0,0 +1,132 @@
+// src/services/tasks.js
+//
+// Tareas accionables de cada sección: las extrae la IA del texto de la
+// sección y el usuario las edita y marca. El progreso de una sección o del
+// plan es el porcentaje de tareas hechas sin contar las descartadas.
+const { DateTime } = require('luxon');
+const pool = require('../config/db');
+
+const TASK_FREQUENCIES = ['once', 'daily', 'weekly', 'monthly'];
+const TASK_STATUSES    = ['pending', 'in_progress', 'done', 'skipped'];
+
+const TASK_COLUMNS =
+  'id, plan_id, section_id, title, description, frequency, due_date, status, position, ' +
+  'source, completed_at, created_at, updated_at';
+
+const MAX_TITLE_LENGTH = 255;
+const DATE_PATTERN     = /^\d{4}-\d{2}-\d{2}$/;
+
+// Fecha de calendario real: new Date() aceptaría 2026-02-30 (lo pasa a marzo)
+function isValidDate(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) &&
+    DateTime.fromISO(value, { zone: 'UTC' }).isValid;
+}
+
+/**
+ * Valida el cuerpo de creación o edición de una tarea.
+ *
+ * @param {object}  body
+ * @param {boolean} [partial]  edición: todos los campos son opcionales
+ * @returns {{ error: string }|{ values: object }}
+ */
+function validateTaskInput(body, { partial = false } = {}) {
+  const { title, description, frequency, due_date, status, position } = body || {};
+  const values = {};
+
+  if (title !== undefined || !partial) {
+    if (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH) {
+      return { error: `title debe ser texto de 1 a ${MAX_TITLE_LENGTH} caracteres` };
+    }
+    values.title = title.trim();
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      return { error: 'description debe ser texto' };
+    }
+    values.description = description;
+  }
+  if (frequency !== undefined) {
+    if (!TASK_FREQUENCIES.includes(frequency)) {
+      return { error: `frequency debe ser uno de: ${TASK_FREQUENCIES.join(', ')}` };
+    }
+    values.frequency = frequency;
+  }
+  if (due_date !== undefined) {
+    if (due_date !== null && !isValidDate(due_date)) {
+      return { error: 'due_date debe ser una fecha válida con el formato YYYY-MM-DD' };
+    }
+    values.due_date = due_date;
+  }
+  if (status !== undefined) {
+    if (!TASK_STATUSES.includes(status)) {
+      return { error: `status debe ser uno de: ${TASK_STATUSES.join(', ')}` };
+    }
+    values.status = status;
+  }
+  if (position !== undefined) {
+    if (!Number.isInteger(position) || position < 0) {
+      return { error: 'position debe ser un entero >= 0' };
+    }
+    values.position = position;
+  }
+  return { values };
+}
+
+function completion({ total = 0, done = 0, skipped = 0 } = {}) {
+  const countable = total - skipped;
+  return {
+    total,
+    done,
+    skipped,
+    percent: countable > 0 ? Math.round((done * 100) / countable) : null
+  };
+}
+
+/**
+ * Progreso del plan y de cada una de sus secciones.
+ *
+ * @returns {Promise<{ plan: object, sections: Map<number, object> }>}
+ */
+async function planProgress(planId) {
+  const [rows] = await pool.query(
+    `SELECT section_id,
+            COUNT(*) AS total,
+            SUM(status = 'done') AS done,
+            SUM(status = 'skipped') AS skipped
+       FROM plan_tasks
+      WHERE plan_id = ?
+      GROUP BY section_id`,
+    [planId]
+  );
+  const sections = new Map();
+  const totals   = { total: 0, done: 0, skipped: 0 };
+  for (const row of rows) {
+    const counts = { total: Number(row.total), done: Number(row.done), skipped: Number(row.skipped) };
+    sections.set(row.section_id, completion(counts));
+    totals.total   += counts.total;
+    totals.done    += counts.done;
+    totals.skipped += counts.skipped;
+  }
+  return { plan: completion(totals), sections };
+}
+
+async function listSectionTasks(sectionId, conn = pool) {
+  const [rows] = await conn.query(
+    `SELECT ${TASK_COLUMNS} FROM plan_tasks
+      WHERE section_id = ?
+      ORDER BY position, id`,
+    [sectionId]
+  );
+  return rows;
+}
+
+module.exports = {
+  TASK_FREQUENCIES,
+  TASK_STATUSES,
+  TASK_COLUMNS,
+  isValidDate,
+  validateTaskInput,
+  completion,
+  planProgress,
+  listSectionTasks
+};
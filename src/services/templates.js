@@ -0,0 +1,100 @@
+// src/services/templates.js
+//
+// Plantillas de plan: parámetros por defecto, lista de secciones y una
+// indicación opcional por sección que se añade al prompt de generación.
+// Las plantillas del sistema tienen user_id NULL y las ve todo el mundo;
+// las demás solo las ve quien las guardó.
+const pool = require('../config/db');
+
+const TEMPLATE_COLUMNS =
+  'id, user_id, name, description, parameters, sections, created_at, updated_at';
+
+const MAX_NAME_LENGTH   = 120;
+const MAX_TYPE_LENGTH   = 64;
+const MAX_HINT_LENGTH   = 1000;
+
+function serializeTemplate(row) {
+  return { ...row, system: row.user_id === null };
+}
+
+function validateSections(sections) {
+  if (!Array.isArray(sections) || !sections.length) {
+    return 'sections debe ser un array no vacío';
+  }
+  const seen = new Set();
+  for (const [i, section] of sections.entries()) {
+    const type = section && section.section_type;
+    if (typeof type !== 'string' || !type.trim() || type.length > MAX_TYPE_LENGTH) {
+      return `sections[${i}].section_type debe ser texto de 1 a ${MAX_TYPE_LENGTH} caracteres`;
+    }
+    if (seen.has(type)) {
+      return `La sección "${type}" está repetida`;
+    }
+    seen.add(type);
+    const hint = section.prompt_hint;
+    if (hint !== undefined && hint !== null &&
+        (typeof hint !== 'string' || hint.length > MAX_HINT_LENGTH)) {
+      return `sections[${i}].prompt_hint debe ser texto de hasta ${MAX_HINT_LENGTH} caracteres`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Valida el cuerpo de creación o edición de una plantilla.
+ *
+ * @param {object}  body
+ * @param {boolean} [partial]  edición: todos los campos son opcionales
+ * @returns {{ error: string }|{ values: object }}
+ */
+function validateTemplateInput(body, { partial = false } = {}) {
+  const { name, description, parameters, sections } = body || {};
+  const values = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      return { error: `name debe ser texto de 1 a ${MAX_NAME_LENGTH} caracteres` };
+    }
+    values.name = name.trim();
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      return { error: 'description debe ser texto' };
+    }
+    values.description = description;
+  }
+  if (parameters !== undefined) {
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+      return { error: 'parameters debe ser un objeto' };
+    }
+    values.parameters = JSON.stringify(parameters);
+  }
+  if (sections !== undefined || !partial) {
+    const error = validateSections(sections);
+    if (error) return { error };
+    values.sections = JSON.stringify(sections.map(s => ({
+      section_type: s.section_type,
+      prompt_hint:  s.prompt_hint || null
+    })));
+  }
+  return { values };
+}
+
+/**
+ * Plantilla visible para el usuario (del sistema o suya), o undefined.
+ */
+async function findVisibleTemplate(templateId, userId) {
+  const [[row]] = await pool.query(
+    `SELECT ${TEMPLATE_COLUMNS} FROM plan_templates
+      WHERE id = ? AND (user_id IS NULL OR user_id = ?)`,
+    [templateId, userId]
+  );
+  return row ? serializeTemplate(row) : undefined;
+}
+
+module.exports = {
+  TEMPLATE_COLUMNS,
+  serializeTemplate,
+  validateTemplateInput,
+  findVisibleTemplate
+};
@@ -0,0 +1,217 @@
+// src/services/tokens.js
+//
+// Sesiones de autenticación. Cada inicio de sesión crea una sesión (familia
+// de tokens) con un access token JWT de vida corta y un refresh token opaco
+// que rota en cada uso. Del refresh token solo se guarda su hash SHA-256.
+//
+// Si se presenta un refresh token ya usado, se asume que ha sido robado y se
+// revoca la sesión entera: tanto el atacante como el usuario legítimo tendrán
+// que volver a iniciar sesión.
+//
+//   JWT_ACCESS_EXPIRES_IN  vida del access token (por defecto 15m)
+//   REFRESH_TOKEN_DAYS     vida del refresh token (por defecto 30)
+const crypto = require('crypto');
+const jwt    = require('jsonwebtoken');
+const pool   = require('../config/db');
+const { withTransaction } = require('../utils/transaction');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL   = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+class AuthTokenError extends Error {
+  constructor(message, code, status = 401) {
+    super(message);
+    this.name   = 'AuthTokenError';
+    this.status = status;
+    this.code   = code;
+  }
+
+  toJSON() {
+    return { error: this.message, code: this.code };
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, email: user.email, role: user.role || 'user', sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function insertRefreshToken(conn, sessionId) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await conn.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES (?, ?, ?)`,
+    [sessionId, hashToken(token), new Date(Date.now() + REFRESH_TOKEN_DAYS * 86400 * 1000)]
+  );
+  return token;
+}
+
+function tokenPair(user, sessionId, refreshToken) {
+  return {
+    token:         signAccessToken(user, sessionId),
+    refresh_token: refreshToken,
+    token_type:    'Bearer',
+    expires_in:    ACCESS_TOKEN_TTL
+  };
+}
+
+/**
+ * Abre una sesión nueva para el usuario y devuelve su primer par de tokens.
+ */
+async function createSession(user, { userAgent = null, ip = null } = {}) {
+  return withTransaction(async conn => {
+    const [session] = await conn.query(
+      `INSERT INTO auth_sessions (user_id, user_agent, ip)
+       VALUES (?, ?, ?)`,
+      [user.id, userAgent ? userAgent.slice(0, 255) : null, ip]
+    );
+    const refreshToken = await insertRefreshToken(conn, session.insertId);
+    return tokenPair(user, session.insertId, refreshToken);
+  });
+}
+
+/**
+ * Cambia un refresh token por un par nuevo. El token presentado queda
+ * marcado como usado; si ya lo estaba, se revoca toda la sesión.
+ */
+async function rotateRefreshToken(refreshToken) {
+  const outcome = await withTransaction(async conn => {
+    const [[row]] = await conn.query(
+      `SELECT t.id, t.session_id, t.expires_at, t.used_at,
+              s.revoked_at, u.id AS user_id, u.email, u.role, u.disabled_at
+         FROM refresh_tokens t
+         JOIN auth_sessions s ON t.session_id = s.id
+         JOIN users u ON s.user_id = u.id
+        WHERE t.token_hash = ?
+        FOR UPDATE`,
+      [hashToken(refreshToken)]
+    );
+    if (!row || row.revoked_at) {
+      return { error: new AuthTokenError('Refresh token inválido', 'REFRESH_INVALID') };
+    }
+    if (row.disabled_at) {
+      return { error: new AuthTokenError('Cuenta deshabilitada', 'ACCOUNT_DISABLED', 403) };
+    }
+    if (row.used_at) {
+      // Reutilización: el token se filtró. Se cierra la sesión completa.
+      await revokeSessionWith(conn, row.session_id, 'reuse');
+      return { error: new AuthTokenError('Refresh token reutilizado; sesión revocada', 'REFRESH_REUSED') };
+    }
+    if (new Date(row.expires_at) <= new Date()) {
+      return { error: new AuthTokenError('Refresh token expirado', 'REFRESH_EXPIRED') };
+    }
+
+    await conn.query(
+      'UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [row.id]
+    );
+    await conn.query(
+      'UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [row.session_id]
+    );
+    const next = await insertRefreshToken(conn, row.session_id);
+    const user = { id: row.user_id, email: row.email, role: row.role };
+    return { tokens: tokenPair(user, row.session_id, next) };
+  });
+
+  // El error se lanza fuera de la transacción para no deshacer la revocación
+  if (outcome.error) throw outcome.error;
+  return outcome.tokens;
+}
+
+async function revokeSessionWith(conn, sessionId, reason) {
+  await conn.query(
+    `UPDATE auth_sessions
+        SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ?
+      WHERE id = ? AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+}
+
+/**
+ * Revoca una sesión concreta (cierre de sesión en un dispositivo).
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+  await revokeSessionWith(pool, sessionId, reason);
+}
+
+/**
+ * Revoca la sesión a la que pertenece un refresh token.
+ *
+ * @returns {Promise<boolean>} si el token correspondía a una sesión
+ */
+async function revokeSessionByRefreshToken(refreshToken, reason = 'logout') {
+  const [[row]] = await pool.query(
+    'SELECT session_id FROM refresh_tokens WHERE token_hash = ?',
+    [hashToken(refreshToken)]
+  );
+  if (!row) return false;
+  await revokeSession(row.session_id, reason);
+  return true;
+}
+
+/**
+ * Revoca todas las sesiones abiertas del usuario. Acepta la conexión de una
+ * transacción en curso (p. ej. al cambiar la contraseña).
+ *
+ * @returns {Promise<number>} sesiones revocadas
+ */
+async function revokeAllSessions(userId, reason = 'logout_all', conn = pool) {
+  const [result] = await conn.query(
+    `UPDATE auth_sessions
+        SET revoked_at = CURRENT_TIMESTAMP, revoke_reason = ?
+      WHERE user_id = ? AND revoked_at IS NULL`,
+    [reason, userId]
+  );
+  return result.affectedRows;
+}
+
+/**
+ * Comprueba que la sesión de un access token sigue activa, que la cuenta no
+ * está deshabilitada y que el token no es anterior al último cambio de
+ * contraseña. Lanza AuthTokenError si no.
+ *
+ * @returns {Promise<{role: string}>} datos actuales del usuario (el rol se
+ *   lee de la BD para que los cambios de rol apliquen sin esperar al token)
+ */
+async function assertSessionActive(payload) {
+  if (!payload.sid) {
+    throw new AuthTokenError('Token sin sesión; inicia sesión de nuevo', 'TOKEN_REVOKED');
+  }
+  const [[row]] = await pool.query(
+    `SELECT s.revoked_at, u.password_changed_at, u.role, u.disabled_at
+       FROM auth_sessions s
+       JOIN users u ON s.user_id = u.id
+      WHERE s.id = ? AND s.user_id = ?`,
+    [payload.sid, payload.userId]
+  );
+  if (!row || row.revoked_at) {
+    throw new AuthTokenError('Token revocado', 'TOKEN_REVOKED');
+  }
+  if (row.password_changed_at &&
+      payload.iat < Math.floor(new Date(row.password_changed_at).getTime() / 1000)) {
+    throw new AuthTokenError('Token anterior al último cambio de contraseña', 'TOKEN_REVOKED');
+  }
+  if (row.disabled_at) {
+    throw new AuthTokenError('Cuenta deshabilitada', 'ACCOUNT_DISABLED', 403);
+  }
+  return { role: row.role };
+}
+
+module.exports = {
+  AuthTokenError,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+  assertSessionActive
+};
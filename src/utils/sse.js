@@ -0,0 +1,101 @@
+// src/utils/sse.js
+//
+// Respuesta "dual" para rutas que invocan a la IA: por defecto devuelve JSON
+// al terminar; con `Accept: text/event-stream` o `?stream=1` abre un canal
+// Server-Sent Events y va emitiendo eventos mientras el modelo trabaja:
+//
+//   event: progress  data: { "stage": "generating" | "thinking" | "saving" … }
+//   event: token     data: { "text": "…" }
+//   event: done      data: <mismo cuerpo que la respuesta JSON>
+//   event: error     data: { "status": 500, "error": "…" }
+const HEARTBEAT_MS = 15000;
+
+function wantsEventStream(req) {
+  const stream = String(req.query.stream || '').toLowerCase();
+  if (stream === '1' || stream === 'true') return true;
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+function createResponder(req, res) {
+  const streaming = wantsEventStream(req);
+  let opened    = false;
+  let closed    = false;
+  let heartbeat = null;
+  let thinking  = false;
+
+  function write(event, data) {
+    if (!opened || closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function end() {
+    clearInterval(heartbeat);
+    if (opened && !closed) res.end();
+    closed = true;
+  }
+
+  return {
+    streaming,
+
+    // Abre el stream SSE (no hace nada en modo JSON). Se llama después de
+    // las validaciones, para que los 4xx sigan siendo respuestas JSON normales.
+    start() {
+      if (!streaming || opened) return;
+      res.status(200).set({
+        'Content-Type':      'text/event-stream; charset=utf-8',
+        'Cache-Control':     'no-cache, no-transform',
+        Connection:          'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      opened = true;
+      heartbeat = setInterval(() => {
+        if (!closed) res.write(': ping\n\n');
+      }, HEARTBEAT_MS);
+      // Si el cliente se desconecta, la generación continúa y se guarda igual
+      res.on('close', () => {
+        clearInterval(heartbeat);
+        closed = true;
+      });
+    },
+
+    progress(stage, extra = {}) {
+      write('progress', { stage, ...extra });
+    },
+
+    // Callbacks para el cliente de IA; null en modo JSON (sin streaming)
+    onToken: streaming ? text => write('token', { text }) : null,
+
+    // El razonamiento del modelo no se envía: solo se avisa de que está pensando
+    onReasoning: streaming ? () => {
+      if (thinking) return;
+      thinking = true;
+      write('progress', { stage: 'thinking' });
+    } : null,
+
+    send(data, status = 200) {
+      // La ruta ha terminado: libera el hueco de la cuota aunque el cliente
+      // ya no esté (ver middleware/aiQuota.js)
+      if (res.locals.releaseAiQuota) res.locals.releaseAiQuota();
+      if (opened) {
+        // Resultado final para otros middlewares (p. ej. idempotencia)
+        if (res.locals.onResult) res.locals.onResult({ status, body: data });
+        write('done', data);
+        return end();
+      }
+      res.status(status).json(data);
+    },
+
+    fail(status, payload) {
+      if (res.locals.releaseAiQuota) res.locals.releaseAiQuota();
+      if (opened) {
+        if (res.locals.onResult) res.locals.onResult({ status, body: payload });
+        write('error', { status, ...payload });
+        return end();
+      }
+      res.status(status).json(payload);
+    }
+  };
+}
+
+module.exports = { wantsEventStream, createResponder };
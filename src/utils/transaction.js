@@ -0,0 +1,23 @@
+// src/utils/transaction.js
+const pool = require('../config/db');
+
+/**
+ * Ejecuta `fn(conn)` dentro de una transacción: commit si termina bien,
+ * rollback si lanza. La conexión se libera siempre.
+ */
+async function withTransaction(fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await fn(conn);
+    await conn.commit();
+    return result;
+  } catch (err) {
+    await conn.rollback();
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = { withTransaction };
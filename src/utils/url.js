@@ -0,0 +1,39 @@
+// src/utils/url.js
+
+/**
+ * URL pública del backend, sin barra final. Usa PUBLIC_URL si está definida
+ * (detrás de un proxy) y, si no, el host de la petición.
+ */
+function publicBaseUrl(req) {
+  const base = process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+  return base.replace(/\/$/, '');
+}
+
+/**
+ * URL pública para los enlaces de los correos de cuenta. Solo PUBLIC_URL:
+ * el host de la petición lo elige el cliente y un enlace de
+ * restablecimiento no puede apuntar a otro dominio.
+ */
+function configuredBaseUrl() {
+  if (!process.env.PUBLIC_URL) {
+    throw new Error('PUBLIC_URL no está definida');
+  }
+  return process.env.PUBLIC_URL.replace(/\/$/, '');
+}
+
+/**
+ * Comprueba PUBLIC_URL. Devuelve la lista de problemas encontrados (vacía
+ * si todo está bien).
+ */
+function validateUrlConfig() {
+  const problems = [];
+  const value = process.env.PUBLIC_URL;
+  if (!value) {
+    problems.push('Falta PUBLIC_URL (URL pública del backend para los enlaces de los correos)');
+  } else if (!/^https?:\/\/[^/]+/i.test(value)) {
+    problems.push(`PUBLIC_URL = "${value}" no es una URL http(s)`);
+  }
+  return problems;
+}
+
+module.exports = { publicBaseUrl, configuredBaseUrl, validateUrlConfig };
@@ -0,0 +1,62 @@
+// test/checkins.test.js
+//
+// Rachas de check-ins: días consecutivos con done o partial. Solo se
+// prueban las funciones puras, así que la base de datos se sustituye por un
+// pool vacío.
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+
+const dbPath = path.join(__dirname, '../src/config/db.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { query: async () => [[]] } };
+
+const { computeStreaks, validateCheckinInput } = require('../src/services/checkins');
+
+const checkins = list => list.map(([date, status]) => ({ date, status }));
+
+test('sin check-ins no hay racha', () => {
+  assert.deepEqual(computeStreaks([], '2026-03-10'), { current: 0, longest: 0, last_date: null });
+});
+
+test('días consecutivos con done o partial suman racha', () => {
+  const list = checkins([['2026-03-08', 'done'], ['2026-03-09', 'partial'], ['2026-03-10', 'done']]);
+  assert.deepEqual(computeStreaks(list, '2026-03-10'), { current: 3, longest: 3, last_date: '2026-03-10' });
+});
+
+test('la racha actual sigue viva si el último check-in es de ayer', () => {
+  const list = checkins([['2026-03-08', 'done'], ['2026-03-09', 'done']]);
+  assert.equal(computeStreaks(list, '2026-03-10').current, 2);
+  assert.equal(computeStreaks(list, '2026-03-11').current, 0);
+  assert.equal(computeStreaks(list, '2026-03-11').longest, 2);
+});
+
+test('un skipped o un día sin check-in rompen la racha', () => {
+  const list = checkins([
+    ['2026-03-01', 'done'], ['2026-03-02', 'done'], ['2026-03-03', 'done'],
+    ['2026-03-04', 'skipped'],
+    ['2026-03-05', 'done'],
+    ['2026-03-07', 'done'], ['2026-03-08', 'partial']
+  ]);
+  assert.deepEqual(computeStreaks(list, '2026-03-08'), { current: 2, longest: 3, last_date: '2026-03-08' });
+});
+
+test('un skipped hoy deja la racha actual a cero', () => {
+  const list = checkins([['2026-03-09', 'done'], ['2026-03-10', 'skipped']]);
+  assert.deepEqual(computeStreaks(list, '2026-03-10'), { current: 0, longest: 1, last_date: '2026-03-10' });
+});
+
+test('las fechas son de calendario: el cambio de hora no corta la racha', () => {
+  const list = checkins([['2026-03-28', 'done'], ['2026-03-29', 'done'], ['2026-03-30', 'done']]);
+  assert.equal(computeStreaks(list, '2026-03-30').current, 3);
+});
+
+test('validateCheckinInput rechaza días futuros y zonas desconocidas', () => {
+  assert.match(validateCheckinInput({ status: 'done', date: '2999-01-01' }).error, /futuro/);
+  assert.match(validateCheckinInput({ status: 'done', timezone: 'Europe/Atlantis' }).error, /Zona horaria/);
+  assert.match(validateCheckinInput({ status: 'hecho' }).error, /status/);
+
+  const { values } = validateCheckinInput({ status: 'partial', note: '  a medias  ', timezone: 'Europe/Madrid' });
+  assert.equal(values.note, 'a medias');
+  assert.equal(values.timezone, 'Europe/Madrid');
+  assert.match(values.date, /^\d{4}-\d{2}-\d{2}$/);
+});
@@ -0,0 +1,39 @@
+// test/diff.test.js
+//
+// Diff por palabras entre versiones de una sección: las operaciones deben
+// permitir reconstruir tanto el texto anterior como el nuevo.
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffWords, diffStats } = require('../src/services/diff');
+
+const rebuild = (ops, skip) => ops.filter(op => op.type !== skip).map(op => op.text).join('');
+
+test('marca las palabras cambiadas y agrupa las operaciones seguidas', () => {
+  assert.deepEqual(diffWords('Tres sesiones por semana', 'Cuatro sesiones cortas por semana'), [
+    { type: 'delete', text: 'Tres' },
+    { type: 'insert', text: 'Cuatro' },
+    { type: 'equal',  text: ' sesiones' },
+    { type: 'insert', text: ' cortas' },
+    { type: 'equal',  text: ' por semana' }
+  ]);
+});
+
+test('las operaciones reconstruyen ambos textos, espacios incluidos', () => {
+  const before = '## Pautas\n- Proteína en cada comida\n- Fruta  como merienda';
+  const after  = '## Pautas\n- Proteína en cada comida principal\n\n- Yogur como merienda';
+  const ops = diffWords(before, after);
+  assert.equal(rebuild(ops, 'insert'), before);
+  assert.equal(rebuild(ops, 'delete'), after);
+});
+
+test('textos iguales o vacíos', () => {
+  assert.deepEqual(diffWords('a b', 'a b'), [{ type: 'equal', text: 'a b' }]);
+  assert.deepEqual(diffWords('', 'hola mundo'), [{ type: 'insert', text: 'hola mundo' }]);
+  assert.deepEqual(diffWords(null, undefined), []);
+});
+
+test('diffStats cuenta palabras, no espacios', () => {
+  const ops = diffWords('uno dos tres', 'uno cuatro cinco tres');
+  assert.deepEqual(diffStats(ops), { added: 2, removed: 1 });
+});
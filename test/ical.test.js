@@ -0,0 +1,91 @@
+// test/ical.test.js
+//
+// Calendario iCalendar de los recordatorios: cada TZID usado debe tener su
+// VTIMEZONE con los cambios de hora, y las líneas deben cumplir RFC 5545.
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildCalendar, escapeText } = require('../src/services/ical');
+const { offsetTransitions } = require('../src/services/recurrence');
+
+const created = new Date('2026-01-10T10:00:00Z');
+const reminder = fields => ({
+  id: 1, starts_at: created, created_at: created, updated_at: created, plan_title: 'Gym', ...fields
+});
+
+// Deshace el plegado de líneas largas
+const unfold = ics => ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+function blocks(lines, name) {
+  const found = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === `BEGIN:${name}`) current = [];
+    else if (line === `END:${name}`) { found.push(current); current = null; }
+    else if (current) current.push(line);
+  }
+  return found;
+}
+
+test('offsetTransitions da el instante exacto de cada cambio', () => {
+  assert.deepEqual(
+    offsetTransitions('Europe/Madrid', '2026-01-01T00:00:00Z', '2027-01-01T00:00:00Z'),
+    [
+      { at: new Date('2026-03-29T01:00:00Z'), before: 60, after: 120 },
+      { at: new Date('2026-10-25T01:00:00Z'), before: 120, after: 60 }
+    ]
+  );
+  assert.deepEqual(offsetTransitions('America/Guatemala', '2026-01-01T00:00:00Z', '2027-01-01T00:00:00Z'), []);
+});
+
+test('una VTIMEZONE por zona usada, con los cambios de hora', () => {
+  const lines = unfold(buildCalendar([
+    reminder({ id: 1, rule: 'FREQ=WEEKLY;BYDAY=MO;BYHOUR=8', timezone: 'Europe/Madrid' }),
+    reminder({ id: 2, rule: 'FREQ=DAILY;BYHOUR=20', timezone: 'Europe/Madrid' }),
+    reminder({ id: 3, rule: 'FREQ=DAILY;BYHOUR=7', timezone: 'America/Guatemala' }),
+    reminder({ id: 4, rule: 'FREQ=DAILY;BYHOUR=21', timezone: 'UTC' })
+  ]));
+
+  const zones = blocks(lines, 'VTIMEZONE');
+  assert.deepEqual(zones.map(zone => zone[0]), ['TZID:Europe/Madrid', 'TZID:America/Guatemala']);
+
+  // Cada DTSTART;TZID tiene su VTIMEZONE; UTC va con Z
+  const tzids = lines.filter(l => l.startsWith('DTSTART;TZID=')).map(l => /TZID=([^:]+)/.exec(l)[1]);
+  for (const tzid of tzids) assert.ok(zones.some(zone => zone[0] === `TZID:${tzid}`), tzid);
+  assert.ok(lines.includes('DTSTART:20260110T210000Z'));
+
+  const madrid = zones[0].join('\n');
+  assert.match(madrid, /BEGIN:DAYLIGHT\nDTSTART:20260329T020000\nTZOFFSETFROM:\+0100\nTZOFFSETTO:\+0200\nEND:DAYLIGHT/);
+  assert.match(madrid, /BEGIN:STANDARD\nDTSTART:20261025T030000\nTZOFFSETFROM:\+0200\nTZOFFSETTO:\+0100\nEND:STANDARD/);
+
+  // Zona sin cambios: solo el desplazamiento fijo
+  assert.deepEqual(zones[1].slice(1), [
+    'BEGIN:STANDARD', 'DTSTART:20260101T000000', 'TZOFFSETFROM:-0600', 'TZOFFSETTO:-0600', 'END:STANDARD'
+  ]);
+});
+
+test('DTSTART es la primera ocurrencia en hora local y UNTIL va en UTC', () => {
+  const lines = unfold(buildCalendar([
+    reminder({ rule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR;BYHOUR=8;UNTIL=20260601', timezone: 'Europe/Madrid' })
+  ]));
+  const [event] = blocks(lines, 'VEVENT');
+  assert.ok(event.includes('DTSTART;TZID=Europe/Madrid:20260112T080000'));
+  assert.ok(event.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;BYHOUR=8;UNTIL=20260601T215959Z'));
+});
+
+test('omite reglas no válidas y pliega líneas largas', () => {
+  const ics = buildCalendar([
+    reminder({ id: 1, rule: 'FREQ=YEARLY', timezone: 'UTC' }),
+    reminder({ id: 2, rule: 'FREQ=DAILY;BYHOUR=9', timezone: 'UTC', plan_title: 'Ñ'.repeat(60) })
+  ]);
+  assert.equal(blocks(unfold(ics), 'VEVENT').length, 1);
+  assert.ok(ics.endsWith('\r\n'));
+  for (const line of ics.split('\r\n')) {
+    assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line);
+  }
+});
+
+test('escapeText escapa los caracteres especiales', () => {
+  assert.equal(escapeText('a;b,c\\d\ne'), 'a\\;b\\,c\\\\d\\ne');
+  assert.equal(escapeText(null), '');
+});
@@ -0,0 +1,91 @@
+// test/migrator.test.js
+//
+// Partes del migrador que no necesitan base de datos: lectura de las
+// migraciones en disco, checksums, comparación con schema_migrations y
+// tablas/columnas que usa baseline().
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+const {
+  MigrationError,
+  checksum,
+  loadMigrations,
+  compare,
+  tablesOf
+} = require('../src/db/migrator');
+
+function tempMigrations(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  for (const [name, sql] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), sql);
+  return dir;
+}
+
+const applied = migrations => migrations.map(m => ({ version: m.version, name: m.name, checksum: m.checksum }));
+
+test('el checksum no depende de los finales de línea', () => {
+  assert.equal(checksum('CREATE TABLE a (\r\n  id INT\r\n);'), checksum('CREATE TABLE a (\n  id INT\n);'));
+  assert.notEqual(checksum('SELECT 1'), checksum('SELECT 2'));
+});
+
+test('las migraciones del proyecto están completas y numeradas en orden', () => {
+  const migrations = loadMigrations();
+  assert.ok(migrations.length > 0);
+  migrations.forEach((migration, i) => {
+    assert.equal(migration.version, i + 1);
+    assert.equal(migration.checksum, checksum(migration.up));
+    assert.ok(migration.down.trim(), `${migration.name} sin .down.sql`);
+  });
+});
+
+test('una migración sin .down.sql es un error', () => {
+  const dir = tempMigrations({ '001_a.up.sql': 'SELECT 1', 'notas.txt': 'se ignora' });
+  try {
+    assert.throws(() => loadMigrations(dir), MigrationError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('compare separa aplicadas y pendientes', () => {
+  const migrations = loadMigrations();
+  const state = compare(migrations, applied(migrations.slice(0, 2)));
+  assert.deepEqual(state.problems, []);
+  assert.deepEqual(state.pending.map(m => m.version), migrations.slice(2).map(m => m.version));
+});
+
+test('compare detecta migraciones editadas, borradas o fuera de orden', () => {
+  const migrations = loadMigrations().slice(0, 3);
+  const rows = applied(migrations);
+
+  rows[0].checksum = checksum('otro contenido');
+  assert.match(compare(migrations, rows).problems.join('\n'), /ha cambiado después de aplicarse/);
+
+  const missing = [...applied(migrations), { version: 99, name: 'fantasma', checksum: 'x' }];
+  assert.match(compare(migrations, missing).problems.join('\n'), /99_fantasma no existe en disco/);
+
+  const gap = applied([migrations[0], migrations[2]]);
+  const state = compare(migrations, gap);
+  assert.deepEqual(state.pending.map(m => m.version), [2]);
+  assert.match(state.problems.join('\n'), /anterior a la última aplicada \(3\)/);
+});
+
+test('tablesOf lee tablas y columnas de los CREATE TABLE', () => {
+  const tables = tablesOf(
+    'CREATE TABLE IF NOT EXISTS `notes` (\n' +
+    '  id INT AUTO_INCREMENT PRIMARY KEY,\n' +
+    '  `body` TEXT NOT NULL,\n' +
+    '  user_id INT NOT NULL,\n' +
+    '  KEY idx_notes_user (user_id),\n' +
+    '  CONSTRAINT fk_notes_user FOREIGN KEY (user_id) REFERENCES users (id)\n' +
+    ') ENGINE=InnoDB;\n' +
+    'ALTER TABLE users ADD COLUMN nickname VARCHAR(50) NULL;'
+  );
+  assert.deepEqual([...tables], [['notes', ['id', 'body', 'user_id']]]);
+
+  const users = tablesOf(loadMigrations()[0].up).get('users');
+  assert.ok(users.includes('email') && users.includes('password_hash'));
+  assert.ok(!users.includes('UNIQUE'));
+});
@@ -0,0 +1,92 @@
+// test/planExportImport.test.js
+//
+// El documento de GET /plans/:planId/export?format=json debe poder
+// importarse tal cual con POST /plans/import. La base de datos se sustituye
+// por un pool en memoria que devuelve las filas del plan exportado y
+// registra los INSERT de la importación.
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+
+const inserts = [];
+let nextId = 100;
+
+const rows = {
+  plan_sections: [
+    { id: 1, section_type: 'Entrenamiento', content: '- Lunes: fuerza', status: 'generated', updated_at: new Date() },
+    { id: 2, section_type: 'Nutrición', content: 'Más **proteína**', status: 'adjusted', updated_at: new Date() }
+  ],
+  plan_summaries: [
+    { title: 'Resumen', executive_summary: 'Tres sesiones por semana', created_at: new Date() }
+  ],
+  plan_reminders: [
+    // channels NULL = canales por defecto
+    { rule: 'FREQ=WEEKLY;BYDAY=MO;BYHOUR=8', timezone: 'Europe/Madrid', starts_at: null,
+      channels: null, is_active: 1, section_type: 'Entrenamiento' },
+    { rule: 'FREQ=DAILY;BYHOUR=21', timezone: 'UTC', starts_at: null,
+      channels: ['inbox', 'email'], is_active: 0, section_type: null }
+  ]
+};
+
+async function query(sql, params) {
+  if (/^\s*INSERT/i.test(sql)) {
+    inserts.push({ sql, params });
+    return [{ insertId: ++nextId, affectedRows: 1 }];
+  }
+  const table = Object.keys(rows).find(name => sql.includes(`FROM ${name}`));
+  return [table ? rows[table] : []];
+}
+
+const pool = {
+  query,
+  getConnection: async () => ({
+    query,
+    beginTransaction: async () => {},
+    commit:           async () => {},
+    rollback:         async () => {},
+    release:          () => {}
+  })
+};
+
+const dbPath = path.join(__dirname, '../src/config/db.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: pool };
+
+const { exportPlan } = require('../src/services/export');
+const { importPlan } = require('../src/services/planImport');
+
+const plan = {
+  id:             7,
+  user_id:        1,
+  title:          'Mi vuelta al gimnasio',
+  status:         'finalized',
+  parameters:     { Entrenamiento: '3 días por semana' },
+  template_id:    null,
+  section_config: null,
+  created_at:     new Date(),
+  updated_at:     new Date()
+};
+
+test('el JSON exportado se importa de nuevo', async () => {
+  const { body } = await exportPlan(plan, 'json');
+  const doc = JSON.parse(body.toString('utf8'));
+
+  assert.deepEqual(doc.reminders[0].channels, ['inbox']);
+
+  const result = await importPlan(doc, 2);
+  assert.equal(result.status, 'generated');
+  assert.deepEqual(result.counts, { sections: 2, summaries: 1, reminders: 2 });
+
+  const reminderInserts = inserts.filter(i => i.sql.includes('INSERT INTO plan_reminders'));
+  assert.deepEqual(reminderInserts.map(i => JSON.parse(i.params[5])), [['inbox'], ['inbox', 'email']]);
+});
+
+test('channels null en el documento usa los canales por defecto', async () => {
+  const { body } = await exportPlan(plan, 'json');
+  const doc = JSON.parse(body.toString('utf8'));
+  doc.reminders[0].channels = null;
+
+  inserts.length = 0;
+  await importPlan(doc, 2);
+  const [first] = inserts.filter(i => i.sql.includes('INSERT INTO plan_reminders'));
+  assert.deepEqual(JSON.parse(first.params[5]), ['inbox']);
+});
@@ -0,0 +1,77 @@
+// test/quota.test.js
+//
+// Cuotas de IA por usuario: reserva y liberación de huecos de concurrencia,
+// límite por minuto y tokens diarios. La base de datos se sustituye por un
+// pool que devuelve los tokens consumidos que marque cada prueba.
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+
+let tokensUsed = 0;
+const pool = {
+  query: async () => [[{ used: tokensUsed }]]
+};
+
+const dbPath = path.join(__dirname, '../src/config/db.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: pool };
+
+const { QuotaExceededError, acquire, quotaStatus } = require('../src/services/ai/quota');
+
+function withQuota(values) {
+  for (const [key, value] of Object.entries(values)) {
+    process.env[`AI_QUOTA_${key}`] = String(value);
+  }
+}
+
+test.afterEach(() => {
+  for (const key of ['DAILY_TOKENS', 'RPM', 'CONCURRENCY']) delete process.env[`AI_QUOTA_${key}`];
+  tokensUsed = 0;
+});
+
+test('release libera el hueco de concurrencia una sola vez', async () => {
+  withQuota({ CONCURRENCY: 1 });
+  const release = await acquire(1);
+  await assert.rejects(acquire(1), err => err instanceof QuotaExceededError && err.limit === 'concurrency');
+
+  release();
+  release(); // segunda llamada sin efecto
+  assert.equal((await quotaStatus(1)).concurrent_generations.active, 0);
+
+  const again = await acquire(1);
+  assert.equal((await quotaStatus(1)).concurrent_generations.active, 1);
+  again();
+});
+
+test('los huecos son por usuario', async () => {
+  withQuota({ CONCURRENCY: 1 });
+  const first  = await acquire(2);
+  const second = await acquire(3);
+  first();
+  second();
+});
+
+test('límite de peticiones por minuto', async () => {
+  withQuota({ RPM: 2 });
+  (await acquire(4))();
+  (await acquire(4))();
+  await assert.rejects(acquire(4), err => {
+    assert.equal(err.status, 429);
+    assert.equal(err.limit, 'rpm');
+    assert.ok(err.retryAfter >= 1 && err.retryAfter <= 60);
+    return true;
+  });
+});
+
+test('cuota diaria de tokens agotada', async () => {
+  withQuota({ DAILY_TOKENS: 1000 });
+  tokensUsed = 999;
+  (await acquire(5))();
+
+  tokensUsed = 1000;
+  await assert.rejects(acquire(5), err => {
+    assert.equal(err.limit, 'daily_tokens');
+    assert.deepEqual(Object.keys(err.toJSON()), ['error', 'code', 'limit', 'retry_after']);
+    return true;
+  });
+  assert.equal((await quotaStatus(5)).daily_tokens.remaining, 0);
+});
@@ -0,0 +1,68 @@
+// test/reasoning.test.js
+//
+// Filtro de streaming que separa el razonamiento (<think>…</think>) del
+// texto de la respuesta.
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitReasoning, createStreamFilter } = require('../src/services/ai/reasoning');
+
+function collect(options = {}) {
+  const tokens = [];
+  const reasoning = [];
+  const filter = createStreamFilter(t => tokens.push(t), {
+    onReasoning: t => reasoning.push(t),
+    ...options
+  });
+  return { filter, tokens, reasoning };
+}
+
+test('sin etiquetas, cada fragmento se entrega al momento', () => {
+  const { filter, tokens } = collect();
+  filter('Hola');
+  assert.deepEqual(tokens, ['Hola']);
+  filter(', ¿qué tal?');
+  assert.deepEqual(tokens, ['Hola', ', ¿qué tal?']);
+  filter.flush();
+  assert.equal(tokens.join(''), 'Hola, ¿qué tal?');
+});
+
+test('retiene solo un posible comienzo de etiqueta', () => {
+  const { filter, tokens } = collect();
+  filter('a < b <th');
+  assert.deepEqual(tokens, ['a < b ']);
+  filter('e fin');
+  assert.equal(tokens.join(''), 'a < b <the fin');
+});
+
+test('separa el razonamiento aunque las etiquetas lleguen partidas', () => {
+  const { filter, tokens, reasoning } = collect();
+  for (const chunk of ['<th', 'ink>pienso', ' algo</thi', 'nk>Respuesta']) filter(chunk);
+  filter.flush();
+  assert.equal(reasoning.join(''), 'pienso algo');
+  assert.equal(tokens.join(''), 'Respuesta');
+});
+
+test('modelo de razonamiento sin apertura: lo anterior a </think> es razonamiento', () => {
+  const { filter, tokens, reasoning } = collect({ reasoning: true });
+  filter('pienso');
+  assert.deepEqual(tokens, []);
+  filter('</think>Respuesta');
+  filter.flush();
+  assert.equal(reasoning.join(''), 'pienso');
+  assert.equal(tokens.join(''), 'Respuesta');
+});
+
+test('modelo de razonamiento que no piensa: flush entrega lo retenido', () => {
+  const { filter, tokens, reasoning } = collect({ reasoning: true });
+  filter('Solo respuesta');
+  filter.flush();
+  assert.deepEqual(reasoning, []);
+  assert.equal(tokens.join(''), 'Solo respuesta');
+});
+
+test('splitReasoning coincide con el filtro', () => {
+  assert.deepEqual(splitReasoning('<think> a </think> b'), { content: 'b', reasoning: 'a' });
+  assert.deepEqual(splitReasoning('a</think>b'), { content: 'b', reasoning: 'a' });
+  assert.deepEqual(splitReasoning('b'), { content: 'b', reasoning: null });
+});
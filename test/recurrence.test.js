@@ -0,0 +1,76 @@
+// test/recurrence.test.js
+//
+// Ocurrencias de las reglas de los recordatorios alrededor de los cambios
+// de hora. Las horas de la regla son locales: en Europe/Madrid el horario
+// de verano de 2026 empieza el 29 de marzo y termina el 25 de octubre.
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  RecurrenceError,
+  parseRule,
+  nextOccurrences,
+  occurrencesBetween
+} = require('../src/services/recurrence');
+
+const reminder = rule => ({ rule, timezone: 'Europe/Madrid', starts_at: '2026-01-01T00:00:00Z' });
+const between  = (rule, from, to) =>
+  occurrencesBetween(reminder(rule), from, to).map(date => date.toISOString());
+
+test('la hora local se mantiene al entrar en horario de verano', () => {
+  assert.deepEqual(between('FREQ=DAILY;BYHOUR=8', '2026-03-27T00:00:00Z', '2026-03-31T00:00:00Z'), [
+    '2026-03-27T07:00:00.000Z',
+    '2026-03-28T07:00:00.000Z',
+    '2026-03-29T06:00:00.000Z',
+    '2026-03-30T06:00:00.000Z'
+  ]);
+});
+
+test('una hora que no existe se desplaza a la siguiente válida', () => {
+  // El 29 de marzo se salta de 02:00 a 03:00: las 02:30 pasan a las 03:30
+  assert.deepEqual(between('FREQ=DAILY;BYHOUR=2;BYMINUTE=30', '2026-03-28T00:00:00Z', '2026-03-31T00:00:00Z'), [
+    '2026-03-28T01:30:00.000Z',
+    '2026-03-29T01:30:00.000Z',
+    '2026-03-30T00:30:00.000Z'
+  ]);
+});
+
+test('una hora repetida al volver al horario de invierno se emite una vez', () => {
+  assert.deepEqual(between('FREQ=DAILY;BYHOUR=2;BYMINUTE=30', '2026-10-24T00:00:00Z', '2026-10-27T00:00:00Z'), [
+    '2026-10-24T00:30:00.000Z',
+    '2026-10-25T00:30:00.000Z',
+    '2026-10-26T01:30:00.000Z'
+  ]);
+});
+
+test('el intervalo es (from, to]', () => {
+  assert.deepEqual(between('FREQ=DAILY;BYHOUR=8', '2026-03-27T07:00:00Z', '2026-03-28T07:00:00Z'), [
+    '2026-03-28T07:00:00.000Z'
+  ]);
+});
+
+test('nextOccurrences devuelve la hora con el desplazamiento de cada fecha', () => {
+  const next = nextOccurrences(reminder('FREQ=WEEKLY;BYDAY=SU;BYHOUR=9'), {
+    after: '2026-10-17T00:00:00Z',
+    limit: 3
+  });
+  assert.deepEqual(next, [
+    '2026-10-18T09:00:00+02:00',
+    '2026-10-25T09:00:00+01:00',
+    '2026-11-01T09:00:00+01:00'
+  ]);
+});
+
+test('COUNT cuenta desde starts_at aunque se pida un intervalo posterior', () => {
+  assert.deepEqual(between('FREQ=DAILY;BYHOUR=8;COUNT=3', '2026-01-02T00:00:00Z', '2026-02-01T00:00:00Z'), [
+    '2026-01-02T07:00:00.000Z',
+    '2026-01-03T07:00:00.000Z'
+  ]);
+});
+
+test('parseRule normaliza la regla y rechaza partes no soportadas', () => {
+  assert.equal(parseRule('rrule:byhour=7,21;freq=daily').normalized, 'FREQ=DAILY;BYHOUR=7,21');
+  assert.throws(() => parseRule('FREQ=YEARLY'), RecurrenceError);
+  assert.throws(() => parseRule('FREQ=DAILY;BYSETPOS=1'), RecurrenceError);
+  assert.throws(() => parseRule('FREQ=DAILY', 'Europe/Atlantis'), RecurrenceError);
+});